@@ -12,12 +12,14 @@ protocol PermissionManagerDelegate: AnyObject {
 enum PermissionType: String, CaseIterable {
     case location = "location"
     case camera = "camera"
+    case microphone = "microphone"
     case notifications = "notifications"
     
     var displayName: String {
         switch self {
         case .location: return "Location"
         case .camera: return "Camera"
+        case .microphone: return "Microphone"
         case .notifications: return "Notifications"
         }
     }
@@ -26,11 +28,18 @@ enum PermissionType: String, CaseIterable {
         switch self {
         case .location: return "Zoobox needs your location to show nearby services and enable deliveries."
         case .camera: return "Zoobox needs camera access to scan QR codes and upload documents."
+        case .microphone: return "Zoobox needs microphone access to record voice notes for your drivers."
         case .notifications: return "Zoobox uses notifications to update you about orders and deliveries."
         }
     }
 }
 
+// One entry of a page's ZooboxBridge.requestPermissions call
+struct PermissionRequest {
+    let type: PermissionType
+    let rationale: String?
+}
+
 enum PermissionStatus: String {
     case notDetermined = "notDetermined"
     case denied = "denied"
@@ -50,11 +59,13 @@ class PermissionManager: NSObject {
     
     private var permissionStatuses: [PermissionType: PermissionStatus] = [:]
     private var permissionAlertsShown: [PermissionType: Bool] = [:]
+    private var locationRequestCompletions: [(PermissionStatus) -> Void] = []
     
     // MARK: - Permission Cookie Keys
     private struct PermissionCookieKeys {
         static let location = "p_Location"
         static let camera = "p_Camera"
+        static let microphone = "p_Microphone"
         static let notification = "p_Notification"
     }
     
@@ -123,6 +134,7 @@ class PermissionManager: NSObject {
         switch type {
         case .location: return PermissionCookieKeys.location
         case .camera: return PermissionCookieKeys.camera
+        case .microphone: return PermissionCookieKeys.microphone
         case .notifications: return PermissionCookieKeys.notification
         }
     }
@@ -390,20 +402,24 @@ class PermissionManager: NSObject {
         print("🍪 [PermissionManager] 📊 UPDATING ALL PERMISSION STATUSES")
         print("🍪 [PermissionManager] ========================================")
         
-        // Update location and camera synchronously
+        // Update location, camera and microphone synchronously
         let locationStatus = getCurrentPermissionStatus(for: .location)
         let cameraStatus = getCurrentPermissionStatus(for: .camera)
+        let microphoneStatus = getCurrentPermissionStatus(for: .microphone)
         
         print("🍪 [PermissionManager] 🔄 Synchronous permissions check:")
         print("🍪 [PermissionManager]    Location: \(locationStatus.rawValue)")
         print("🍪 [PermissionManager]    Camera: \(cameraStatus.rawValue)")
+        print("🍪 [PermissionManager]    Microphone: \(microphoneStatus.rawValue)")
         
         permissionStatuses[.location] = locationStatus
         permissionStatuses[.camera] = cameraStatus
+        permissionStatuses[.microphone] = microphoneStatus
         
         // Update cookies for synchronous permissions
         updatePermissionCookie(for: .location, status: locationStatus)
         updatePermissionCookie(for: .camera, status: cameraStatus)
+        updatePermissionCookie(for: .microphone, status: microphoneStatus)
         
         print("🍪 [PermissionManager] 🔄 Checking notifications asynchronously...")
         
@@ -564,13 +580,23 @@ class PermissionManager: NSObject {
             @unknown default: return .notDetermined
             }
             
+        case .microphone:
+            let status = AVCaptureDevice.authorizationStatus(for: .audio)
+            switch status {
+            case .notDetermined: return .notDetermined
+            case .denied: return .denied
+            case .restricted: return .restricted
+            case .authorized: return .granted
+            @unknown default: return .notDetermined
+            }
+            
         case .notifications:
             // Return cached value, will be updated when notification permission is requested
             return permissionStatuses[.notifications] ?? .notDetermined
         }
     }
     
-    func requestPermissionDirectly(for type: PermissionType) {
+    func requestPermissionDirectly(for type: PermissionType, completion: ((PermissionStatus) -> Void)? = nil) {
         print("🍪 [PermissionManager] ========================================")
         print("🍪 [PermissionManager] 🚀 REQUESTING PERMISSION DIRECTLY")
         print("🍪 [PermissionManager] ========================================")
@@ -583,8 +609,28 @@ class PermissionManager: NSObject {
         switch type {
         case .location:
             print("🍪 [PermissionManager] 📍 Requesting location authorization...")
+            // iOS only reports back when it shows its prompt, which it never does once location is decided
+            let currentStatus = getCurrentPermissionStatus(for: .location)
+            guard currentStatus == .notDetermined else {
+                completion?(currentStatus)
+                return
+            }
+            if let completion = completion {
+                locationRequestCompletions.append(completion)
+            }
             locationManager.requestWhenInUseAuthorization()
             
+            // The prompt makes the app inactive; still active means iOS declined to show one
+            DispatchQueue.main.asyncAfter(deadline: .now() + 1.0) {
+                guard UIApplication.shared.applicationState == .active,
+                      self.getCurrentPermissionStatus(for: .location) == .notDetermined,
+                      !self.locationRequestCompletions.isEmpty else { return }
+                print("🍪 [PermissionManager] ⚠️ No location prompt appeared - finishing as not determined")
+                let completions = self.locationRequestCompletions
+                self.locationRequestCompletions.removeAll()
+                completions.forEach { $0(.notDetermined) }
+            }
+            
         case .camera:
             print("🍪 [PermissionManager] 📷 Requesting camera access...")
             let oldStatus = permissionStatuses[.camera] ?? .notDetermined
@@ -615,6 +661,41 @@ class PermissionManager: NSObject {
                     self?.notifyDelegateOfPermissionChanges()
                     
                     print("🍪 [PermissionManager] ✅ Camera permission processing complete")
+                    completion?(newStatus)
+                }
+            }
+            
+        case .microphone:
+            print("🍪 [PermissionManager] 🎙️ Requesting microphone access...")
+            let oldStatus = permissionStatuses[.microphone] ?? .notDetermined
+            let oldCookieValue = getPermissionCookie(for: .microphone)
+            
+            AVCaptureDevice.requestAccess(for: .audio) { [weak self] granted in
+                DispatchQueue.main.async {
+                    print("🍪 [PermissionManager] 🎙️ Microphone permission response received:")
+                    print("🍪 [PermissionManager]    Granted: \(granted)")
+                    print("🍪 [PermissionManager]    Old Status: \(oldStatus.rawValue)")
+                    print("🍪 [PermissionManager]    Old Cookie: \(oldCookieValue)")
+                    
+                    let newStatus: PermissionStatus = granted ? .granted : .denied
+                    let newCookieValue = newStatus.isGranted ? "yes" : "no"
+                    
+                    print("🍪 [PermissionManager]    New Status: \(newStatus.rawValue)")
+                    print("🍪 [PermissionManager]    New Cookie: \(newCookieValue)")
+                    
+                    if oldStatus != newStatus {
+                        print("🍪 [PermissionManager] 🔥 MICROPHONE STATUS CHANGE: \(oldStatus.rawValue) → \(newStatus.rawValue)")
+                    }
+                    if oldCookieValue != newCookieValue {
+                        print("🍪 [PermissionManager] 🔥 MICROPHONE COOKIE CHANGE: \(oldCookieValue) → \(newCookieValue)")
+                    }
+                    
+                    self?.permissionStatuses[.microphone] = newStatus
+                    self?.updatePermissionCookie(for: .microphone, status: newStatus)
+                    self?.notifyDelegateOfPermissionChanges()
+                    
+                    print("🍪 [PermissionManager] ✅ Microphone permission processing complete")
+                    completion?(newStatus)
                 }
             }
             
@@ -648,11 +729,96 @@ class PermissionManager: NSObject {
                     self?.notifyDelegateOfPermissionChanges()
                     
                     print("🍪 [PermissionManager] ✅ Notification permission processing complete")
+                    completion?(newStatus)
                 }
             }
         }
     }
     
+    // MARK: - Batch Requests
+    
+    /// Asks for each permission in turn for a page's `ZooboxBridge.requestPermissions` call.
+    /// The page's rationale replaces the usage description on the screen shown before each
+    /// system prompt. Denied permissions offer Settings instead, as iOS will not prompt again.
+    func requestPermissions(_ requests: [PermissionRequest], from viewController: UIViewController, completion: @escaping ([PermissionType: PermissionStatus]) -> Void) {
+        var results: [PermissionType: PermissionStatus] = [:]
+        
+        func requestNext(_ index: Int) {
+            guard index < requests.count else {
+                completion(results)
+                return
+            }
+            
+            let request = requests[index]
+            let finish: (PermissionStatus) -> Void = { status in
+                results[request.type] = status
+                requestNext(index + 1)
+            }
+            let explanation = request.rationale ?? request.type.usageDescription
+            
+            switch getCurrentPermissionStatus(for: request.type) {
+            case .granted:
+                finish(.granted)
+            case .restricted:
+                // Restricted by device management; neither the user nor Settings can change it
+                finish(.restricted)
+            case .notDetermined:
+                showRationaleAlert(for: request.type, message: explanation, from: viewController) { allowed in
+                    if allowed {
+                        self.requestPermissionDirectly(for: request.type, completion: finish)
+                    } else {
+                        finish(.notDetermined)
+                    }
+                }
+            case .denied:
+                showSettingsAlert(for: request.type, message: explanation, from: viewController) {
+                    finish(.denied)
+                }
+            }
+        }
+        
+        requestNext(0)
+    }
+    
+    private func showRationaleAlert(for type: PermissionType, message: String, from viewController: UIViewController, completion: @escaping (Bool) -> Void) {
+        let alert = UIAlertController(
+            title: "\(type.displayName) Access Needed",
+            message: message,
+            preferredStyle: .alert
+        )
+        
+        alert.addAction(UIAlertAction(title: "Allow", style: .default) { _ in
+            completion(true)
+        })
+        
+        alert.addAction(UIAlertAction(title: "Not Now", style: .cancel) { _ in
+            completion(false)
+        })
+        
+        viewController.present(alert, animated: true)
+    }
+    
+    private func showSettingsAlert(for type: PermissionType, message: String, from viewController: UIViewController, completion: @escaping () -> Void) {
+        let alert = UIAlertController(
+            title: "\(type.displayName) Permission",
+            message: "\(message)\n\nYou can enable \(type.displayName.lowercased()) access in Settings.",
+            preferredStyle: .alert
+        )
+        
+        alert.addAction(UIAlertAction(title: "Not Now", style: .cancel) { _ in
+            completion()
+        })
+        
+        alert.addAction(UIAlertAction(title: "Open Settings", style: .default) { _ in
+            if let url = URL(string: UIApplication.openSettingsURLString) {
+                UIApplication.shared.open(url)
+            }
+            completion()
+        })
+        
+        viewController.present(alert, animated: true)
+    }
+    
     private func showPrePermissionAlert(for type: PermissionType, from viewController: UIViewController) {
         let alert = UIAlertController(
             title: "\(type.displayName) Access Needed",
@@ -780,6 +946,13 @@ extension PermissionManager: CLLocationManagerDelegate {
         updatePermissionCookie(for: .location, status: newStatus)
         notifyDelegateOfPermissionChanges()
         
+        // The delegate also reports the current status on setup, so wait for the user's answer
+        if newStatus != .notDetermined && !locationRequestCompletions.isEmpty {
+            let completions = locationRequestCompletions
+            locationRequestCompletions.removeAll()
+            completions.forEach { $0(newStatus) }
+        }
+        
         print("🍪 [PermissionManager] ✅ Location permission processing complete")
     }
 } 
\ No newline at end of file
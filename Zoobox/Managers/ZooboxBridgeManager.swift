@@ -0,0 +1,393 @@
+import UIKit
+import WebKit
+import Network
+
+/// Native side of the `zooboxBridge` message handler that webview-permission-override.js calls.
+/// Each message is `{ id, method, params }` and is answered with
+/// `ZooboxBridge._resolveCall(id, result)` or `ZooboxBridge._rejectCall(id, { code, message })`
+/// in the frame that sent it.
+class ZooboxBridgeManager: NSObject, WKScriptMessageHandler {
+    static let handlerName = "zooboxBridge"
+    
+    weak var webView: WKWebView?
+    weak var presentingViewController: UIViewController?
+    
+    // Listed in the getBridgeInfo handshake; the page keeps WebKit's own API for anything missing
+    private let capabilities = ["requestPermissions", "share", "writeClipboard", "readClipboard", "requestWakeLock", "releaseWakeLock"]
+    
+    // The one allowlist for both sides: the override script gets it as allowedOrigins, and because its
+    // check is advisory, calls from anywhere else are refused here as well
+    static let trustedHosts = ["mikmik.site"]
+    
+    /// `trustedHosts` as override script origin patterns: each host and its subdomains, over https.
+    static var allowedOrigins: [String] {
+        return trustedHosts.flatMap { ["https://\($0)", "https://*.\($0)"] }
+    }
+    
+    /// Document-start script that hands `allowedOrigins` to webview-permission-override.js through
+    /// `window.zooboxOverrideConfig`. Add it before the override script; it runs in every frame so
+    /// frames see the same allowlist as the page.
+    static func makeOverrideConfigScript() -> WKUserScript {
+        let data = (try? JSONSerialization.data(withJSONObject: allowedOrigins)) ?? Data("[]".utf8)
+        let origins = String(data: data, encoding: .utf8) ?? "[]"
+        let source = "window.zooboxOverrideConfig = Object.assign(window.zooboxOverrideConfig || {}, { allowedOrigins: \(origins) });"
+        return WKUserScript(source: source, injectionTime: .atDocumentStart, forMainFrameOnly: false)
+    }
+    
+    private var heldWakeLocks = Set<String>()
+    private var isSharing = false
+    private var isRequestingPermissions = false
+    
+    // Own monitor rather than ConnectivityManager's, which is cancelled when the main screen goes away
+    private let pathMonitor = NWPathMonitor()
+    private var connectivityState: [String: Any]?
+    
+    override init() {
+        super.init()
+        
+        pathMonitor.pathUpdateHandler = { [weak self] path in
+            let state = ZooboxBridgeManager.makeConnectivityState(for: path)
+            DispatchQueue.main.async {
+                self?.connectivityDidChange(state)
+            }
+        }
+        pathMonitor.start(queue: DispatchQueue(label: "ZooboxBridgeConnectivity"))
+        
+        // Like browsers, drop every wake lock once the app is no longer on screen
+        NotificationCenter.default.addObserver(
+            self,
+            selector: #selector(appDidEnterBackground),
+            name: UIApplication.didEnterBackgroundNotification,
+            object: nil
+        )
+    }
+    
+    deinit {
+        NotificationCenter.default.removeObserver(self)
+        pathMonitor.cancel()
+        releaseAllWakeLocks()
+    }
+    
+    // MARK: - WKScriptMessageHandler
+    
+    func userContentController(_ userContentController: WKUserContentController, didReceive message: WKScriptMessage) {
+        guard let body = message.body as? [String: Any],
+              let method = body["method"] as? String else {
+            print("🌉 [ZooboxBridge] Ignoring malformed message: \(message.body)")
+            return
+        }
+        let params = body["params"] as? [String: Any] ?? [:]
+        let frame = message.frameInfo
+        
+        // One-way report from a document the override script kept off the bridge, so it has no id
+        if method == "reportBlockedAccess" {
+            reportBlockedAccess(params, from: frame)
+            return
+        }
+        
+        guard let id = body["id"] as? String else {
+            print("🌉 [ZooboxBridge] Ignoring \(method) without an id")
+            return
+        }
+        
+        guard isTrusted(frame) else {
+            print("🌉 [ZooboxBridge] Refusing \(method) from \(frame.securityOrigin.host)")
+            reject(id, code: "PERMISSION_DENIED", message: "This page may not use the Zoobox bridge", in: frame)
+            return
+        }
+        
+        print("🌉 [ZooboxBridge] \(method) (\(id))")
+        
+        switch method {
+        case "getBridgeInfo":
+            resolve(id, with: bridgeInfo(), in: frame)
+        case "requestPermissions":
+            requestPermissions(params, id: id, frame: frame)
+        case "share":
+            share(params, id: id, frame: frame)
+        case "writeClipboard":
+            UIPasteboard.general.string = params["text"] as? String ?? ""
+            resolve(id, with: nil, in: frame)
+        case "readClipboard":
+            readClipboard(id: id, frame: frame)
+        case "requestWakeLock":
+            guard let lockId = params["id"] as? String else {
+                reject(id, code: "INVALID_OPTIONS", message: "id is required", in: frame)
+                return
+            }
+            heldWakeLocks.insert(lockId)
+            updateIdleTimer()
+            resolve(id, with: nil, in: frame)
+        case "releaseWakeLock":
+            if let lockId = params["id"] as? String {
+                heldWakeLocks.remove(lockId)
+                updateIdleTimer()
+            }
+            resolve(id, with: nil, in: frame)
+        default:
+            reject(id, code: "UNSUPPORTED", message: "\(method) is not supported by this app version", in: frame)
+        }
+    }
+    
+    // MARK: - Navigation
+    
+    /// Call when the web view starts a new navigation; the old page's wake locks go with it.
+    func webViewDidStartNavigation() {
+        releaseAllWakeLocks()
+    }
+    
+    /// Call when a navigation finishes, so the new page starts from the device's network state.
+    func webViewDidFinishNavigation() {
+        pushConnectivity()
+    }
+    
+    // MARK: - Handshake
+    
+    private func bridgeInfo() -> [String: Any] {
+        let info = Bundle.main.infoDictionary ?? [:]
+        return [
+            "appVersion": info["CFBundleShortVersionString"] as? String ?? NSNull(),
+            "build": info["CFBundleVersion"] as? String ?? NSNull(),
+            "platform": "ios",
+            "osVersion": UIDevice.current.systemVersion,
+            "idiom": UIDevice.current.isIPad ? "pad" : "phone",
+            "capabilities": capabilities
+        ]
+    }
+    
+    // MARK: - Blocked Access
+    
+    // The script caps reports per page, so logging each one is enough to spot frames that want location or the camera
+    private func reportBlockedAccess(_ params: [String: Any], from frame: WKFrameInfo) {
+        let api = params["api"] as? String ?? "unknown API"
+        let origin = params["origin"] as? String ?? frame.securityOrigin.host
+        let reason = params["reason"] as? String ?? "unknown reason"
+        let behavior = params["behavior"] as? String ?? "fallback"
+        let frameKind = frame.isMainFrame ? "main frame" : "subframe"
+        print("🚫 [ZooboxBridge] Blocked \(api) in \(frameKind) \(origin) (\(reason), \(behavior))")
+    }
+    
+    // MARK: - Permissions
+    
+    private func requestPermissions(_ params: [String: Any], id: String, frame: WKFrameInfo) {
+        guard let viewController = presentingViewController else {
+            reject(id, code: "UNAVAILABLE", message: "Nothing can present the permission screens", in: frame)
+            return
+        }
+        guard !isRequestingPermissions else {
+            reject(id, code: "UNAVAILABLE", message: "Another permission request is already showing", in: frame)
+            return
+        }
+        
+        var requests: [PermissionRequest] = []
+        for entry in params["permissions"] as? [[String: Any]] ?? [] {
+            guard let name = entry["name"] as? String, let type = PermissionType(rawValue: name) else {
+                reject(id, code: "INVALID_OPTIONS", message: "Unknown permission \(entry["name"] ?? "")", in: frame)
+                return
+            }
+            requests.append(PermissionRequest(type: type, rationale: entry["rationale"] as? String))
+        }
+        
+        isRequestingPermissions = true
+        PermissionManager.shared.requestPermissions(requests, from: viewController) { [weak self] statuses in
+            guard let self = self else { return }
+            self.isRequestingPermissions = false
+            
+            var reply: [String: Any] = [:]
+            for (type, status) in statuses {
+                reply[type.rawValue] = ["status": status.rawValue, "settingsRequired": status == .denied]
+            }
+            self.resolve(id, with: reply, in: frame)
+        }
+    }
+    
+    // MARK: - Share
+    
+    private func share(_ params: [String: Any], id: String, frame: WKFrameInfo) {
+        guard let viewController = presentingViewController, let webView = webView else {
+            reject(id, code: "UNAVAILABLE", message: "Nothing can present the share sheet", in: frame)
+            return
+        }
+        guard !isSharing else {
+            reject(id, code: "PERMISSION_DENIED", message: "A share is already in progress", in: frame)
+            return
+        }
+        
+        var items: [Any] = []
+        // The share sheet has no title field, so the title only goes out when there is no text
+        if let text = params["text"] as? String ?? params["title"] as? String {
+            items.append(text)
+        }
+        if let urlString = params["url"] as? String, let url = URL(string: urlString) {
+            items.append(url)
+        }
+        let fileURLs = writeShareFiles(params["files"] as? [[String: Any]] ?? [])
+        items.append(contentsOf: fileURLs)
+        
+        guard !items.isEmpty else {
+            reject(id, code: "INVALID_OPTIONS", message: "Nothing to share", in: frame)
+            return
+        }
+        
+        let activityController = UIActivityViewController(activityItems: items, applicationActivities: nil)
+        activityController.completionWithItemsHandler = { [weak self] _, completed, _, error in
+            guard let self = self else { return }
+            self.isSharing = false
+            fileURLs.forEach { try? FileManager.default.removeItem(at: $0.deletingLastPathComponent()) }
+            
+            if let error = error {
+                self.reject(id, code: "SHARE_FAILED", message: error.localizedDescription, in: frame)
+            } else if completed {
+                self.resolve(id, with: nil, in: frame)
+            } else {
+                self.reject(id, code: "CANCELLED", message: "Share cancelled", in: frame)
+            }
+        }
+        
+        // iPad-specific popover presentation
+        if UIDevice.current.isIPad, let popover = activityController.popoverPresentationController {
+            popover.sourceView = webView
+            popover.sourceRect = CGRect(x: webView.bounds.midX, y: webView.bounds.midY, width: 0, height: 0)
+            popover.permittedArrowDirections = []
+        }
+        
+        isSharing = true
+        viewController.present(activityController, animated: true)
+    }
+    
+    // Shared files arrive as base64; the share sheet needs them on disk under their own names
+    private func writeShareFiles(_ files: [[String: Any]]) -> [URL] {
+        return files.compactMap { file in
+            guard let base64 = file["data"] as? String, let data = Data(base64Encoded: base64) else {
+                return nil
+            }
+            let name = (file["name"] as? String).flatMap { $0.isEmpty ? nil : ($0 as NSString).lastPathComponent } ?? "shared-file"
+            let directory = FileManager.default.temporaryDirectory.appendingPathComponent(UUID().uuidString, isDirectory: true)
+            let url = directory.appendingPathComponent(name)
+            do {
+                try FileManager.default.createDirectory(at: directory, withIntermediateDirectories: true)
+                try data.write(to: url)
+                return url
+            } catch {
+                print("🌉 [ZooboxBridge] Could not write shared file \(name): \(error)")
+                return nil
+            }
+        }
+    }
+    
+    // MARK: - Clipboard
+    
+    private func readClipboard(id: String, frame: WKFrameInfo) {
+        let pasteboard = UIPasteboard.general
+        // hasStrings does not prompt; string does, and is nil when the user declines the paste
+        guard pasteboard.hasStrings else {
+            resolve(id, with: ["text": ""], in: frame)
+            return
+        }
+        guard let text = pasteboard.string else {
+            reject(id, code: "PERMISSION_DENIED", message: "Paste not allowed", in: frame)
+            return
+        }
+        resolve(id, with: ["text": text], in: frame)
+    }
+    
+    // MARK: - Wake Lock
+    
+    private func updateIdleTimer() {
+        UIApplication.shared.isIdleTimerDisabled = !heldWakeLocks.isEmpty
+    }
+    
+    private func releaseAllWakeLocks() {
+        guard !heldWakeLocks.isEmpty else { return }
+        print("🌉 [ZooboxBridge] Releasing \(heldWakeLocks.count) wake lock(s)")
+        heldWakeLocks.removeAll()
+        updateIdleTimer()
+    }
+    
+    @objc private func appDidEnterBackground() {
+        releaseAllWakeLocks()
+    }
+    
+    // MARK: - Connectivity
+    
+    // The state the override script expects in ZooboxBridge._updateConnectivity
+    private static func makeConnectivityState(for path: NWPath) -> [String: Any] {
+        let online = path.status == .satisfied
+        let type: String
+        if !online {
+            type = "none"
+        } else if path.usesInterfaceType(.wifi) {
+            type = "wifi"
+        } else if path.usesInterfaceType(.cellular) {
+            type = "cellular"
+        } else if path.usesInterfaceType(.wiredEthernet) {
+            type = "ethernet"
+        } else {
+            type = "other"
+        }
+        return [
+            "online": online,
+            "type": type,
+            "constrained": path.isConstrained,
+            "expensive": path.isExpensive
+        ]
+    }
+    
+    private func connectivityDidChange(_ state: [String: Any]) {
+        connectivityState = state
+        print("🌉 [ZooboxBridge] Connectivity: \(state["type"] ?? "unknown")")
+        pushConnectivity()
+    }
+    
+    private func pushConnectivity() {
+        guard let state = connectivityState else { return }
+        send("window.ZooboxBridge._updateConnectivity && window.ZooboxBridge._updateConnectivity(\(jsonLiteral(state)))", to: nil)
+    }
+    
+    // MARK: - Replies
+    
+    private func isTrusted(_ frame: WKFrameInfo) -> Bool {
+        let origin = frame.securityOrigin
+        guard origin.protocol == "https" else { return false }
+        return ZooboxBridgeManager.trustedHosts.contains { origin.host == $0 || origin.host.hasSuffix("." + $0) }
+    }
+    
+    private func resolve(_ id: String, with result: Any?, in frame: WKFrameInfo) {
+        send("window.ZooboxBridge._resolveCall(\(jsonLiteral(id)), \(jsonLiteral(result)))", to: frame)
+    }
+    
+    private func reject(_ id: String, code: String, message: String, in frame: WKFrameInfo) {
+        let error: [String: Any] = ["code": code, "message": message]
+        send("window.ZooboxBridge._rejectCall(\(jsonLiteral(id)), \(jsonLiteral(error)))", to: frame)
+    }
+    
+    private func jsonLiteral(_ value: Any?) -> String {
+        guard let value = value,
+              let data = try? JSONSerialization.data(withJSONObject: value, options: .fragmentsAllowed),
+              let json = String(data: data, encoding: .utf8) else {
+            return "null"
+        }
+        return json
+    }
+    
+    // Replies go to the frame that asked (nil is the main frame), and only while the web view still has a page loaded
+    private func send(_ script: String, to frame: WKFrameInfo?) {
+        guard Thread.isMainThread else {
+            DispatchQueue.main.async { [weak self] in
+                self?.send(script, to: frame)
+            }
+            return
+        }
+        guard let webView = webView, webView.url != nil else {
+            print("🌉 [ZooboxBridge] No page to reply to, dropping: \(script.prefix(80))")
+            return
+        }
+        
+        let guardedScript = "if (window.ZooboxBridge) { \(script); }"
+        webView.evaluateJavaScript(guardedScript, in: frame, in: .page) { result in
+            if case .failure(let error) = result {
+                print("🌉 [ZooboxBridge] Reply failed: \(error.localizedDescription)")
+            }
+        }
+    }
+}
@@ -0,0 +1,268 @@
+// Zoobox WebView Haptics
+// Named haptic styles, timed patterns, a navigator.vibrate shim and one delegated listener for
+// declarative data-haptic attributes. MainViewController injects it at document end.
+//
+//   <button data-haptic="success">Place order</button>
+//   <a href="/cart" data-haptic="heavy" data-haptic-intensity="0.6">Cart</a>
+//   <div data-haptic="none">...</div>   (no haptics for taps inside)
+
+(function() {
+    'use strict';
+    
+    if (window.ZooboxBridge && window.ZooboxBridge.haptics) {
+        return;
+    }
+    
+    // Configuration supplied by the native app at injection time (window.zooboxOverrideConfig.haptics)
+    const config = Object.assign({
+        // Played for taps on interactive elements without a data-haptic attribute; null disables it
+        defaultTapStyle: 'light',
+        // Elements that get defaultTapStyle
+        interactiveSelector: 'a, button, input, select, textarea, [role="button"], [tabindex], [onclick], [onmousedown], [ontouchstart]'
+    }, (window.zooboxOverrideConfig || {}).haptics || {});
+    
+    const IMPACT_STYLES = ['light', 'medium', 'heavy', 'soft', 'rigid'];
+    const NOTIFICATION_STYLES = ['success', 'warning', 'error'];
+    
+    // Plain strings every app build understands; anything else needs the structured message
+    const LEGACY_STYLES = ['light', 'medium', 'heavy', 'success', 'warning', 'error'];
+    
+    // Presets for play(); each step waits `delay` milliseconds after the previous one
+    const PATTERNS = {
+        doubleTap: ['light', { haptic: 'light', delay: 90 }],
+        heartbeat: [{ haptic: 'heavy', intensity: 0.9 }, { haptic: 'light', delay: 120 }],
+        knock: ['rigid', { haptic: 'rigid', delay: 140 }, { haptic: 'rigid', delay: 140 }],
+        rampUp: [
+            { haptic: 'soft', intensity: 0.3 },
+            { haptic: 'soft', intensity: 0.6, delay: 80 },
+            { haptic: 'heavy', intensity: 1, delay: 80 }
+        ]
+    };
+    
+    const warn = function() {
+        const logger = window.ZooboxBridge && window.ZooboxBridge.logger;
+        (logger ? logger.warn : console.warn).apply(logger || console, arguments);
+    };
+    
+    const post = function(message) {
+        const handlers = window.webkit && window.webkit.messageHandlers;
+        if (!handlers || !handlers.hapticFeedback) {
+            return false;
+        }
+        try {
+            handlers.hapticFeedback.postMessage(message);
+            return true;
+        } catch (error) {
+            warn('⚠️ Haptic feedback failed:', error && error.message);
+            return false;
+        }
+    };
+    
+    // Normalize a haptic name to { type, style, intensity }; throws TypeError for unknown names
+    const toHaptic = function(name, intensity) {
+        const haptic = {};
+        if (name === 'selection') {
+            haptic.type = 'selection';
+        } else if (IMPACT_STYLES.indexOf(name) !== -1) {
+            haptic.type = 'impact';
+            haptic.style = name;
+        } else if (NOTIFICATION_STYLES.indexOf(name) !== -1) {
+            haptic.type = 'notification';
+            haptic.style = name;
+        } else {
+            throw new TypeError('Unknown haptic "' + name + '"');
+        }
+        
+        if (intensity !== undefined && intensity !== null) {
+            if (haptic.type !== 'impact' || typeof intensity !== 'number' || isNaN(intensity)) {
+                throw new TypeError('Intensity must be a number and only applies to impact haptics');
+            }
+            haptic.intensity = Math.max(0, Math.min(1, intensity));
+        }
+        return haptic;
+    };
+    
+    const playHaptic = function(haptic) {
+        const isLegacy = haptic.intensity === undefined && LEGACY_STYLES.indexOf(haptic.style) !== -1;
+        return post(isLegacy ? haptic.style : haptic);
+    };
+    
+    // Turn a pattern (preset name or array of names / { haptic, intensity, delay } steps) into
+    // steps with an absolute offset, validating every step before anything plays
+    const toSteps = function(pattern) {
+        const source = typeof pattern === 'string' ? PATTERNS[pattern] : pattern;
+        if (!Array.isArray(source) || source.length === 0) {
+            throw new TypeError('A haptic pattern must be a preset name or a non-empty array of steps');
+        }
+        
+        let offset = 0;
+        return source.map(function(step) {
+            const definition = typeof step === 'string' ? { haptic: step } : (step || {});
+            const delay = definition.delay === undefined ? 0 : definition.delay;
+            if (typeof delay !== 'number' || !(delay >= 0) || !isFinite(delay)) {
+                throw new TypeError('Haptic step delay must be a non-negative number of milliseconds');
+            }
+            offset += delay;
+            return { at: offset, haptic: toHaptic(definition.haptic, definition.intensity) };
+        });
+    };
+    
+    // Only one pattern plays at a time; starting another (or stop()) cancels the rest of it
+    let activePattern = null;
+    
+    const stopPattern = function() {
+        if (!activePattern) {
+            return false;
+        }
+        activePattern.timers.forEach(clearTimeout);
+        activePattern.finish(false);
+        activePattern = null;
+        return true;
+    };
+    
+    const playSteps = function(steps) {
+        stopPattern();
+        
+        return new Promise(function(resolve) {
+            const pattern = { timers: [], finish: resolve };
+            activePattern = pattern;
+            
+            steps.forEach(function(step, index) {
+                const run = function() {
+                    playHaptic(step.haptic);
+                    if (index === steps.length - 1 && activePattern === pattern) {
+                        activePattern = null;
+                        resolve(true);
+                    }
+                };
+                if (step.at === 0) {
+                    run();
+                } else {
+                    pattern.timers.push(setTimeout(run, step.at));
+                }
+            });
+        });
+    };
+    
+    const haptics = {
+        PATTERNS: PATTERNS,
+        
+        // Play any named haptic: an impact style, a notification style or 'selection'
+        trigger: function(name, intensity) {
+            return playHaptic(toHaptic(name || 'light', intensity));
+        },
+        
+        impact: function(style, intensity) {
+            const haptic = toHaptic(style || 'medium', intensity);
+            if (haptic.type !== 'impact') {
+                throw new TypeError('Unknown impact style "' + style + '"');
+            }
+            return playHaptic(haptic);
+        },
+        
+        notification: function(type) {
+            const haptic = toHaptic(type || 'success');
+            if (haptic.type !== 'notification') {
+                throw new TypeError('Unknown notification haptic "' + type + '"');
+            }
+            return playHaptic(haptic);
+        },
+        
+        selection: function() {
+            return playHaptic(toHaptic('selection'));
+        },
+        
+        // Resolves true when the pattern finished, false when it was stopped or replaced
+        play: function(pattern) {
+            let steps;
+            try {
+                steps = toSteps(pattern);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+            return playSteps(steps);
+        },
+        
+        stop: stopPattern
+    };
+    
+    // navigator.vibrate shim: iOS has no vibration motor API, so each vibration becomes one impact
+    // whose weight follows its duration, played when the vibration would have started
+    const vibrationStyle = function(duration) {
+        if (duration <= 20) {
+            return 'light';
+        }
+        return duration <= 60 ? 'medium' : 'heavy';
+    };
+    
+    const vibrate = function(pattern) {
+        const durations = (Array.isArray(pattern) ? pattern : [pattern]).map(function(value) {
+            const duration = Number(value);
+            return isFinite(duration) && duration > 0 ? duration : 0;
+        });
+        
+        const hasVibration = durations.some(function(duration, index) {
+            return index % 2 === 0 && duration > 0;
+        });
+        
+        // vibrate(0) and vibrate([]) cancel whatever is playing
+        stopPattern();
+        if (!hasVibration) {
+            return true;
+        }
+        if (!window.webkit || !window.webkit.messageHandlers || !window.webkit.messageHandlers.hapticFeedback) {
+            return false;
+        }
+        
+        const steps = [];
+        let at = 0;
+        durations.forEach(function(duration, index) {
+            if (index % 2 === 0 && duration > 0) {
+                steps.push({ at: at, haptic: toHaptic(vibrationStyle(duration)) });
+            }
+            at += duration;
+        });
+        playSteps(steps);
+        return true;
+    };
+    
+    Object.defineProperty(navigator, 'vibrate', { configurable: true, writable: true, value: vibrate });
+    
+    // Declarative haptics: one capturing click listener instead of handlers on every element.
+    // click only fires for taps, never for scrolls, and capturing sees it even if the page
+    // stops propagation.
+    document.addEventListener('click', function(event) {
+        if (!event.isTrusted || !(event.target instanceof Element)) {
+            return;
+        }
+        
+        const annotated = event.target.closest('[data-haptic]');
+        if (annotated) {
+            const name = annotated.getAttribute('data-haptic');
+            if (name === 'none') {
+                return;
+            }
+            const intensityAttribute = annotated.getAttribute('data-haptic-intensity');
+            try {
+                if (PATTERNS[name]) {
+                    haptics.play(name);
+                } else {
+                    haptics.trigger(name, intensityAttribute === null ? undefined : parseFloat(intensityAttribute));
+                }
+            } catch (error) {
+                warn('⚠️ Ignoring data-haptic="' + name + '":', error.message);
+            }
+            return;
+        }
+        
+        if (config.defaultTapStyle && event.target.closest(config.interactiveSelector)) {
+            haptics.trigger(config.defaultTapStyle);
+        }
+    }, true);
+    
+    // Keep anything the override script or native already put on window.ZooboxBridge
+    const ZooboxBridge = window.ZooboxBridge || {};
+    window.ZooboxBridge = ZooboxBridge;
+    ZooboxBridge.haptics = haptics;
+    
+})();
\ No newline at end of file
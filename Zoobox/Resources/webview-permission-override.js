@@ -1,176 +1,2171 @@
 // Zoobox WebView Permission Override System
 // This script prevents browser permission dialogs when permissions are already granted
 
-console.log('🔐 Zoobox Permission Override System Initializing...');
-
 (function() {
     'use strict';
     
-    // Store original APIs
-    const originalGeolocation = navigator.geolocation;
-    const originalNotification = window.Notification;
-    const originalGetUserMedia = navigator.mediaDevices ? navigator.mediaDevices.getUserMedia : null;
+    // Idempotent injection: MainViewController has several code paths that add user scripts, so this
+    // script can run more than once in a page. A later copy hands its config to the running install
+    // instead of wrapping the wrappers and saving them as "originals".
+    if (window.ZooboxOverrides && window.ZooboxOverrides.installed) {
+        window.ZooboxOverrides.configure(window.zooboxOverrideConfig || {});
+        return;
+    }
+    
+    // Everything this script patches or listens to, so uninstall() can put the page back as it was
+    const installedPatches = [];
+    const installedListeners = [];
+    const uninstallHooks = [];
+    
+    // Each wrapper points at what it wraps, so a copy from an older build that missed the guard
+    // does not hide the browser's implementation
+    const WRAPPED_KEY = '__zooboxWrapped';
+    
+    const unwrap = function(value) {
+        while (typeof value === 'function' && value[WRAPPED_KEY]) {
+            value = value[WRAPPED_KEY];
+        }
+        return value;
+    };
+    
+    // The browser's own target[name]. WebKit keeps API methods on the prototype, so an own property
+    // shadowing one was put there by an earlier script, such as MainViewController's legacy intercepts.
+    const getOriginal = function(target, name) {
+        if (!target) {
+            return undefined;
+        }
+        const prototype = Object.getPrototypeOf(target);
+        if (Object.prototype.hasOwnProperty.call(target, name) && prototype && typeof prototype[name] === 'function') {
+            return prototype[name];
+        }
+        return unwrap(target[name]);
+    };
+    
+    // Replace target[name] with a { value } or { get } descriptor and remember how to undo it
+    const patchProperty = function(target, name, descriptor) {
+        const previous = Object.getOwnPropertyDescriptor(target, name);
+        if (typeof descriptor.value === 'function') {
+            Object.defineProperty(descriptor.value, WRAPPED_KEY, { value: getOriginal(target, name) });
+        }
+        Object.defineProperty(target, name, Object.assign({
+            configurable: true,
+            enumerable: previous ? previous.enumerable : true
+        }, 'value' in descriptor ? { writable: true } : {}, descriptor));
+        installedPatches.push({ target: target, name: name, previous: previous });
+    };
+    
+    const addInstalledListener = function(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        installedListeners.push({ target: target, type: type, listener: listener, options: options });
+    };
+    
+    // Configuration supplied by the native app at injection time
+    const config = Object.assign({
+        // Milliseconds before an unanswered bridge call is rejected
+        bridgeTimeout: 15000,
+        // Queue geolocation/getUserMedia calls made without permission and retry them once granted
+        waitForPermissionGrant: false,
+        // Milliseconds a queued call waits for the user to grant permission
+        permissionGrantTimeout: 60000,
+        // Allow/deny rules for alert/confirm/prompt (see the dialog policy section below)
+        dialogPolicy: null,
+        // Console level: 'debug', 'info', 'warn', 'error' or 'silent' (window.zooboxPermissions.logLevel also works)
+        logLevel: null,
+        // { handler, level, batchSize, flushInterval } to forward log records to native
+        logSink: null,
+        // Milliseconds to wait for native to answer the getBridgeInfo handshake
+        handshakeTimeout: 3000,
+        // Origins that get the overrides, e.g. ['https://zoobox.site', 'https://*.zoobox.site'];
+        // null trusts the top-level page whatever its origin (see the scope section below)
+        allowedOrigins: null,
+        // Let cross-origin frames whose own origin is in allowedOrigins use the overrides
+        allowCrossOriginFrames: false,
+        // What untrusted documents get: 'fallback' to the browser's APIs or 'deny'
+        blockedAccess: 'fallback'
+    }, window.zooboxOverrideConfig || {});
     
     // Permission status from native app
     let zooboxPermissions = window.zooboxPermissions || {};
     
+    // Logger: level-filtered console output plus an optional sink that batches
+    // records to a native message handler so they reach the app's own logs
+    const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+    
+    const logSinkConfig = Object.assign({
+        // Name of the webkit.messageHandlers handler that receives batches; null disables the sink
+        handler: null,
+        level: 'warn',
+        batchSize: 20,
+        flushInterval: 5000,
+        // Argument keys whose values never reach native logs, matched case-insensitively at any depth
+        redactKeys: ['token', 'password', 'authorization', 'cookie', 'latitude', 'longitude']
+    }, config.logSink || {});
+    
+    const LOG_REDACTED = '[redacted]';
+    const logRedactKeys = (Array.isArray(logSinkConfig.redactKeys) ? logSinkConfig.redactKeys : []).map(function(key) {
+        return String(key).toLowerCase();
+    });
+    
+    const toLogLevel = function(level, fallback) {
+        return Object.prototype.hasOwnProperty.call(LOG_LEVELS, level) ? level : fallback;
+    };
+    
+    let logLevel = toLogLevel(config.logLevel || zooboxPermissions.logLevel, 'warn');
+    let logSinkLevel = toLogLevel(logSinkConfig.level, 'warn');
+    const pendingLogRecords = [];
+    let logFlushTimer = null;
+    
+    const redactLogValue = function(key, value) {
+        return key && logRedactKeys.indexOf(key.toLowerCase()) !== -1 ? LOG_REDACTED : value;
+    };
+    
+    // Native handlers only accept plain data, so reduce arguments to JSON-safe values
+    const serializeLogArgument = function(value) {
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+        }
+        if (value === undefined || typeof value === 'function') {
+            return String(value);
+        }
+        try {
+            return JSON.parse(JSON.stringify(value, redactLogValue));
+        } catch (error) {
+            return String(value);
+        }
+    };
+    
+    // Query strings and fragments can carry session tokens, so records only name the page
+    const getLogUrl = function() {
+        return window.location ? window.location.origin + window.location.pathname : null;
+    };
+    
+    const getLogSink = function() {
+        return logSinkConfig.handler && window.webkit && window.webkit.messageHandlers
+            ? window.webkit.messageHandlers[logSinkConfig.handler]
+            : null;
+    };
+    
+    const flushLogRecords = function() {
+        clearTimeout(logFlushTimer);
+        logFlushTimer = null;
+        
+        const sink = getLogSink();
+        if (!sink || pendingLogRecords.length === 0) {
+            pendingLogRecords.length = 0;
+            return;
+        }
+        
+        const records = pendingLogRecords.splice(0, pendingLogRecords.length);
+        try {
+            sink.postMessage({ records: records });
+        } catch (error) {
+            console.error('🪵 Failed to forward log records to native:', error);
+        }
+    };
+    
+    const writeLog = function(level, args) {
+        const message = args.length > 0 ? String(args[0]) : '';
+        
+        if (LOG_LEVELS[level] >= LOG_LEVELS[logLevel]) {
+            const consoleMethod = level === 'debug' ? 'log' : level;
+            (console[consoleMethod] || console.log).apply(console, args);
+        }
+        
+        if (LOG_LEVELS[level] >= LOG_LEVELS[logSinkLevel] && getLogSink()) {
+            pendingLogRecords.push({
+                level: level,
+                message: message,
+                args: Array.prototype.slice.call(args, 1).map(serializeLogArgument),
+                timestamp: Date.now(),
+                url: getLogUrl()
+            });
+            
+            if (pendingLogRecords.length >= logSinkConfig.batchSize) {
+                flushLogRecords();
+            } else if (!logFlushTimer) {
+                logFlushTimer = setTimeout(flushLogRecords, logSinkConfig.flushInterval);
+            }
+        }
+    };
+    
+    const logger = {
+        debug: function() {
+            writeLog('debug', arguments);
+        },
+        info: function() {
+            writeLog('info', arguments);
+        },
+        warn: function() {
+            writeLog('warn', arguments);
+        },
+        error: function() {
+            writeLog('error', arguments);
+        },
+        setLevel: function(level) {
+            logLevel = toLogLevel(level, logLevel);
+        },
+        setSinkLevel: function(level) {
+            logSinkLevel = toLogLevel(level, logSinkLevel);
+        },
+        getLevel: function() {
+            return logLevel;
+        },
+        flush: flushLogRecords
+    };
+    
+    // Don't lose a partial batch when the page goes away
+    addInstalledListener(window, 'pagehide', flushLogRecords);
+    uninstallHooks.push(flushLogRecords);
+    
+    // Config a later injection hands over; each section applies what it can change at runtime
+    const configHandlers = [
+        function(changes) {
+            if (changes.logLevel) {
+                logger.setLevel(changes.logLevel);
+            }
+            if (changes.logSink && changes.logSink.level) {
+                logger.setSinkLevel(changes.logSink.level);
+            }
+        }
+    ];
+    
+    const uninstallOverrides = function() {
+        if (!ZooboxOverrides.installed) {
+            return false;
+        }
+        ZooboxOverrides.installed = false;
+        
+        uninstallHooks.splice(0).reverse().forEach(function(hook) {
+            try {
+                hook();
+            } catch (error) {
+                console.error('🔐 Uninstall step failed:', error);
+            }
+        });
+        installedListeners.splice(0).forEach(function(entry) {
+            entry.target.removeEventListener(entry.type, entry.listener, entry.options);
+        });
+        installedPatches.splice(0).reverse().forEach(function(patch) {
+            if (!patch.previous) {
+                delete patch.target[patch.name];
+            } else if ('value' in patch.previous) {
+                Object.defineProperty(patch.target, patch.name, Object.assign({}, patch.previous, { value: unwrap(patch.previous.value) }));
+            } else {
+                Object.defineProperty(patch.target, patch.name, patch.previous);
+            }
+        });
+        
+        logger.info('🔐 Zoobox Permission Override System uninstalled');
+        return true;
+    };
+    
+    // window.ZooboxOverrides: the running install, for later injections, debugging and A/B tests
+    const ZooboxOverrides = {
+        installed: true,
+        
+        // Runtime options (timeouts, waitForPermissionGrant, logLevel, dialogPolicy) take effect
+        // immediately; scope and handshake options only apply at install
+        configure: function(changes) {
+            const update = changes && typeof changes === 'object' ? changes : {};
+            Object.assign(config, update);
+            configHandlers.forEach(function(handler) {
+                handler(update);
+            });
+            logger.debug('🔐 Override config updated:', update);
+            return Object.assign({}, config);
+        },
+        
+        getConfig: function() {
+            return Object.assign({}, config);
+        },
+        
+        // Restores every API the script patched, removes its listeners and window.ZooboxBridge.
+        // Running the script again afterwards installs it afresh.
+        uninstall: uninstallOverrides
+    };
+    
+    patchProperty(window, 'ZooboxOverrides', { value: ZooboxOverrides });
+    
+    logger.info('🔐 Zoobox Permission Override System Initializing...');
+    
+    // Bridge RPC: every message to native carries a correlation id, and native
+    // answers through ZooboxBridge._resolveCall / ZooboxBridge._rejectCall
+    const pendingBridgeCalls = {};
+    let nextBridgeCallId = 1;
+    
+    const isBridgeAvailable = function() {
+        return !!(window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.zooboxBridge);
+    };
+    
+    const createBridgeError = function(code, message) {
+        const error = new Error(message || 'Bridge call failed');
+        error.name = 'ZooboxBridgeError';
+        error.code = code || 'UNKNOWN';
+        return error;
+    };
+    
+    // Give an EventTarget an on<type> property that behaves like an event handler attribute:
+    // one listener, replaced on assignment
+    const defineEventHandler = function(target, type) {
+        let handler = null;
+        Object.defineProperty(target, 'on' + type, {
+            enumerable: true,
+            get: function() {
+                return handler;
+            },
+            set: function(newHandler) {
+                if (handler) {
+                    target.removeEventListener(type, handler);
+                }
+                handler = typeof newHandler === 'function' ? newHandler : null;
+                if (handler) {
+                    target.addEventListener(type, handler);
+                }
+            }
+        });
+    };
+    
+    const callBridge = function(method, params, timeout) {
+        return new Promise(function(resolve, reject) {
+            if (!isBridgeAvailable()) {
+                reject(createBridgeError('UNAVAILABLE', 'ZooboxBridge not available'));
+                return;
+            }
+            
+            const id = String(nextBridgeCallId++);
+            const timeoutMs = typeof timeout === 'number' ? timeout : config.bridgeTimeout;
+            const call = { method: method, resolve: resolve, reject: reject, timer: null };
+            
+            // A non-positive or infinite timeout leaves the call waiting for native
+            if (timeoutMs > 0 && isFinite(timeoutMs)) {
+                call.timer = setTimeout(function() {
+                    delete pendingBridgeCalls[id];
+                    logger.warn('⏱️ Bridge call timed out:', method, id);
+                    reject(createBridgeError('TIMEOUT', 'Bridge call "' + method + '" timed out after ' + timeoutMs + 'ms'));
+                }, timeoutMs);
+            }
+            pendingBridgeCalls[id] = call;
+            
+            try {
+                window.webkit.messageHandlers.zooboxBridge.postMessage({
+                    id: id,
+                    method: method,
+                    params: params || {}
+                });
+            } catch (error) {
+                clearTimeout(call.timer);
+                delete pendingBridgeCalls[id];
+                reject(createBridgeError('POST_FAILED', error && error.message));
+            }
+        });
+    };
+    
+    const settleBridgeCall = function(id, error, result) {
+        const call = pendingBridgeCalls[id];
+        if (!call) {
+            logger.warn('⚠️ Bridge reply for unknown or expired call:', id);
+            return false;
+        }
+        
+        clearTimeout(call.timer);
+        delete pendingBridgeCalls[id];
+        
+        if (error) {
+            call.reject(error instanceof Error ? error : createBridgeError(error.code, error.message));
+        } else {
+            call.resolve(result);
+        }
+        return true;
+    };
+    
+    // Nothing can answer once ZooboxBridge is gone
+    uninstallHooks.push(function() {
+        Object.keys(pendingBridgeCalls).forEach(function(id) {
+            settleBridgeCall(id, createBridgeError('UNAVAILABLE', 'Zoobox overrides were uninstalled'));
+        });
+    });
+    
+    // Legacy native builds answer location requests without a correlation id,
+    // so deliver the reply to every call that is still waiting for a fix
+    const settlePendingCallsFor = function(method, error, result) {
+        Object.keys(pendingBridgeCalls).forEach(function(id) {
+            if (pendingBridgeCalls[id].method === method) {
+                settleBridgeCall(id, error, result);
+            }
+        });
+    };
+    
+    patchProperty(window, 'lastLocationCallback', { value: function(position) {
+        settlePendingCallsFor('getCurrentLocation', null, position);
+    } });
+    
+    patchProperty(window, 'lastLocationErrorCallback', { value: function(error) {
+        settlePendingCallsFor('getCurrentLocation', error || {});
+    } });
+    
+    // Calls queued by waitForPermissionGrant until native reports an answer
+    const permissionWaiters = [];
+    
+    const isDeniedStatus = function(status) {
+        return status === 'denied' || status === 'restricted';
+    };
+    
+    const finishPermissionWaiter = function(waiter, failureReason) {
+        const index = permissionWaiters.indexOf(waiter);
+        if (index === -1) {
+            return;
+        }
+        permissionWaiters.splice(index, 1);
+        clearTimeout(waiter.timer);
+        
+        if (failureReason) {
+            logger.info('❌ Stopped waiting for', waiter.permission, 'permission:', failureReason);
+            waiter.reject(failureReason);
+        } else {
+            logger.debug('✅', waiter.permission, 'permission granted - resuming queued call');
+            waiter.resolve();
+        }
+    };
+    
+    uninstallHooks.push(function() {
+        permissionWaiters.slice().forEach(function(waiter) {
+            finishPermissionWaiter(waiter, 'uninstalled');
+        });
+    });
+    
+    // Resolve waiters whose permission is now granted; a change to denied means the user said no
+    const settlePermissionWaiters = function() {
+        permissionWaiters.slice().forEach(function(waiter) {
+            const status = zooboxPermissions[waiter.permission];
+            if (status === 'granted') {
+                finishPermissionWaiter(waiter);
+            } else if (isDeniedStatus(status) && status !== waiter.initialStatus) {
+                finishPermissionWaiter(waiter, 'denied');
+            }
+        });
+    };
+    
+    // Take statuses native reported in a reply as if it had pushed a zooboxPermissionsUpdate
+    const applyPermissionStatuses = function(statuses) {
+        const changed = Object.keys(statuses).filter(function(permission) {
+            return zooboxPermissions[permission] !== statuses[permission];
+        });
+        if (changed.length === 0) {
+            return;
+        }
+        zooboxPermissions = Object.assign({}, zooboxPermissions, statuses);
+        refreshPermissionStatuses();
+        settlePermissionWaiters();
+    };
+    
+    // Ask native for a permission; callers that only want the prompt can ignore the result.
+    // Builds that do not list requestPermission in the handshake are refused without a call.
+    const requestNativePermission = function(permission) {
+        if (!isBridgeSettled()) {
+            return bridgeReady.then(function() {
+                return requestNativePermission(permission);
+            });
+        }
+        if (!nativeHandles('requestPermission')) {
+            return rejectUnsupported('requestPermission');
+        }
+        return callBridge('requestPermission', { permission: permission }).then(function(status) {
+            logger.debug('🔐 Native permission result for', permission, ':', status);
+            if (typeof status === 'string') {
+                const statuses = {};
+                statuses[permission] = status;
+                applyPermissionStatuses(statuses);
+            }
+            return status;
+        }, function(error) {
+            logger.warn('⚠️ Native permission request failed for', permission, ':', error.message);
+            throw error;
+        });
+    };
+    
+    // Prompt for a permission and resolve once it is granted; rejects with the reason it stopped waiting
+    const waitForPermissionGrant = function(permission) {
+        return new Promise(function(resolve, reject) {
+            const waiter = {
+                permission: permission,
+                initialStatus: zooboxPermissions[permission],
+                resolve: resolve,
+                reject: reject,
+                timer: null
+            };
+            
+            logger.debug('⏳ Waiting for', permission, 'permission to be granted');
+            waiter.timer = setTimeout(function() {
+                finishPermissionWaiter(waiter, 'timeout');
+            }, config.permissionGrantTimeout);
+            permissionWaiters.push(waiter);
+            
+            requestNativePermission(permission).then(function(status) {
+                // The reply is the user's answer, so anything short of a grant ends the wait
+                if (isDeniedStatus(status)) {
+                    finishPermissionWaiter(waiter, 'denied');
+                } else if (status !== 'granted') {
+                    finishPermissionWaiter(waiter, 'not granted');
+                }
+            }, function(error) {
+                // Only a reply that never came leaves the answer to a zooboxPermissionsUpdate or the
+                // deadline; native refusing the request (UNSUPPORTED, BUSY) means no prompt is showing
+                if (error.code !== 'TIMEOUT') {
+                    finishPermissionWaiter(waiter, error.code === 'UNSUPPORTED' ? 'unsupported' : 'request failed');
+                }
+            });
+        });
+    };
+    
+    // W3C-shaped geolocation errors, shared by the overrides and the scope guard below
+    const PERMISSION_DENIED = 1;
+    const POSITION_UNAVAILABLE = 2;
+    const TIMEOUT = 3;
+    
+    // Build objects on the WebKit prototypes when they exist so instanceof checks
+    // keep working; own read-only properties shadow the native getters
+    const createGeolocationObject = function(constructorName, values, toJSON) {
+        const constructor = window[constructorName];
+        const object = Object.create(constructor ? constructor.prototype : Object.prototype);
+        Object.keys(values).forEach(function(key) {
+            Object.defineProperty(object, key, { value: values[key], enumerable: true });
+        });
+        if (toJSON) {
+            Object.defineProperty(object, 'toJSON', { value: toJSON });
+        }
+        return object;
+    };
+    
+    const createPositionError = function(code, message) {
+        return createGeolocationObject('GeolocationPositionError', {
+            code: code,
+            message: message || '',
+            PERMISSION_DENIED: PERMISSION_DENIED,
+            POSITION_UNAVAILABLE: POSITION_UNAVAILABLE,
+            TIMEOUT: TIMEOUT
+        });
+    };
+    
+    // Scope: only trusted documents get the native-backed APIs. Native may supply an allowlist:
+    //   allowedOrigins: ['https://zoobox.site', 'https://*.zoobox.site']
+    // Without one, the top-level page is trusted whatever its origin, as before. Frames from another
+    // origin than the pages above them (payment providers, embedded maps, ads) are never trusted,
+    // unless allowCrossOriginFrames is set and their own origin is on the allowlist.
+    // Untrusted documents keep the browser's APIs ('fallback') or are refused ('deny'), get no
+    // ZooboxBridge, and each attempt to use location, camera or notifications is reported to native.
+    // This is advisory: any frame can post to the message handlers directly, so native must check
+    // WKScriptMessage.frameInfo.securityOrigin against the same allowlist to enforce it.
+    const MAX_BLOCKED_ACCESS_REPORTS = 20;
+    
+    // Exact origins, '*.' wildcards for subdomains, or '*' for any origin
+    const compileOriginPattern = function(pattern) {
+        if (pattern === '*') {
+            return function() {
+                return true;
+            };
+        }
+        
+        const wildcard = typeof pattern === 'string' && pattern.indexOf('://*.') !== -1;
+        let base = null;
+        try {
+            base = new URL(String(pattern).replace('://*.', '://'));
+        } catch (error) {
+            // Reported below
+        }
+        if (!base || base.origin === 'null' || base.pathname !== '/' || base.search || base.hash) {
+            logger.warn('⚠️ Ignoring invalid allowedOrigins entry:', pattern);
+            return null;
+        }
+        
+        return function(origin) {
+            let candidate;
+            try {
+                candidate = new URL(origin);
+            } catch (error) {
+                // Opaque origins ('null') are never allowlisted
+                return false;
+            }
+            if (candidate.protocol !== base.protocol || candidate.port !== base.port) {
+                return false;
+            }
+            return wildcard
+                ? candidate.hostname.slice(-(base.hostname.length + 1)) === '.' + base.hostname
+                : candidate.hostname === base.hostname;
+        };
+    };
+    
+    const originPatterns = Array.isArray(config.allowedOrigins)
+        ? config.allowedOrigins.map(compileOriginPattern).filter(Boolean)
+        : null;
+    
+    const isOriginAllowed = function(origin) {
+        return !originPatterns || originPatterns.some(function(matches) {
+            return matches(origin);
+        });
+    };
+    
+    // Origins of the enclosing frames, nearest first; null where the browser will not say
+    const getAncestorOrigins = function() {
+        if (window.location.ancestorOrigins) {
+            return Array.prototype.slice.call(window.location.ancestorOrigins);
+        }
+        
+        const origins = [];
+        let current = window;
+        while (current.parent && current.parent !== current && origins.length < 20) {
+            current = current.parent;
+            let origin = null;
+            try {
+                origin = current.location.origin;
+            } catch (error) {
+                // Cross-origin parent
+            }
+            origins.push(origin);
+        }
+        return origins;
+    };
+    
+    const accessScope = (function() {
+        const origin = window.origin || window.location.origin;
+        const ancestors = getAncestorOrigins();
+        const isMainFrame = ancestors.length === 0;
+        const isCrossOriginFrame = ancestors.some(function(ancestor) {
+            return ancestor !== origin;
+        });
+        
+        let reason = null;
+        if (isCrossOriginFrame) {
+            if (!config.allowCrossOriginFrames || !originPatterns || !isOriginAllowed(origin)) {
+                reason = 'cross-origin-frame';
+            }
+        } else if (!isOriginAllowed(origin)) {
+            reason = 'origin-not-allowed';
+        }
+        
+        return {
+            origin: origin,
+            topOrigin: isMainFrame ? origin : ancestors[ancestors.length - 1],
+            isMainFrame: isMainFrame,
+            blocked: reason !== null,
+            reason: reason
+        };
+    })();
+    
+    if (accessScope.blocked) {
+        const denyBlockedAccess = config.blockedAccess === 'deny';
+        let blockedAccessReports = 0;
+        
+        // One-way message: native does not answer, and untrusted documents get no RPC
+        const reportBlockedAccess = function(api) {
+            logger.warn('🚫 Blocked', api, 'for', accessScope.origin, '(' + accessScope.reason + ')');
+            if (!isBridgeAvailable() || blockedAccessReports >= MAX_BLOCKED_ACCESS_REPORTS) {
+                return;
+            }
+            blockedAccessReports++;
+            try {
+                window.webkit.messageHandlers.zooboxBridge.postMessage({
+                    method: 'reportBlockedAccess',
+                    params: {
+                        api: api,
+                        origin: accessScope.origin,
+                        topOrigin: accessScope.topOrigin,
+                        isMainFrame: accessScope.isMainFrame,
+                        reason: accessScope.reason,
+                        behavior: denyBlockedAccess ? 'deny' : 'fallback'
+                    }
+                });
+            } catch (error) {
+                // Nothing else to tell
+            }
+        };
+        
+        const guardApi = function(target, name, api, deny) {
+            const original = getOriginal(target, name);
+            if (typeof original !== 'function') {
+                return;
+            }
+            patchProperty(target, name, { value: function() {
+                reportBlockedAccess(api);
+                return (denyBlockedAccess ? deny : original).apply(this, arguments);
+            } });
+        };
+        
+        const deniedPosition = function(successCallback, errorCallback) {
+            if (typeof errorCallback === 'function') {
+                setTimeout(function() {
+                    errorCallback(createPositionError(PERMISSION_DENIED, 'Location is not available to this frame'));
+                }, 0);
+            }
+            return 0;
+        };
+        
+        guardApi(navigator.geolocation, 'getCurrentPosition', 'geolocation.getCurrentPosition', deniedPosition);
+        guardApi(navigator.geolocation, 'watchPosition', 'geolocation.watchPosition', deniedPosition);
+        guardApi(navigator.mediaDevices, 'getUserMedia', 'mediaDevices.getUserMedia', function() {
+            return Promise.reject(new DOMException('Camera and microphone are not available to this frame', 'NotAllowedError'));
+        });
+        guardApi(window.Notification, 'requestPermission', 'Notification.requestPermission', function(callback) {
+            if (typeof callback === 'function') {
+                callback('denied');
+            }
+            return Promise.resolve('denied');
+        });
+        
+        logger.info('🚫 Zoobox overrides not installed for', accessScope.origin, '(' + accessScope.reason + ')');
+        return;
+    }
+    
+    // Page-facing bridge API (keeps anything native already put on window.ZooboxBridge)
+    const ZooboxBridge = window.ZooboxBridge || {};
+    patchProperty(window, 'ZooboxBridge', { value: ZooboxBridge });
+    
+    ZooboxBridge.call = callBridge;
+    ZooboxBridge.logger = logger;
+    
+    // Handshake: tell pages which bridge and app build they are running in so they can
+    // feature-gate on capabilities instead of probing ZooboxBridge methods one by one
+    const BRIDGE_VERSION = 2;
+    
+    // Handlers older builds may register; their presence is all we can learn without a handshake
+    const knownMessageHandlers = ['zooboxBridge', 'startRealTimeLocation', 'stopRealTimeLocation', 'hapticFeedback', 'permissionBridge'];
+    if (logSinkConfig.handler) {
+        knownMessageHandlers.push(logSinkConfig.handler);
+    }
+    
+    const getRegisteredHandlers = function() {
+        const handlers = window.webkit && window.webkit.messageHandlers;
+        return handlers ? knownMessageHandlers.filter(function(name) {
+            return !!handlers[name];
+        }) : [];
+    };
+    
+    // iPadOS presents a desktop user agent by default, so fall back on touch support
+    const guessIdiom = function() {
+        const userAgent = navigator.userAgent || '';
+        if (/iPad/.test(userAgent) || (/Macintosh/.test(userAgent) && navigator.maxTouchPoints > 1)) {
+            return 'pad';
+        }
+        return /iPhone|iPod/.test(userAgent) ? 'phone' : 'unknown';
+    };
+    
+    const createBridgeInfo = function(nativeInfo) {
+        const info = nativeInfo && typeof nativeInfo === 'object' ? nativeInfo : {};
+        const capabilities = getRegisteredHandlers();
+        (Array.isArray(info.capabilities) ? info.capabilities : []).forEach(function(capability) {
+            if (typeof capability === 'string' && capabilities.indexOf(capability) === -1) {
+                capabilities.push(capability);
+            }
+        });
+        
+        const idiom = typeof info.idiom === 'string' ? info.idiom : guessIdiom();
+        return Object.freeze({
+            bridgeVersion: BRIDGE_VERSION,
+            appVersion: typeof info.appVersion === 'string' ? info.appVersion : null,
+            build: typeof info.build === 'string' ? info.build : null,
+            platform: typeof info.platform === 'string' ? info.platform : (idiom === 'unknown' ? 'unknown' : 'ios'),
+            osVersion: typeof info.osVersion === 'string' ? info.osVersion : null,
+            idiom: idiom,
+            capabilities: Object.freeze(capabilities),
+            // 'native' when the app answered the handshake, 'inferred' for builds that predate it
+            source: nativeInfo ? 'native' : 'inferred'
+        });
+    };
+    
+    let bridgeInfo = null;
+    
+    const bridgeReady = (isBridgeAvailable()
+        ? callBridge('getBridgeInfo', { bridgeVersion: BRIDGE_VERSION }, config.handshakeTimeout).catch(function(error) {
+            logger.info('🤝 Native did not answer the bridge handshake (' + error.code + '), inferring capabilities');
+            return null;
+        })
+        : Promise.resolve(null)
+    ).then(function(nativeInfo) {
+        bridgeInfo = createBridgeInfo(nativeInfo);
+        logger.debug('🤝 Bridge ready:', bridgeInfo);
+        window.dispatchEvent(new CustomEvent('zooboxBridgeReady', { detail: bridgeInfo }));
+        return bridgeInfo;
+    });
+    
+    ZooboxBridge.ready = function() {
+        return bridgeReady;
+    };
+    
+    // False until the handshake has finished; wait for ready() when that matters
+    ZooboxBridge.hasCapability = function(capability) {
+        return !!bridgeInfo && bridgeInfo.capabilities.indexOf(capability) !== -1;
+    };
+    
+    // Overrides only route a call to native when the handshake lists its method; anything else keeps
+    // WebKit's implementation. Calls made before the handshake finishes wait for it (see isBridgeSettled).
+    const nativeHandles = function(method) {
+        return isBridgeAvailable() && ZooboxBridge.hasCapability(method);
+    };
+    
+    const isBridgeSettled = function() {
+        return bridgeInfo !== null;
+    };
+    
+    const rejectUnsupported = function(method) {
+        return Promise.reject(createBridgeError('UNSUPPORTED', method + ' is not supported by this app version'));
+    };
+    
+    ZooboxBridge.requestPermission = function(permission) {
+        return requestNativePermission(permission);
+    };
+    
+    // Batch requests: native shows its permission screens once for the whole set, with the page's
+    // rationale for each, and the page learns what the user decided about every permission
+    const PERMISSION_NAMES = ['location', 'camera', 'microphone', 'notifications'];
+    const PERMISSION_STATUSES = ['granted', 'denied', 'restricted', 'notDetermined'];
+    
+    const normalizePermissionRequests = function(requests) {
+        if (!Array.isArray(requests) || requests.length === 0) {
+            throw createBridgeError('INVALID_OPTIONS', 'requestPermissions takes a non-empty array of permissions');
+        }
+        const normalized = [];
+        requests.forEach(function(request) {
+            const entry = typeof request === 'string' ? { name: request } : (request || {});
+            if (PERMISSION_NAMES.indexOf(entry.name) === -1) {
+                throw createBridgeError('INVALID_OPTIONS', 'Unknown permission "' + entry.name + '"');
+            }
+            if (entry.rationale !== undefined && entry.rationale !== null && typeof entry.rationale !== 'string') {
+                throw createBridgeError('INVALID_OPTIONS', 'rationale for ' + entry.name + ' must be a string');
+            }
+            const isDuplicate = normalized.some(function(existing) {
+                return existing.name === entry.name;
+            });
+            if (isDuplicate) {
+                throw createBridgeError('INVALID_OPTIONS', entry.name + ' is listed more than once');
+            }
+            normalized.push({ name: entry.name, rationale: entry.rationale || null });
+        });
+        return normalized;
+    };
+    
+    // Native answers each permission with a status or { status, settingsRequired }. iOS only prompts
+    // once, so unless native says otherwise a denied permission can only be changed in Settings.
+    // Restricted ones are locked by Screen Time or a device profile, which the user may not control.
+    const toPermissionResult = function(answer) {
+        const reply = typeof answer === 'string' ? { status: answer } : (answer || {});
+        const status = PERMISSION_STATUSES.indexOf(reply.status) !== -1 ? reply.status : 'notDetermined';
+        return {
+            status: status,
+            settingsRequired: typeof reply.settingsRequired === 'boolean' ? reply.settingsRequired : status === 'denied'
+        };
+    };
+    
+    // Builds without the batch flow get the same prompts one after another, without the rationale.
+    // A request native fails to answer keeps the last reported status instead of losing the others.
+    const requestPermissionsOneByOne = function(requests) {
+        const answers = {};
+        return requests.reduce(function(previous, request) {
+            return previous.then(function() {
+                return requestNativePermission(request.name).then(function(status) {
+                    answers[request.name] = status;
+                }, function() {
+                    answers[request.name] = toPermissionResult(zooboxPermissions[request.name]);
+                });
+            });
+        }, Promise.resolve()).then(function() {
+            return answers;
+        });
+    };
+    
+    ZooboxBridge.requestPermissions = function(requests) {
+        let normalized;
+        try {
+            normalized = normalizePermissionRequests(requests);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        
+        return ZooboxBridge.ready().then(function() {
+            if (!ZooboxBridge.hasCapability('requestPermissions')) {
+                logger.debug('🔐 Native has no batch permission flow - requesting one at a time');
+                return requestPermissionsOneByOne(normalized);
+            }
+            // The user may read several screens and take as long as they like, so never time out
+            return callBridge('requestPermissions', { permissions: normalized }, 0);
+        }).then(function(answers) {
+            const reply = answers && typeof answers === 'object' ? answers : {};
+            const results = {};
+            const statuses = {};
+            normalized.forEach(function(request) {
+                const answer = reply[request.name];
+                const nativeStatus = typeof answer === 'string' ? answer : answer && answer.status;
+                if (PERMISSION_STATUSES.indexOf(nativeStatus) !== -1) {
+                    statuses[request.name] = nativeStatus;
+                }
+                // Permissions native left out keep the last status it reported
+                results[request.name] = toPermissionResult(answer !== undefined ? answer : zooboxPermissions[request.name]);
+            });
+            logger.debug('🔐 Native permission results:', results);
+            applyPermissionStatuses(statuses);
+            return results;
+        });
+    };
+    
+    ZooboxBridge.isPermissionGranted = function(permission) {
+        return zooboxPermissions[permission] === 'granted';
+    };
+    
+    ZooboxBridge.getCurrentLocation = function(params) {
+        return callBridge('getCurrentLocation', params);
+    };
+    
+    ZooboxBridge.hapticFeedback = function(type) {
+        if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.hapticFeedback) {
+            window.webkit.messageHandlers.hapticFeedback.postMessage(type || 'light');
+        }
+    };
+    
+    // Called by native code with the correlation id of the original message
+    ZooboxBridge._resolveCall = function(id, result) {
+        return settleBridgeCall(String(id), null, result);
+    };
+    
+    ZooboxBridge._rejectCall = function(id, error) {
+        return settleBridgeCall(String(id), error || {});
+    };
+    
     // Override geolocation API
     if (navigator.geolocation) {
-        console.log('🔐 Overriding geolocation API...');
+        logger.debug('🔐 Overriding geolocation API...');
+        
+        const originalGetCurrentPosition = getOriginal(navigator.geolocation, 'getCurrentPosition');
+        const originalWatchPosition = getOriginal(navigator.geolocation, 'watchPosition');
+        const originalClearWatch = getOriginal(navigator.geolocation, 'clearWatch');
+        
+        // Native sends either numeric W3C codes or CoreLocation-style names
+        const normalizePositionError = function(error) {
+            const nativeError = error || {};
+            const namedCodes = {
+                PERMISSION_DENIED: PERMISSION_DENIED,
+                denied: PERMISSION_DENIED,
+                POSITION_UNAVAILABLE: POSITION_UNAVAILABLE,
+                unavailable: POSITION_UNAVAILABLE,
+                TIMEOUT: TIMEOUT,
+                timeout: TIMEOUT
+            };
+            const code = [PERMISSION_DENIED, POSITION_UNAVAILABLE, TIMEOUT].indexOf(nativeError.code) !== -1
+                ? nativeError.code
+                : namedCodes[nativeError.code] || POSITION_UNAVAILABLE;
+            return createPositionError(code, nativeError.message || 'Position unavailable');
+        };
+        
+        const isNumberInRange = function(value, min, max) {
+            return typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+        };
+        
+        // CoreLocation reports unknown altitude/heading/speed as negative values or omits them
+        const optionalNumber = function(value, min, max) {
+            return isNumberInRange(value, min, max) ? value : null;
+        };
+        
+        // Turn a native payload ({coords, timestamp} or a flat fix) into a GeolocationPosition;
+        // throws on payloads that do not describe a usable fix
+        const normalizePosition = function(payload) {
+            if (!payload || typeof payload !== 'object') {
+                throw new TypeError('Native location payload is not an object');
+            }
+            
+            const source = payload.coords && typeof payload.coords === 'object' ? payload.coords : payload;
+            
+            if (!isNumberInRange(source.latitude, -90, 90) || !isNumberInRange(source.longitude, -180, 180)) {
+                throw new TypeError('Native location payload has an invalid latitude/longitude');
+            }
+            if (!isNumberInRange(source.accuracy, 0, Infinity)) {
+                throw new TypeError('Native location payload has an invalid accuracy');
+            }
+            
+            const rawTimestamp = payload.timestamp !== undefined ? payload.timestamp : source.timestamp;
+            const timestamp = rawTimestamp === undefined ? Date.now() : new Date(rawTimestamp).getTime();
+            if (!isFinite(timestamp)) {
+                throw new TypeError('Native location payload has an invalid timestamp');
+            }
+            
+            const coordsValues = {
+                latitude: source.latitude,
+                longitude: source.longitude,
+                accuracy: source.accuracy,
+                altitude: optionalNumber(source.altitude, -Infinity, Infinity),
+                altitudeAccuracy: optionalNumber(source.altitudeAccuracy, 0, Infinity),
+                heading: optionalNumber(source.heading, 0, 360),
+                speed: optionalNumber(source.speed, 0, Infinity)
+            };
+            const coords = createGeolocationObject('GeolocationCoordinates', coordsValues, function() {
+                return Object.assign({}, coordsValues);
+            });
+            
+            return createGeolocationObject('GeolocationPosition', {
+                coords: coords,
+                timestamp: timestamp
+            }, function() {
+                return {
+                    coords: coords.toJSON(),
+                    timestamp: timestamp
+                };
+            });
+        };
+        
+        // Last fix native delivered, served to callers whose maximumAge allows it
+        let lastKnownPosition = null;
+        
+        const getCachedPosition = function(maximumAge) {
+            if (!lastKnownPosition || !(maximumAge > 0)) {
+                return null;
+            }
+            return Date.now() - lastKnownPosition.timestamp <= maximumAge ? lastKnownPosition : null;
+        };
+        
+        // A finite PositionOptions.timeout, clamped at zero like the spec does
+        const getPositionTimeout = function(options) {
+            return typeof options.timeout === 'number' && isFinite(options.timeout) ? Math.max(0, options.timeout) : null;
+        };
+        
+        // Override getCurrentPosition
+        patchProperty(navigator.geolocation, 'getCurrentPosition', { value: function getCurrentPosition(successCallback, errorCallback, options) {
+            logger.debug('🔐 Geolocation getCurrentPosition called');
+            
+            if (!isBridgeSettled()) {
+                bridgeReady.then(function() {
+                    getCurrentPosition(successCallback, errorCallback, options);
+                });
+                return;
+            }
+            
+            const positionOptions = options || {};
+            
+            if (zooboxPermissions.location === 'granted') {
+                logger.debug('✅ Location permission granted - using native location');
+                
+                if (nativeHandles('getCurrentLocation')) {
+                    const cachedPosition = getCachedPosition(positionOptions.maximumAge);
+                    const timeout = getPositionTimeout(positionOptions);
+                    
+                    if (cachedPosition) {
+                        logger.debug('📍 Using cached location within maximumAge');
+                        setTimeout(function() {
+                            if (successCallback) {
+                                successCallback(cachedPosition);
+                            }
+                        }, 0);
+                        return;
+                    }
+                    
+                    if (timeout === 0) {
+                        setTimeout(function() {
+                            if (errorCallback) {
+                                errorCallback(createPositionError(TIMEOUT, 'Timeout expired'));
+                            }
+                        }, 0);
+                        return;
+                    }
+                    
+                    // Use native location
+                    callBridge('getCurrentLocation', {
+                        enableHighAccuracy: !!positionOptions.enableHighAccuracy,
+                        maximumAge: positionOptions.maximumAge || 0,
+                        timeout: timeout
+                    }, timeout === null ? undefined : timeout).then(function(payload) {
+                        logger.debug('📍 Native location received:', payload);
+                        
+                        let position;
+                        try {
+                            position = normalizePosition(payload);
+                        } catch (error) {
+                            logger.warn('⚠️ Rejecting malformed native location:', error.message);
+                            if (errorCallback) {
+                                errorCallback(createPositionError(POSITION_UNAVAILABLE, error.message));
+                            }
+                            return;
+                        }
+                        
+                        lastKnownPosition = position;
+                        if (successCallback) {
+                            successCallback(position);
+                        }
+                    }, function(error) {
+                        logger.debug('📍 Native location error:', error);
+                        if (!errorCallback) {
+                            return;
+                        }
+                        if (error.code !== 'TIMEOUT') {
+                            errorCallback(normalizePositionError(error));
+                        } else if (timeout === null) {
+                            // No deadline from the page means an infinite one, so bridgeTimeout running
+                            // out means native never produced a fix, not that the page's timeout expired
+                            errorCallback(createPositionError(POSITION_UNAVAILABLE, 'Native location did not respond'));
+                        } else {
+                            errorCallback(createPositionError(TIMEOUT, 'Timeout expired'));
+                        }
+                    });
+                } else {
+                    // Fallback to original API
+                    logger.warn('⚠️ Native location not available - using original API');
+                    originalGetCurrentPosition.call(navigator.geolocation, successCallback, errorCallback, options);
+                }
+            } else if (!nativeHandles('requestPermission')) {
+                // Native cannot prompt, so let WebKit ask the user
+                logger.debug('🔐 Location permission not granted and native cannot request it - using original API');
+                originalGetCurrentPosition.call(navigator.geolocation, successCallback, errorCallback, options);
+            } else if (config.waitForPermissionGrant) {
+                logger.debug('⏳ Location permission not granted - queueing request until granted');
+                waitForPermissionGrant('location').then(function() {
+                    getCurrentPosition(successCallback, errorCallback, options);
+                }, function() {
+                    if (errorCallback) {
+                        errorCallback(createPositionError(PERMISSION_DENIED, 'Permission denied - please grant location permission in the app'));
+                    }
+                });
+            } else {
+                logger.info('❌ Location permission not granted - requesting permission');
+                requestNativePermission('location').catch(function() {});
+                if (errorCallback) {
+                    errorCallback(createPositionError(PERMISSION_DENIED, 'Permission denied - please grant location permission in the app'));
+                }
+            }
+        } });
+        
+        // Watch registry: every watchPosition call gets its own id and callbacks,
+        // and one native tracking session feeds all of them
+        const locationWatchers = {};
+        let nextWatchId = 1;
+        let isNativeTrackingActive = false;
+        let isNativeTrackingHighAccuracy = false;
+        
+        const hasNativeTracking = function() {
+            return !!(window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.startRealTimeLocation);
+        };
+        
+        const nativeWatchIds = function() {
+            return Object.keys(locationWatchers).filter(function(watchId) {
+                return locationWatchers[watchId].browserWatchId === undefined;
+            });
+        };
+        
+        // Start, retune or stop native tracking to match the live watchers
+        const syncNativeTracking = function() {
+            const watchIds = nativeWatchIds();
+            
+            if (watchIds.length === 0) {
+                if (isNativeTrackingActive) {
+                    logger.debug('📍 Last watcher cleared - stopping native location tracking');
+                    isNativeTrackingActive = false;
+                    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.stopRealTimeLocation) {
+                        window.webkit.messageHandlers.stopRealTimeLocation.postMessage({});
+                    }
+                }
+                return;
+            }
+            
+            const enableHighAccuracy = watchIds.some(function(watchId) {
+                return !!locationWatchers[watchId].options.enableHighAccuracy;
+            });
+            
+            if (isNativeTrackingActive && enableHighAccuracy === isNativeTrackingHighAccuracy) {
+                return;
+            }
+            
+            logger.debug('📍 Starting native location tracking (high accuracy: ' + enableHighAccuracy + ')');
+            isNativeTrackingActive = true;
+            isNativeTrackingHighAccuracy = enableHighAccuracy;
+            window.webkit.messageHandlers.startRealTimeLocation.postMessage({
+                enableHighAccuracy: enableHighAccuracy
+            });
+        };
+        
+        // Fire TIMEOUT for a watcher that has gone options.timeout without an update
+        const armWatchTimeout = function(watchId) {
+            const watcher = locationWatchers[watchId];
+            if (!watcher) {
+                return;
+            }
+            
+            clearTimeout(watcher.timeoutTimer);
+            const timeout = getPositionTimeout(watcher.options);
+            if (timeout === null) {
+                return;
+            }
+            
+            watcher.timeoutTimer = setTimeout(function() {
+                if (locationWatchers[watchId] === watcher && watcher.errorCallback) {
+                    watcher.errorCallback(createPositionError(TIMEOUT, 'Timeout expired'));
+                }
+            }, timeout);
+        };
+        
+        // Native pushes every tracking update through these globals
+        patchProperty(window, 'locationWatchCallback', { value: function(payload) {
+            logger.debug('📍 Native location update:', payload);
+            
+            let position;
+            try {
+                position = normalizePosition(payload);
+            } catch (error) {
+                logger.warn('⚠️ Rejecting malformed native location update:', error.message);
+                window.locationWatchErrorCallback({ code: POSITION_UNAVAILABLE, message: error.message });
+                return;
+            }
+            
+            lastKnownPosition = position;
+            nativeWatchIds().forEach(function(watchId) {
+                const watcher = locationWatchers[watchId];
+                // A callback may clear other watchers while we fan out
+                if (watcher) {
+                    armWatchTimeout(watchId);
+                    if (watcher.successCallback) {
+                        watcher.successCallback(position);
+                    }
+                }
+            });
+        } });
         
-        const originalGetCurrentPosition = navigator.geolocation.getCurrentPosition;
-        const originalWatchPosition = navigator.geolocation.watchPosition;
-        const originalClearWatch = navigator.geolocation.clearWatch;
+        patchProperty(window, 'locationWatchErrorCallback', { value: function(error) {
+            logger.debug('📍 Native location error:', error);
+            const positionError = normalizePositionError(error);
+            nativeWatchIds().forEach(function(watchId) {
+                const watcher = locationWatchers[watchId];
+                if (watcher && watcher.errorCallback) {
+                    watcher.errorCallback(positionError);
+                }
+            });
+        } });
         
-        // Override getCurrentPosition
-        navigator.geolocation.getCurrentPosition = function(successCallback, errorCallback, options) {
-            console.log('🔐 Geolocation getCurrentPosition called');
+        // Register a watcher under watchId and feed it from native tracking when useNative is set and
+        // native has it, otherwise from the browser
+        const startWatcher = function(watchId, successCallback, errorCallback, options, useNative) {
+            const watcher = {
+                successCallback: successCallback,
+                errorCallback: errorCallback,
+                options: options || {},
+                timeoutTimer: null
+            };
             
-            if (zooboxPermissions.location === 'granted') {
-                console.log('✅ Location permission granted - using native location');
+            if (useNative && hasNativeTracking()) {
+                locationWatchers[watchId] = watcher;
                 
-                if (window.ZooboxBridge && window.ZooboxBridge.getCurrentLocation) {
-                    // Use native location
-                    window.ZooboxBridge.getCurrentLocation();
-                    
-                    // Set up callbacks for native response
-                    window.lastLocationCallback = function(position) {
-                        console.log('📍 Native location received:', position);
-                        if (successCallback) {
-                            successCallback(position);
-                        }
-                    };
-                    
-                    window.lastLocationErrorCallback = function(error) {
-                        console.log('📍 Native location error:', error);
-                        if (errorCallback) {
-                            errorCallback(error);
+                // Serve a fresh enough cached fix right away instead of waiting for native
+                const cachedPosition = getCachedPosition(watcher.options.maximumAge);
+                if (cachedPosition) {
+                    setTimeout(function() {
+                        if (locationWatchers[watchId] === watcher && successCallback) {
+                            successCallback(cachedPosition);
                         }
-                    };
+                    }, 0);
                 } else {
-                    // Fallback to original API
-                    console.log('⚠️ ZooboxBridge not available - using original API');
-                    originalGetCurrentPosition.call(navigator.geolocation, successCallback, errorCallback, options);
+                    armWatchTimeout(watchId);
                 }
+                
+                syncNativeTracking();
             } else {
-                console.log('❌ Location permission not granted - requesting permission');
-                if (window.ZooboxBridge && window.ZooboxBridge.requestPermission) {
-                    window.ZooboxBridge.requestPermission('location');
-                }
-                if (errorCallback) {
-                    errorCallback({ 
-                        code: 1, 
-                        message: 'Permission denied - please grant location permission in the app' 
-                    });
-                }
+                // Fallback to original API, but hand out our own id so clearWatch stays consistent
+                logger.warn('⚠️ Native tracking not used - using original API');
+                watcher.browserWatchId = originalWatchPosition.call(navigator.geolocation, successCallback, errorCallback, options);
+                locationWatchers[watchId] = watcher;
             }
         };
         
-        // Override watchPosition
-        navigator.geolocation.watchPosition = function(successCallback, errorCallback, options) {
-            console.log('🔐 Geolocation watchPosition called');
+        // Watch ids handed out while waiting for the handshake or the location grant
+        const pendingWatchIds = {};
+        
+        const startPendingWatch = function(watchId, successCallback, errorCallback, options) {
+            // The page may have cleared the watch while we waited
+            if (!pendingWatchIds[watchId]) {
+                return;
+            }
             
             if (zooboxPermissions.location === 'granted') {
-                console.log('✅ Location permission granted - starting native tracking');
-                
-                if (window.ZooboxBridge && window.ZooboxBridge.getCurrentLocation) {
-                    // Start real-time tracking
-                    if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.startRealTimeLocation) {
-                        window.webkit.messageHandlers.startRealTimeLocation.postMessage({});
+                logger.debug('✅ Location permission granted - starting native tracking');
+                delete pendingWatchIds[watchId];
+                startWatcher(watchId, successCallback, errorCallback, options, true);
+                logger.debug('📍 Watch ID created:', watchId);
+            } else if (!nativeHandles('requestPermission')) {
+                // Native cannot prompt, so let WebKit ask the user
+                logger.debug('🔐 Location permission not granted and native cannot request it - using original API');
+                delete pendingWatchIds[watchId];
+                startWatcher(watchId, successCallback, errorCallback, options, false);
+            } else if (config.waitForPermissionGrant) {
+                logger.debug('⏳ Location permission not granted - watch', watchId, 'starts once granted');
+                waitForPermissionGrant('location').then(function() {
+                    if (pendingWatchIds[watchId]) {
+                        delete pendingWatchIds[watchId];
+                        startWatcher(watchId, successCallback, errorCallback, options, true);
                     }
-                    
-                    // Set up callbacks for location updates
-                    window.locationWatchCallback = function(position) {
-                        console.log('📍 Native location update:', position);
-                        if (successCallback) {
-                            successCallback(position);
-                        }
-                    };
-                    
-                    window.locationWatchErrorCallback = function(error) {
-                        console.log('📍 Native location error:', error);
+                }, function() {
+                    if (pendingWatchIds[watchId]) {
+                        delete pendingWatchIds[watchId];
                         if (errorCallback) {
-                            errorCallback(error);
+                            errorCallback(createPositionError(PERMISSION_DENIED, 'Permission denied - please grant location permission in the app'));
                         }
-                    };
-                    
-                    // Return a mock watch ID
-                    const watchId = Math.floor(Math.random() * 1000000);
-                    console.log('📍 Watch ID created:', watchId);
-                    return watchId;
-                } else {
-                    // Fallback to original API
-                    console.log('⚠️ ZooboxBridge not available - using original API');
-                    return originalWatchPosition.call(navigator.geolocation, successCallback, errorCallback, options);
+                    }
+                });
+            } else {
+                logger.info('❌ Location permission not granted - requesting permission');
+                delete pendingWatchIds[watchId];
+                requestNativePermission('location').catch(function() {});
+                if (errorCallback) {
+                    errorCallback(createPositionError(PERMISSION_DENIED, 'Permission denied - please grant location permission in the app'));
                 }
+            }
+        };
+        
+        // Override watchPosition; the id is handed out at once even when the watch starts after the handshake
+        patchProperty(navigator.geolocation, 'watchPosition', { value: function(successCallback, errorCallback, options) {
+            logger.debug('🔐 Geolocation watchPosition called');
+            
+            const watchId = nextWatchId++;
+            pendingWatchIds[watchId] = true;
+            
+            if (isBridgeSettled()) {
+                startPendingWatch(watchId, successCallback, errorCallback, options);
             } else {
-                console.log('❌ Location permission not granted - requesting permission');
-                if (window.ZooboxBridge && window.ZooboxBridge.requestPermission) {
-                    window.ZooboxBridge.requestPermission('location');
+                bridgeReady.then(function() {
+                    startPendingWatch(watchId, successCallback, errorCallback, options);
+                });
+            }
+            
+            return watchId;
+        } });
+        
+        // Override clearWatch so only the matching watcher is removed
+        patchProperty(navigator.geolocation, 'clearWatch', { value: function(watchId) {
+            logger.debug('🔐 Clearing location watch:', watchId);
+            delete pendingWatchIds[watchId];
+            
+            const watcher = locationWatchers[watchId];
+            if (!watcher) {
+                return;
+            }
+            clearTimeout(watcher.timeoutTimer);
+            delete locationWatchers[watchId];
+            
+            if (watcher.browserWatchId !== undefined) {
+                originalClearWatch.call(navigator.geolocation, watcher.browserWatchId);
+            } else {
+                syncNativeTracking();
+            }
+        } });
+        
+        // Stop native tracking and browser watches before the originals come back
+        uninstallHooks.push(function() {
+            Object.keys(pendingWatchIds).concat(Object.keys(locationWatchers)).forEach(function(watchId) {
+                navigator.geolocation.clearWatch(Number(watchId));
+            });
+        });
+        
+        logger.debug('✅ Geolocation API overridden successfully');
+    }
+    
+    // Geofences: native monitors circular regions with CLLocationManager, so pages learn about
+    // arrivals without polling watchPosition, even while the app is in the background.
+    //   page -> native: addGeofence { id, lat, lng, radius, dwellTime }, removeGeofence { id }, listGeofences
+    //   native -> page: ZooboxBridge._dispatchGeofenceEvents([{ eventId, id, type, timestamp }])
+    //   page -> native: takeGeofenceEvents, answered with the events native held while the page could not run
+    // Native keeps an event until the page has seen it, and eventId lets the page drop duplicates.
+    const GEOFENCE_EVENT_TYPES = ['enter', 'exit', 'dwell'];
+    const MAX_HELD_GEOFENCE_EVENTS = 100;
+    const geofences = new EventTarget();
+    const knownGeofences = {};
+    const listenedGeofenceTypes = {};
+    // Events that arrived before the page listened for their type, delivered to the first listener
+    const heldGeofenceEvents = [];
+    const seenGeofenceEventIds = [];
+    let geofenceDeliveryStarted = false;
+    
+    GEOFENCE_EVENT_TYPES.forEach(function(type) {
+        defineEventHandler(geofences, type);
+    });
+    
+    const normalizeGeofence = function(options) {
+        const geofence = Object.assign({ dwellTime: 120000 }, options || {});
+        if (typeof geofence.id !== 'string' || !geofence.id) {
+            throw createBridgeError('INVALID_OPTIONS', 'id must be a non-empty string');
+        }
+        if (typeof geofence.lat !== 'number' || !(geofence.lat >= -90 && geofence.lat <= 90)) {
+            throw createBridgeError('INVALID_OPTIONS', 'lat must be between -90 and 90');
+        }
+        if (typeof geofence.lng !== 'number' || !(geofence.lng >= -180 && geofence.lng <= 180)) {
+            throw createBridgeError('INVALID_OPTIONS', 'lng must be between -180 and 180');
+        }
+        if (!(geofence.radius > 0 && isFinite(geofence.radius))) {
+            throw createBridgeError('INVALID_OPTIONS', 'radius must be a positive number of meters');
+        }
+        if (!(geofence.dwellTime >= 0 && isFinite(geofence.dwellTime))) {
+            throw createBridgeError('INVALID_OPTIONS', 'dwellTime must be a non-negative number of milliseconds');
+        }
+        return { id: geofence.id, lat: geofence.lat, lng: geofence.lng, radius: geofence.radius, dwellTime: geofence.dwellTime };
+    };
+    
+    const rememberGeofence = function(geofence) {
+        knownGeofences[geofence.id] = Object.freeze({
+            id: geofence.id,
+            lat: geofence.lat,
+            lng: geofence.lng,
+            radius: geofence.radius,
+            dwellTime: geofence.dwellTime
+        });
+        return knownGeofences[geofence.id];
+    };
+    
+    const dispatchGeofenceEvent = function(detail) {
+        geofences.dispatchEvent(new CustomEvent(detail.type, { detail: detail }));
+    };
+    
+    // queued: the event happened while the page could not run and native held it
+    const deliverGeofenceEvent = function(payload, queued) {
+        if (!payload || GEOFENCE_EVENT_TYPES.indexOf(payload.type) === -1 || typeof payload.id !== 'string') {
+            logger.warn('⚠️ Ignoring malformed geofence event:', payload);
+            return;
+        }
+        if (payload.eventId !== undefined) {
+            if (seenGeofenceEventIds.indexOf(payload.eventId) !== -1) {
+                return;
+            }
+            seenGeofenceEventIds.push(payload.eventId);
+            if (seenGeofenceEventIds.length > MAX_HELD_GEOFENCE_EVENTS) {
+                seenGeofenceEventIds.shift();
+            }
+        }
+        
+        const detail = {
+            id: payload.id,
+            type: payload.type,
+            timestamp: typeof payload.timestamp === 'number' ? payload.timestamp : Date.now(),
+            queued: queued || payload.queued === true,
+            geofence: knownGeofences[payload.id] || null
+        };
+        logger.debug('📍 Geofence', detail.type + ':', detail.id);
+        
+        if (listenedGeofenceTypes[detail.type]) {
+            dispatchGeofenceEvent(detail);
+            return;
+        }
+        heldGeofenceEvents.push(detail);
+        if (heldGeofenceEvents.length > MAX_HELD_GEOFENCE_EVENTS) {
+            logger.warn('⚠️ Dropping unheard geofence event:', heldGeofenceEvents.shift());
+        }
+    };
+    
+    const takeNativeGeofenceEvents = function() {
+        if (!isBridgeSettled()) {
+            bridgeReady.then(takeNativeGeofenceEvents);
+            return;
+        }
+        if (!nativeHandles('takeGeofenceEvents')) {
+            return;
+        }
+        callBridge('takeGeofenceEvents').then(function(events) {
+            (Array.isArray(events) ? events : []).forEach(function(event) {
+                deliverGeofenceEvent(event, true);
+            });
+        }, function(error) {
+            logger.warn('⚠️ Could not collect held geofence events:', error.message);
+        });
+    };
+    
+    // Pages that never use geofences never ask native for events
+    const startGeofenceDelivery = function() {
+        if (geofenceDeliveryStarted) {
+            return;
+        }
+        geofenceDeliveryStarted = true;
+        takeNativeGeofenceEvents();
+        
+        // Coming back from the background, or from the back-forward cache
+        addInstalledListener(document, 'visibilitychange', function() {
+            if (document.visibilityState === 'visible') {
+                takeNativeGeofenceEvents();
+            }
+        });
+        addInstalledListener(window, 'pageshow', function(event) {
+            if (event.persisted) {
+                takeNativeGeofenceEvents();
+            }
+        });
+    };
+    
+    // The first listener for a type also receives the events held for it, after it is registered
+    const addGeofenceListener = geofences.addEventListener;
+    geofences.addEventListener = function(type, listener, options) {
+        addGeofenceListener.call(this, type, listener, options);
+        if (GEOFENCE_EVENT_TYPES.indexOf(type) === -1 || !listener) {
+            return;
+        }
+        
+        listenedGeofenceTypes[type] = true;
+        startGeofenceDelivery();
+        Promise.resolve().then(function() {
+            for (let index = 0; index < heldGeofenceEvents.length;) {
+                if (heldGeofenceEvents[index].type === type) {
+                    dispatchGeofenceEvent(heldGeofenceEvents.splice(index, 1)[0]);
+                } else {
+                    index++;
                 }
-                if (errorCallback) {
-                    errorCallback({ 
-                        code: 1, 
-                        message: 'Permission denied - please grant location permission in the app' 
-                    });
+            }
+        });
+    };
+    
+    // Resolves to the stored geofence; rejects with INVALID_OPTIONS, PERMISSION_DENIED, UNSUPPORTED
+    // (the handshake does not list addGeofence) or a native code such as LIMIT_REACHED (iOS monitors
+    // at most 20 regions per app)
+    geofences.add = function add(options) {
+        let params;
+        try {
+            params = normalizeGeofence(options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        
+        if (!isBridgeSettled()) {
+            return bridgeReady.then(function() {
+                return add(options);
+            });
+        }
+        if (!nativeHandles('addGeofence')) {
+            return rejectUnsupported('addGeofence');
+        }
+        
+        if (isDeniedStatus(zooboxPermissions.location)) {
+            logger.info('❌ Location permission denied - not adding geofence', params.id);
+            requestNativePermission('location').catch(function() {});
+            return Promise.reject(createBridgeError('PERMISSION_DENIED', 'Location permission not granted'));
+        }
+        
+        startGeofenceDelivery();
+        return callBridge('addGeofence', params).then(function(result) {
+            // Native may clamp the radius to what the device can monitor
+            return rememberGeofence(Object.assign({}, params, result && typeof result === 'object' ? result : {}));
+        });
+    };
+    
+    // Resolves to whether a geofence with that id was being monitored
+    geofences.remove = function remove(id) {
+        if (!isBridgeSettled()) {
+            return bridgeReady.then(function() {
+                return remove(id);
+            });
+        }
+        if (!nativeHandles('removeGeofence')) {
+            return rejectUnsupported('removeGeofence');
+        }
+        return callBridge('removeGeofence', { id: String(id) }).then(function(removed) {
+            delete knownGeofences[id];
+            return removed !== false;
+        });
+    };
+    
+    // Geofences persist across page loads and app launches, so native is the source of truth
+    geofences.list = function list() {
+        if (!isBridgeSettled()) {
+            return bridgeReady.then(function() {
+                return list();
+            });
+        }
+        if (!nativeHandles('listGeofences')) {
+            return rejectUnsupported('listGeofences');
+        }
+        startGeofenceDelivery();
+        return callBridge('listGeofences').then(function(list) {
+            Object.keys(knownGeofences).forEach(function(id) {
+                delete knownGeofences[id];
+            });
+            return (Array.isArray(list) ? list : []).map(rememberGeofence);
+        });
+    };
+    
+    // Called by native for events it can deliver right away, or for a batch after a resume
+    ZooboxBridge._dispatchGeofenceEvents = function(events) {
+        (Array.isArray(events) ? events : [events]).forEach(function(event) {
+            deliverGeofenceEvent(event, false);
+        });
+    };
+    
+    ZooboxBridge.geofences = geofences;
+    
+    // Notification shim: permission mirrors the native model and notifications are shown natively.
+    // It replaces window.Notification once the handshake lists showNotification; other builds keep WebKit's.
+    
+    // Notifications shown through native, keyed by the id native echoes back in events
+    const activeNotifications = {};
+    let nextNotificationId = 1;
+    
+    const toNotificationPermission = function(nativeStatus) {
+        if (nativeStatus === 'granted') {
+            return 'granted';
+        }
+        return isDeniedStatus(nativeStatus) ? 'denied' : 'default';
+    };
+    
+    const dispatchNotificationEvent = function(notification, type) {
+        notification.dispatchEvent(new Event(type, { cancelable: type === 'click' }));
+    };
+    
+    class ZooboxNotification extends EventTarget {
+        constructor(title, options) {
+            super();
+            
+            if (arguments.length === 0) {
+                throw new TypeError("Failed to construct 'Notification': 1 argument required, but only 0 present.");
+            }
+            
+            const notificationOptions = options || {};
+            const id = 'n' + (nextNotificationId++);
+            const values = {
+                title: String(title),
+                body: notificationOptions.body !== undefined ? String(notificationOptions.body) : '',
+                icon: notificationOptions.icon !== undefined ? String(notificationOptions.icon) : '',
+                tag: notificationOptions.tag !== undefined ? String(notificationOptions.tag) : '',
+                data: notificationOptions.data !== undefined ? notificationOptions.data : null,
+                dir: notificationOptions.dir || 'auto',
+                lang: notificationOptions.lang || '',
+                silent: notificationOptions.silent === undefined ? null : !!notificationOptions.silent,
+                requireInteraction: !!notificationOptions.requireInteraction,
+                timestamp: typeof notificationOptions.timestamp === 'number' ? notificationOptions.timestamp : Date.now()
+            };
+            
+            Object.keys(values).forEach(function(key) {
+                Object.defineProperty(this, key, { value: values[key], enumerable: true });
+            }, this);
+            Object.defineProperty(this, '_id', { value: id });
+            
+            ['click', 'close', 'error', 'show'].forEach(function(type) {
+                defineEventHandler(this, type);
+            }, this);
+            
+            const notification = this;
+            
+            if (ZooboxNotification.permission !== 'granted' || !isBridgeAvailable()) {
+                logger.info('❌ Notification not shown - permission not granted or bridge unavailable');
+                setTimeout(function() {
+                    dispatchNotificationEvent(notification, 'error');
+                }, 0);
+                return;
+            }
+            
+            // A notification with the same tag replaces the previous one without a close event
+            if (values.tag) {
+                Object.keys(activeNotifications).forEach(function(activeId) {
+                    if (activeNotifications[activeId].tag === values.tag) {
+                        delete activeNotifications[activeId];
+                    }
+                });
+            }
+            activeNotifications[id] = notification;
+            
+            logger.debug('🔔 Showing native notification:', values.title);
+            callBridge('showNotification', {
+                id: id,
+                title: values.title,
+                body: values.body,
+                icon: values.icon,
+                tag: values.tag,
+                data: values.data,
+                silent: values.silent
+            }).then(function() {
+                if (activeNotifications[id] === notification) {
+                    dispatchNotificationEvent(notification, 'show');
+                }
+            }, function(error) {
+                logger.warn('⚠️ Native notification failed:', error.message);
+                delete activeNotifications[id];
+                dispatchNotificationEvent(notification, 'error');
+            });
+        }
+        
+        close() {
+            if (!activeNotifications[this._id]) {
+                return;
+            }
+            delete activeNotifications[this._id];
+            callBridge('closeNotification', { id: this._id }).catch(function() {});
+            dispatchNotificationEvent(this, 'close');
+        }
+        
+        static get permission() {
+            return toNotificationPermission(zooboxPermissions.notifications);
+        }
+        
+        static get maxActions() {
+            return 0;
+        }
+        
+        static requestPermission(callback) {
+            logger.debug('🔐 Notification permission requested');
+            
+            const finish = function(permission) {
+                if (callback) {
+                    callback(permission);
                 }
-                return -1;
+                return permission;
+            };
+            
+            if (zooboxPermissions.notifications === 'granted') {
+                logger.debug('✅ Notification permission already granted');
+                return Promise.resolve(finish('granted'));
+            }
+            
+            logger.info('❌ Notification permission not granted - requesting permission');
+            return requestNativePermission('notifications').then(function(status) {
+                return finish(toNotificationPermission(status));
+            }, function() {
+                return finish('denied');
+            });
+        }
+    }
+    
+    // Called by native when the user taps or dismisses a notification shown by the shim
+    ZooboxBridge._dispatchNotificationEvent = function(id, type) {
+        const notification = activeNotifications[id];
+        if (!notification || (type !== 'click' && type !== 'close')) {
+            logger.warn('⚠️ Ignoring notification event:', id, type);
+            return false;
+        }
+        
+        logger.debug('🔔 Notification', type + ':', notification.title);
+        if (type === 'close') {
+            delete activeNotifications[id];
+        }
+        dispatchNotificationEvent(notification, type);
+        return true;
+    };
+    
+    bridgeReady.then(function() {
+        if (!ZooboxOverrides.installed) {
+            return;
+        }
+        if (!nativeHandles('showNotification')) {
+            logger.debug('🔔 Native notifications not available - keeping the browser Notification API');
+            return;
+        }
+        
+        logger.debug('🔐 Overriding Notification API...');
+        patchProperty(window, 'Notification', { value: ZooboxNotification });
+        logger.debug('✅ Notification API overridden successfully');
+    });
+    
+    // Push: native forwards FCM token changes, pushes received in the foreground and notification
+    // taps so the page can react without a reload. Each arrives as a CustomEvent on ZooboxBridge.push.
+    const PUSH_EVENT_TYPES = ['tokenchange', 'notification', 'deeplink'];
+    const push = new EventTarget();
+    let lastPushToken = null;
+    
+    PUSH_EVENT_TYPES.forEach(function(type) {
+        defineEventHandler(push, type);
+    });
+    
+    const toPushToken = function(token) {
+        return typeof token === 'string' && token ? token : null;
+    };
+    
+    // Resolves to the current FCM token, or null before Firebase has issued one. Builds that do not
+    // list getPushToken in the handshake reject with UNSUPPORTED and never send push events either.
+    push.getToken = function getToken() {
+        if (!isBridgeSettled()) {
+            return bridgeReady.then(function() {
+                return getToken();
+            });
+        }
+        if (!nativeHandles('getPushToken')) {
+            return rejectUnsupported('getPushToken');
+        }
+        return callBridge('getPushToken').then(function(token) {
+            lastPushToken = toPushToken(token);
+            return lastPushToken;
+        });
+    };
+    
+    const createPushDetail = function(type, payload) {
+        if (type === 'tokenchange') {
+            return { token: toPushToken(payload.token) };
+        }
+        
+        if (type === 'notification') {
+            return {
+                id: payload.id !== undefined ? String(payload.id) : null,
+                title: payload.title !== undefined ? String(payload.title) : '',
+                body: payload.body !== undefined ? String(payload.body) : '',
+                data: payload.data && typeof payload.data === 'object' ? payload.data : {}
+            };
+        }
+        
+        // Relative targets resolve against the current page, so native may send either form
+        if (typeof payload.url !== 'string' || !payload.url) {
+            throw new TypeError('url must be a non-empty string');
+        }
+        const url = new URL(payload.url, window.location.href);
+        return {
+            url: url.href,
+            path: url.pathname + url.search + url.hash,
+            sameOrigin: url.origin === window.location.origin,
+            data: payload.data && typeof payload.data === 'object' ? payload.data : {}
+        };
+    };
+    
+    // Called by native. Returns true when a listener called preventDefault(): for a deeplink the
+    // page routed it itself, for a notification it showed its own UI. Native falls back to loading
+    // the URL or showing the banner when this returns false.
+    ZooboxBridge._dispatchPushEvent = function(type, payload) {
+        if (PUSH_EVENT_TYPES.indexOf(type) === -1) {
+            logger.warn('⚠️ Ignoring unknown push event:', type);
+            return false;
+        }
+        
+        let detail;
+        try {
+            detail = createPushDetail(type, payload && typeof payload === 'object' ? payload : {});
+        } catch (error) {
+            logger.warn('⚠️ Ignoring malformed', type, 'event:', error.message);
+            return false;
+        }
+        
+        if (type === 'tokenchange') {
+            if (detail.token === lastPushToken) {
+                return false;
             }
+            lastPushToken = detail.token;
+        }
+        
+        logger.debug('📬 Push', type + ':', detail);
+        const event = new CustomEvent(type, { detail: detail, cancelable: type !== 'tokenchange' });
+        push.dispatchEvent(event);
+        return event.defaultPrevented;
+    };
+    
+    ZooboxBridge.push = push;
+    
+    // Connectivity: WKWebView's navigator.onLine and online/offline events lag behind the device and
+    // can claim to be online while every request fails. Native mirrors what NWPathMonitor reports:
+    //   window.zooboxConnectivity at injection time, then ZooboxBridge._updateConnectivity(state)
+    //   state: { online, type: 'wifi' | 'cellular' | 'ethernet' | 'other' | 'none' | 'unknown', constrained, expensive }
+    // Until native reports, navigator.onLine keeps the browser's answer.
+    const CONNECTION_TYPES = ['wifi', 'cellular', 'ethernet', 'other', 'none', 'unknown'];
+    const onLineDescriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(navigator), 'onLine');
+    let connectivityState = null;
+    
+    const browserOnLine = function() {
+        return onLineDescriptor && onLineDescriptor.get ? onLineDescriptor.get.call(navigator) : true;
+    };
+    
+    const isOnline = function() {
+        return connectivityState ? connectivityState.online : browserOnLine();
+    };
+    
+    const toConnectivityState = function(state) {
+        if (!state || typeof state !== 'object' || typeof state.online !== 'boolean') {
+            throw new TypeError('Connectivity state needs a boolean "online"');
+        }
+        let type = CONNECTION_TYPES.indexOf(state.type) !== -1 ? state.type : 'unknown';
+        if (!state.online) {
+            type = 'none';
+        } else if (type === 'none') {
+            type = 'unknown';
+        }
+        return {
+            online: state.online,
+            type: type,
+            // Low Data Mode; surfaced to pages as navigator.connection.saveData
+            constrained: state.constrained === true,
+            // Cellular or a personal hotspot
+            expensive: state.expensive === true
         };
+    };
+    
+    const getConnectivityState = function() {
+        const state = connectivityState || { online: browserOnLine(), type: 'unknown', constrained: false, expensive: false };
+        return Object.assign({ source: connectivityState ? 'native' : 'browser' }, state);
+    };
+    
+    // navigator.connection in the shape of the Network Information API, which WebKit lacks
+    const connection = new EventTarget();
+    defineEventHandler(connection, 'change');
+    Object.defineProperties(connection, {
+        type: { enumerable: true, get: function() { return getConnectivityState().type; } },
+        saveData: { enumerable: true, get: function() { return getConnectivityState().constrained; } },
+        constrained: { enumerable: true, get: function() { return getConnectivityState().constrained; } },
+        expensive: { enumerable: true, get: function() { return getConnectivityState().expensive; } }
+    });
+    
+    patchProperty(navigator, 'onLine', { get: isOnline });
+    patchProperty(navigator, 'connection', { value: connection });
+    
+    // Once native is the source of truth, WebKit's own online/offline events would contradict it.
+    // Capturing listeners added now run before any the page adds, so they can stop them.
+    ['online', 'offline'].forEach(function(type) {
+        addInstalledListener(window, type, function(event) {
+            if (event.isTrusted && connectivityState) {
+                event.stopImmediatePropagation();
+            }
+        }, true);
+    });
+    
+    const connectivity = new EventTarget();
+    ['change', 'queued', 'replay'].forEach(function(type) {
+        defineEventHandler(connectivity, type);
+    });
+    
+    connectivity.getState = getConnectivityState;
+    
+    // Offline queue: an opt-in for POSTs that are safe to send later, such as order submissions.
+    // While native reports the device offline, matching fetch() calls are saved to localStorage and
+    // answered with 202 Accepted; the saved requests are sent in order once native reports it is
+    // back. Only string and URLSearchParams bodies are queued, since other bodies cannot be stored.
+    const originalFetch = getOriginal(window, 'fetch');
+    let offlineQueue = null;
+    let queuedRequests = [];
+    let nextQueuedRequestId = 1;
+    let queueReplay = null;
+    
+    const readQueue = function(storageKey) {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            logger.warn('⚠️ Could not read the offline queue:', error.message);
+            return [];
+        }
+    };
+    
+    const saveQueue = function() {
+        try {
+            window.localStorage.setItem(offlineQueue.storageKey, JSON.stringify(queuedRequests));
+        } catch (error) {
+            logger.warn('⚠️ Could not persist the offline queue, keeping it in memory:', error.message);
+        }
+    };
+    
+    const matchesOfflineQueue = function(url) {
+        const match = offlineQueue.match;
+        if (typeof match === 'function') {
+            return !!match(url);
+        }
+        if (match instanceof RegExp) {
+            return match.test(url);
+        }
+        if (typeof match === 'string') {
+            return url.indexOf(new URL(match, window.location.href).href) === 0;
+        }
+        return new URL(url).origin === window.location.origin;
+    };
+    
+    // The stored form of a fetch() call, or null when it should go to the network as usual
+    const toQueuedRequest = function(input, init) {
+        const options = init || {};
+        if (typeof input !== 'string' && !(input instanceof URL)) {
+            // Request objects only expose their body asynchronously
+            return null;
+        }
+        if (String(options.method || 'GET').toUpperCase() !== 'POST') {
+            return null;
+        }
+        
+        const url = new URL(String(input), window.location.href).href;
+        if (!matchesOfflineQueue(url)) {
+            return null;
+        }
         
-        // Keep original clearWatch
-        navigator.geolocation.clearWatch = function(watchId) {
-            console.log('🔐 Clearing location watch:', watchId);
-            if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.stopRealTimeLocation) {
-                window.webkit.messageHandlers.stopRealTimeLocation.postMessage({});
+        const headers = new Headers(options.headers);
+        let body = null;
+        if (typeof options.body === 'string') {
+            body = options.body;
+        } else if (options.body instanceof URLSearchParams) {
+            body = options.body.toString();
+            if (!headers.has('Content-Type')) {
+                headers.set('Content-Type', 'application/x-www-form-urlencoded;charset=UTF-8');
             }
-            return originalClearWatch.call(navigator.geolocation, watchId);
-        };
+        } else if (options.body !== undefined && options.body !== null) {
+            logger.warn('⚠️ Not queuing an offline POST whose body cannot be stored:', url);
+            return null;
+        }
         
-        console.log('✅ Geolocation API overridden successfully');
+        const headerList = [];
+        headers.forEach(function(value, name) {
+            headerList.push([name, value]);
+        });
+        return {
+            id: 'q' + Date.now().toString(36) + '-' + nextQueuedRequestId++,
+            url: url,
+            method: 'POST',
+            headers: headerList,
+            body: body,
+            credentials: options.credentials || null,
+            queuedAt: Date.now()
+        };
+    };
+    
+    const describeQueuedRequest = function(entry) {
+        return { id: entry.id, url: entry.url, method: entry.method, queuedAt: entry.queuedAt };
+    };
+    
+    if (typeof originalFetch === 'function') {
+        patchProperty(window, 'fetch', { value: function(input, init) {
+            if (offlineQueue && !isOnline()) {
+                const entry = toQueuedRequest(input, init);
+                if (entry) {
+                    queuedRequests.push(entry);
+                    saveQueue();
+                    logger.info('📥 Queued offline request:', entry.url, entry.id);
+                    connectivity.dispatchEvent(new CustomEvent('queued', { detail: describeQueuedRequest(entry) }));
+                    return Promise.resolve(new Response(JSON.stringify({ queued: true, id: entry.id }), {
+                        status: 202,
+                        statusText: 'Accepted',
+                        headers: { 'Content-Type': 'application/json', 'X-Zoobox-Queued': entry.id }
+                    }));
+                }
+            }
+            return originalFetch.apply(this, arguments);
+        } });
     }
     
-    // Override Notification API
-    if (window.Notification) {
-        console.log('🔐 Overriding Notification API...');
+    // Statuses that mean the server could not take the request yet, not that it refused it
+    const isRetryableStatus = function(status) {
+        return status >= 500 || status === 408 || status === 429;
+    };
+    
+    // Send queued requests one at a time, oldest first. A 2xx or other 4xx response removes the entry.
+    // A network error, 5xx, 408 or 429 leaves it and everything after it for the next time native
+    // reports online, the queue is enabled again or the page calls replayOfflineQueue().
+    const replayNextQueuedRequest = function(replayed) {
+        if (!offlineQueue || queuedRequests.length === 0 || !isOnline()) {
+            return Promise.resolve(replayed);
+        }
         
-        const originalRequestPermission = window.Notification.requestPermission;
+        const entry = queuedRequests[0];
+        const init = { method: entry.method, headers: entry.headers };
+        if (entry.body !== null) {
+            init.body = entry.body;
+        }
+        if (entry.credentials) {
+            init.credentials = entry.credentials;
+        }
         
-        window.Notification.requestPermission = function(callback) {
-            console.log('🔐 Notification permission requested');
+        return originalFetch.call(window, entry.url, init).then(function(response) {
+            if (isRetryableStatus(response.status)) {
+                logger.warn('⚠️ Server could not take offline request yet (' + response.status + '), keeping it queued:', entry.url);
+                return replayed;
+            }
             
-            if (zooboxPermissions.notifications === 'granted') {
-                console.log('✅ Notification permission already granted');
-                if (callback) {
-                    callback('granted');
-                }
-                return Promise.resolve('granted');
-            } else {
-                console.log('❌ Notification permission not granted - requesting permission');
-                if (window.ZooboxBridge && window.ZooboxBridge.requestPermission) {
-                    window.ZooboxBridge.requestPermission('notifications');
-                }
-                if (callback) {
-                    callback('denied');
-                }
-                return Promise.resolve('denied');
+            const index = queuedRequests.indexOf(entry);
+            if (index !== -1) {
+                queuedRequests.splice(index, 1);
+                saveQueue();
             }
-        };
+            logger.info('📤 Replayed offline request:', entry.url, response.status);
+            connectivity.dispatchEvent(new CustomEvent('replay', {
+                detail: Object.assign(describeQueuedRequest(entry), { status: response.status, ok: response.ok })
+            }));
+            return replayNextQueuedRequest(replayed + 1);
+        }, function(error) {
+            logger.warn('⚠️ Offline request replay failed, will retry when back online:', entry.url, error && error.message);
+            return replayed;
+        });
+    };
+    
+    // Resolves to the number of requests that reached the server
+    const replayOfflineQueue = function() {
+        if (!queueReplay) {
+            queueReplay = replayNextQueuedRequest(0).then(function(replayed) {
+                queueReplay = null;
+                return replayed;
+            });
+        }
+        return queueReplay;
+    };
+    
+    // options: { match: URL prefix | RegExp | function(url), storageKey }; match defaults to same-origin URLs
+    connectivity.enableOfflineQueue = function(options) {
+        const queueOptions = Object.assign({ match: null, storageKey: 'zoobox.offlineQueue' }, options || {});
+        if (typeof originalFetch !== 'function') {
+            throw createBridgeError('UNSUPPORTED', 'fetch is not available');
+        }
+        offlineQueue = queueOptions;
+        queuedRequests = readQueue(queueOptions.storageKey);
+        // Requests left over from an earlier visit go out as soon as possible
+        replayOfflineQueue();
+    };
+    
+    // Stops queuing new requests; saved requests stay stored until the queue is enabled again
+    connectivity.disableOfflineQueue = function() {
+        offlineQueue = null;
+        queuedRequests = [];
+    };
+    
+    connectivity.getQueuedRequests = function() {
+        return queuedRequests.map(describeQueuedRequest);
+    };
+    
+    connectivity.clearOfflineQueue = function() {
+        const cleared = queuedRequests.length;
+        queuedRequests = [];
+        if (offlineQueue) {
+            saveQueue();
+        }
+        return cleared;
+    };
+    
+    connectivity.replayOfflineQueue = replayOfflineQueue;
+    
+    const applyConnectivityState = function(state) {
+        const wasOnline = isOnline();
+        const previous = getConnectivityState();
+        connectivityState = state;
+        
+        if (state.online !== wasOnline) {
+            logger.info(state.online ? '🌐 Back online' : '📴 Offline');
+            window.dispatchEvent(new Event(state.online ? 'online' : 'offline'));
+        }
+        
+        const changed = ['online', 'type', 'constrained', 'expensive'].some(function(key) {
+            return previous[key] !== state[key];
+        });
+        if (changed) {
+            connection.dispatchEvent(new Event('change'));
+            connectivity.dispatchEvent(new CustomEvent('change', { detail: getConnectivityState() }));
+        }
         
-        console.log('✅ Notification API overridden successfully');
+        if (state.online && !wasOnline) {
+            replayOfflineQueue();
+        }
+    };
+    
+    // Called by native whenever the network path changes
+    ZooboxBridge._updateConnectivity = function(state) {
+        try {
+            applyConnectivityState(toConnectivityState(state));
+        } catch (error) {
+            logger.warn('⚠️ Ignoring malformed connectivity update:', error.message);
+        }
+    };
+    
+    if (window.zooboxConnectivity) {
+        try {
+            connectivityState = toConnectivityState(window.zooboxConnectivity);
+        } catch (error) {
+            logger.warn('⚠️ Ignoring malformed window.zooboxConnectivity:', error.message);
+        }
     }
     
-    // Override getUserMedia API (for camera)
+    ZooboxBridge.connectivity = connectivity;
+    
+    // Override getUserMedia API (for camera and microphone)
     if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
-        console.log('🔐 Overriding getUserMedia API...');
+        logger.debug('🔐 Overriding getUserMedia API...');
         
-        const originalGetUserMedia = navigator.mediaDevices.getUserMedia;
+        const originalGetUserMedia = getOriginal(navigator.mediaDevices, 'getUserMedia');
         
-        navigator.mediaDevices.getUserMedia = function(constraints) {
-            console.log('🔐 getUserMedia called with constraints:', constraints);
+        patchProperty(navigator.mediaDevices, 'getUserMedia', { value: function getUserMedia(constraints) {
+            logger.debug('🔐 getUserMedia called with constraints:', constraints);
+            
+            if (!isBridgeSettled()) {
+                return bridgeReady.then(function() {
+                    return getUserMedia(constraints);
+                });
+            }
             
             // Check what permissions are needed
-            const needsCamera = constraints.video;
+            const mediaConstraints = constraints || {};
+            const needsCamera = !!mediaConstraints.video;
+            const needsMicrophone = !!mediaConstraints.audio;
             
             let canProceed = true;
             let missingPermissions = [];
@@ -180,17 +2175,36 @@ console.log('🔐 Zoobox Permission Override System Initializing...');
                 missingPermissions.push('camera');
             }
             
+            // Native builds that predate microphone support never report it; WebKit asks the user instead
+            if (needsMicrophone && zooboxPermissions.microphone !== undefined && zooboxPermissions.microphone !== 'granted') {
+                canProceed = false;
+                missingPermissions.push('microphone');
+            }
+            
             if (canProceed) {
-                console.log('✅ All required permissions granted - proceeding with getUserMedia');
+                logger.debug('✅ All required permissions granted - proceeding with getUserMedia');
+                return originalGetUserMedia.call(navigator.mediaDevices, constraints);
+            } else if (!nativeHandles('requestPermission')) {
+                // Native cannot prompt, so let WebKit ask the user
+                logger.debug('🔐 Missing permissions and native cannot request them - using original API:', missingPermissions);
                 return originalGetUserMedia.call(navigator.mediaDevices, constraints);
+            } else if (config.waitForPermissionGrant) {
+                logger.debug('⏳ Missing permissions - queueing getUserMedia until granted:', missingPermissions);
+                
+                return Promise.all(missingPermissions.map(waitForPermissionGrant)).then(function() {
+                    return getUserMedia(constraints);
+                }, function() {
+                    throw new DOMException(
+                        'Permission not granted - some features may be limited. You can enable permissions in the app settings.',
+                        'NotAllowedError'
+                    );
+                });
             } else {
-                console.log('❌ Missing permissions:', missingPermissions);
+                logger.info('❌ Missing permissions:', missingPermissions);
                 
                 // Request missing permissions
                 missingPermissions.forEach(permission => {
-                    if (window.ZooboxBridge && window.ZooboxBridge.requestPermission) {
-                        window.ZooboxBridge.requestPermission(permission);
-                    }
+                    requestNativePermission(permission).catch(function() {});
                 });
                 
                 // Return rejected promise with more user-friendly message
@@ -199,95 +2213,712 @@ console.log('🔐 Zoobox Permission Override System Initializing...');
                     'NotAllowedError'
                 ));
             }
+        } });
+        
+        logger.debug('✅ getUserMedia API overridden successfully');
+    }
+    
+    // Photo capture: native takes or picks the photo, resizes and re-encodes it, then streams the
+    // bytes back as base64 chunks because message replies are strings of limited size.
+    //   1. page -> native: capturePhoto { transferId, source, maxWidth, maxHeight, quality, format, stripMetadata }
+    //   2. native -> page: ZooboxBridge._receiveChunk(transferId, index, base64) for each chunk, in any order
+    //   3. native -> page: _resolveCall(id, { name, type, lastModified, chunkCount }) once all chunks are sent
+    // Small photos may skip step 2 and put the whole payload in result.data instead.
+    const PHOTO_FORMATS = { jpeg: 'image/jpeg', png: 'image/png' };
+    const PHOTO_SOURCES = ['camera', 'library'];
+    
+    // Chunks received per transfer id, waiting for the call that requested them to resolve. Only
+    // transfers whose capturePhoto call is still pending have an entry; late chunks are dropped.
+    const incomingChunks = {};
+    let nextTransferId = 1;
+    
+    ZooboxBridge._receiveChunk = function(transferId, index, data) {
+        const key = String(transferId);
+        if (!incomingChunks[key]) {
+            logger.warn('⚠️ Dropping chunk for unknown or finished transfer:', key, index);
+            return false;
+        }
+        if (typeof data !== 'string' || !(index >= 0)) {
+            logger.warn('⚠️ Ignoring malformed chunk for transfer:', key, index);
+            return false;
+        }
+        incomingChunks[key][index] = data;
+        return true;
+    };
+    
+    const takeChunks = function(transferId) {
+        const chunks = incomingChunks[transferId] || [];
+        delete incomingChunks[transferId];
+        return chunks;
+    };
+    
+    const decodeBase64 = function(data) {
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+    
+    // Rebuild the File native described from the chunks it sent for transferId
+    const assembleFile = function(transferId, result) {
+        const chunks = takeChunks(transferId);
+        const payload = result && typeof result === 'object' ? result : {};
+        const parts = typeof payload.data === 'string' ? [payload.data] : chunks;
+        const chunkCount = typeof payload.data === 'string' ? 1 : payload.chunkCount;
+        
+        if (!(chunkCount > 0) || parts.length !== chunkCount) {
+            throw createBridgeError('TRANSFER_FAILED', 'Expected ' + chunkCount + ' chunks but received ' + parts.length);
+        }
+        
+        // Chunks are stored by index, so a lost one is a hole that map() would skip
+        const bytes = [];
+        for (let index = 0; index < chunkCount; index++) {
+            if (typeof parts[index] !== 'string') {
+                throw createBridgeError('TRANSFER_FAILED', 'Chunk ' + index + ' is missing');
+            }
+            try {
+                bytes.push(decodeBase64(parts[index]));
+            } catch (error) {
+                throw createBridgeError('TRANSFER_FAILED', 'Chunk ' + index + ' is not valid base64');
+            }
+        }
+        
+        return new File(bytes, payload.name || 'photo', {
+            type: payload.type || 'application/octet-stream',
+            lastModified: typeof payload.lastModified === 'number' ? payload.lastModified : Date.now()
+        });
+    };
+    
+    const normalizePhotoOptions = function(options) {
+        const photoOptions = Object.assign({
+            source: 'camera',
+            maxWidth: null,
+            maxHeight: null,
+            quality: 0.8,
+            format: 'jpeg',
+            stripMetadata: true
+        }, options || {});
+        
+        if (PHOTO_SOURCES.indexOf(photoOptions.source) === -1) {
+            throw createBridgeError('INVALID_OPTIONS', 'source must be one of: ' + PHOTO_SOURCES.join(', '));
+        }
+        if (!PHOTO_FORMATS[photoOptions.format]) {
+            throw createBridgeError('INVALID_OPTIONS', 'format must be one of: ' + Object.keys(PHOTO_FORMATS).join(', '));
+        }
+        if (!(photoOptions.quality >= 0 && photoOptions.quality <= 1)) {
+            throw createBridgeError('INVALID_OPTIONS', 'quality must be between 0 and 1');
+        }
+        ['maxWidth', 'maxHeight'].forEach(function(name) {
+            if (photoOptions[name] !== null && !(photoOptions[name] > 0 && isFinite(photoOptions[name]))) {
+                throw createBridgeError('INVALID_OPTIONS', name + ' must be a positive number');
+            }
+        });
+        
+        return {
+            source: photoOptions.source,
+            maxWidth: photoOptions.maxWidth,
+            maxHeight: photoOptions.maxHeight,
+            quality: photoOptions.quality,
+            format: photoOptions.format,
+            stripMetadata: photoOptions.stripMetadata !== false
+        };
+    };
+    
+    // Resolves to a File; rejects with CANCELLED, PERMISSION_DENIED, UNAVAILABLE, INVALID_OPTIONS,
+    // TRANSFER_FAILED, or UNSUPPORTED when the handshake does not list capturePhoto
+    ZooboxBridge.capturePhoto = function capturePhoto(options) {
+        let params;
+        try {
+            params = normalizePhotoOptions(options);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        
+        if (!isBridgeSettled()) {
+            return bridgeReady.then(function() {
+                return capturePhoto(options);
+            });
+        }
+        if (!nativeHandles('capturePhoto')) {
+            return rejectUnsupported('capturePhoto');
+        }
+        
+        // The library picker needs no permission; a camera the user turned off can only be fixed in Settings
+        if (params.source === 'camera' && isDeniedStatus(zooboxPermissions.camera)) {
+            logger.info('❌ Camera permission denied - not opening the camera');
+            requestNativePermission('camera').catch(function() {});
+            return Promise.reject(createBridgeError('PERMISSION_DENIED', 'Camera permission not granted'));
+        }
+        
+        const transferId = 'photo-' + nextTransferId++;
+        params.transferId = transferId;
+        incomingChunks[transferId] = [];
+        logger.debug('📷 Capturing photo:', params);
+        
+        // The user may take as long as they like, so the call itself never times out. However it
+        // settles, including uninstall, the buffer goes with it.
+        return callBridge('capturePhoto', params, 0).then(function(result) {
+            const file = assembleFile(transferId, result);
+            logger.debug('📷 Photo received:', file.name, file.size + ' bytes');
+            return file;
+        }, function(error) {
+            delete incomingChunks[transferId];
+            throw error;
+        });
+    };
+    
+    // Share, clipboard and wake lock: spec-shaped navigator shims backed by native, because WebKit
+    // in the app either lacks these APIs or only allows them inside a user gesture.
+    //   share                              { title, text, url, files: [{ name, type, data }] }, answered once the sheet closes
+    //   writeClipboard / readClipboard     { text } / {}, the read answered with the pasteboard text
+    //   requestWakeLock / releaseWakeLock  { id }; native keeps the screen on while any id is held
+    // Native failures reject with the DOMException name each spec uses.
+    const toDOMException = function(error, namesByCode, defaultName) {
+        const code = error && error.code;
+        return new DOMException((error && error.message) || 'The operation failed', namesByCode[code] || defaultName);
+    };
+    
+    // Resolves true once the handshake lists the method. Builds without it never answer the call,
+    // and share and readText have no timeout, so the choice has to wait for the handshake.
+    const whenNativeHandles = function(method) {
+        return ZooboxBridge.ready().then(function() {
+            return nativeHandles(method);
+        });
+    };
+    
+    const notSupported = function(feature) {
+        return Promise.reject(new DOMException(feature + ' is not supported by this app version', 'NotSupportedError'));
+    };
+    
+    // Shares carry files inline as base64, so keep them to what a message can reasonably hold
+    const MAX_SHARE_FILE_BYTES = 20 * 1024 * 1024;
+    const SHARE_URL_PROTOCOLS = ['http:', 'https:'];
+    
+    // Validate share data the way navigator.share does; throws TypeError or DataError
+    const normalizeShareData = function(data) {
+        const shareData = data || {};
+        const files = shareData.files === undefined ? [] : shareData.files;
+        const isFileList = Array.isArray(files) && files.every(function(file) {
+            return file instanceof File;
+        });
+        if (!isFileList) {
+            throw new TypeError('files must be an array of File objects');
+        }
+        if (shareData.title === undefined && shareData.text === undefined && shareData.url === undefined && files.length === 0) {
+            throw new TypeError('Share data needs at least one of title, text, url or files');
+        }
+        
+        let url = null;
+        if (shareData.url !== undefined) {
+            try {
+                url = new URL(String(shareData.url), document.baseURI);
+            } catch (error) {
+                throw new TypeError('Invalid URL: ' + shareData.url);
+            }
+            if (SHARE_URL_PROTOCOLS.indexOf(url.protocol) === -1) {
+                throw new TypeError('Only http and https URLs can be shared');
+            }
+        }
+        
+        const totalSize = files.reduce(function(total, file) {
+            return total + file.size;
+        }, 0);
+        if (totalSize > MAX_SHARE_FILE_BYTES) {
+            throw new DOMException('Files larger than ' + MAX_SHARE_FILE_BYTES + ' bytes in total cannot be shared', 'DataError');
+        }
+        
+        return {
+            title: shareData.title === undefined ? null : String(shareData.title),
+            text: shareData.text === undefined ? null : String(shareData.text),
+            url: url ? url.href : null,
+            files: files
         };
+    };
+    
+    const readFileAsBase64 = function(file) {
+        return new Promise(function(resolve, reject) {
+            const reader = new FileReader();
+            reader.onload = function() {
+                resolve({ name: file.name, type: file.type || 'application/octet-stream', data: String(reader.result).split(',')[1] || '' });
+            };
+            reader.onerror = function() {
+                reject(new DOMException('Could not read ' + file.name, 'DataError'));
+            };
+            reader.readAsDataURL(file);
+        });
+    };
+    
+    const originalShare = getOriginal(navigator, 'share');
+    const originalCanShare = getOriginal(navigator, 'canShare');
+    let shareInProgress = false;
+    
+    const share = function share(data) {
+        return whenNativeHandles('share').then(function(handled) {
+            if (!handled) {
+                return originalShare ? originalShare.call(navigator, data) : notSupported('Sharing');
+            }
+            if (shareInProgress) {
+                throw new DOMException('A share is already in progress', 'InvalidStateError');
+            }
+            
+            const shareData = normalizeShareData(data);
+            shareInProgress = true;
+            logger.debug('📤 Sharing:', shareData.title, shareData.url, shareData.files.length + ' file(s)');
+            return Promise.all(shareData.files.map(readFileAsBase64)).then(function(files) {
+                shareData.files = files;
+                // The share sheet stays up as long as the user likes, so the call never times out
+                return callBridge('share', shareData, 0).then(function() {
+                    return undefined;
+                }, function(error) {
+                    throw toDOMException(error, { CANCELLED: 'AbortError', PERMISSION_DENIED: 'NotAllowedError' }, 'AbortError');
+                });
+            }).then(function(result) {
+                shareInProgress = false;
+                return result;
+            }, function(error) {
+                shareInProgress = false;
+                throw error;
+            });
+        });
+    };
+    
+    // canShare answers synchronously, so until the handshake settles it assumes native shares
+    const canShare = function canShare(data) {
+        if (!isBridgeAvailable() || (isBridgeSettled() && !nativeHandles('share'))) {
+            return originalCanShare ? originalCanShare.call(navigator, data) : false;
+        }
+        try {
+            normalizeShareData(data);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    };
+    
+    // Clipboard: the existing object keeps write()/read() and its events; only text goes to native
+    const clipboard = navigator.clipboard || new EventTarget();
+    const originalWriteText = getOriginal(clipboard, 'writeText');
+    const originalReadText = getOriginal(clipboard, 'readText');
+    const CLIPBOARD_ERRORS = { PERMISSION_DENIED: 'NotAllowedError', CANCELLED: 'NotAllowedError' };
+    
+    const writeText = function writeText(text) {
+        return whenNativeHandles('writeClipboard').then(function(handled) {
+            if (!handled) {
+                return originalWriteText ? originalWriteText.call(clipboard, text) : notSupported('Clipboard access');
+            }
+            return callBridge('writeClipboard', { text: String(text) }).then(function() {
+                return undefined;
+            }, function(error) {
+                throw toDOMException(error, CLIPBOARD_ERRORS, 'NotAllowedError');
+            });
+        });
+    };
+    
+    const readText = function readText() {
+        return whenNativeHandles('readClipboard').then(function(handled) {
+            if (!handled) {
+                return originalReadText ? originalReadText.call(clipboard) : notSupported('Clipboard access');
+            }
+            // iOS may ask the user to allow the paste first, so the call never times out
+            return callBridge('readClipboard', {}, 0).then(function(result) {
+                const text = result && typeof result === 'object' ? result.text : result;
+                return typeof text === 'string' ? text : '';
+            }, function(error) {
+                throw toDOMException(error, CLIPBOARD_ERRORS, 'NotAllowedError');
+            });
+        });
+    };
+    
+    // Wake lock: one native request per sentinel; native keeps the idle timer off while any is held.
+    // Like browsers, every lock is released when the page is hidden and must be requested again.
+    const originalWakeLock = navigator.wakeLock;
+    const originalWakeLockRequest = originalWakeLock ? getOriginal(originalWakeLock, 'request') : undefined;
+    const activeWakeLocks = [];
+    let nextWakeLockId = 1;
+    
+    // Each held lock is { id, sentinel }; released sentinels are no longer in the list
+    const releaseWakeLock = function(lock) {
+        const index = activeWakeLocks.indexOf(lock);
+        if (index === -1) {
+            return;
+        }
+        activeWakeLocks.splice(index, 1);
+        callBridge('releaseWakeLock', { id: lock.id }).catch(function(error) {
+            logger.warn('⚠️ Native did not release wake lock', lock.id + ':', error.message);
+        });
+        logger.debug('💡 Wake lock released:', lock.id);
+        lock.sentinel.dispatchEvent(new Event('release'));
+    };
+    
+    const createWakeLock = function(id) {
+        const sentinel = new EventTarget();
+        const lock = { id: id, sentinel: sentinel };
+        
+        Object.defineProperty(sentinel, 'released', {
+            enumerable: true,
+            get: function() {
+                return activeWakeLocks.indexOf(lock) === -1;
+            }
+        });
+        Object.defineProperty(sentinel, 'type', { enumerable: true, value: 'screen' });
+        Object.defineProperty(sentinel, 'release', {
+            value: function() {
+                releaseWakeLock(lock);
+                return Promise.resolve();
+            }
+        });
+        defineEventHandler(sentinel, 'release');
+        return lock;
+    };
+    
+    const requestWakeLock = function request(type) {
+        const lockType = type === undefined ? 'screen' : type;
+        return whenNativeHandles('requestWakeLock').then(function(handled) {
+            if (!handled) {
+                return originalWakeLockRequest
+                    ? originalWakeLockRequest.call(originalWakeLock, lockType)
+                    : notSupported('Wake Lock');
+            }
+            if (lockType !== 'screen') {
+                throw new TypeError('The provided value \'' + lockType + '\' is not a valid wake lock type');
+            }
+            if (document.visibilityState === 'hidden') {
+                throw new DOMException('The page is not visible', 'NotAllowedError');
+            }
+            
+            const id = 'wakelock-' + nextWakeLockId++;
+            return callBridge('requestWakeLock', { id: id }).then(function() {
+                const lock = createWakeLock(id);
+                activeWakeLocks.push(lock);
+                logger.debug('💡 Wake lock acquired:', id);
+                // The page was hidden while native answered
+                if (document.visibilityState === 'hidden') {
+                    releaseWakeLock(lock);
+                }
+                return lock.sentinel;
+            }, function(error) {
+                throw toDOMException(error, {}, 'NotAllowedError');
+            });
+        });
+    };
+    
+    const releaseAllWakeLocks = function() {
+        activeWakeLocks.slice().forEach(releaseWakeLock);
+    };
+    
+    if (isBridgeAvailable()) {
+        logger.debug('🔐 Installing share, clipboard and wake lock shims...');
+        
+        patchProperty(navigator, 'share', { value: share });
+        patchProperty(navigator, 'canShare', { value: canShare });
+        
+        patchProperty(clipboard, 'writeText', { value: writeText });
+        patchProperty(clipboard, 'readText', { value: readText });
+        if (!navigator.clipboard) {
+            patchProperty(navigator, 'clipboard', { value: clipboard });
+        }
         
-        console.log('✅ getUserMedia API overridden successfully');
+        patchProperty(navigator, 'wakeLock', { value: { request: requestWakeLock } });
+        addInstalledListener(document, 'visibilitychange', function() {
+            if (document.visibilityState === 'hidden') {
+                releaseAllWakeLocks();
+            }
+        });
+        uninstallHooks.push(releaseAllWakeLocks);
     }
     
+    // Maps web permission names onto the native permission model
+    const nativePermissionNames = {
+        geolocation: 'location',
+        notifications: 'notifications',
+        camera: 'camera',
+        microphone: 'microphone'
+    };
+    
+    // Native reports granted/denied/restricted/notDetermined; the web only knows granted/denied/prompt
+    const toPermissionState = function(nativeStatus) {
+        switch (nativeStatus) {
+            case 'granted':
+                return 'granted';
+            case 'denied':
+            case 'restricted':
+                return 'denied';
+            default:
+                return 'prompt';
+        }
+    };
+    
+    // Live PermissionStatus objects handed out by permissions.query, one per permission name
+    const permissionStatuses = {};
+    
+    // A real EventTarget moved onto WebKit's PermissionStatus prototype, so instanceof checks hold
+    // while events still target the status itself; own properties shadow the native getters
+    const createPermissionStatus = function(permissionName, state) {
+        const status = new EventTarget();
+        if (window.PermissionStatus) {
+            Object.setPrototypeOf(status, window.PermissionStatus.prototype);
+        }
+        let currentState = state;
+        
+        Object.defineProperty(status, 'name', { value: permissionName, enumerable: true });
+        Object.defineProperty(status, 'state', {
+            enumerable: true,
+            get: function() {
+                return currentState;
+            }
+        });
+        
+        defineEventHandler(status, 'change');
+        
+        // Private hook for the update listener below
+        Object.defineProperty(status, '_setState', {
+            value: function(newState) {
+                if (newState === currentState) {
+                    return false;
+                }
+                currentState = newState;
+                status.dispatchEvent(new Event('change'));
+                return true;
+            }
+        });
+        
+        return status;
+    };
+    
+    const refreshPermissionStatuses = function() {
+        Object.keys(permissionStatuses).forEach(function(permissionName) {
+            const newState = toPermissionState(zooboxPermissions[nativePermissionNames[permissionName]]);
+            if (permissionStatuses[permissionName]._setState(newState)) {
+                logger.debug('🔄 Permission', permissionName, 'changed to', newState);
+            }
+        });
+    };
+    
     // Listen for permission updates from native app
-    window.addEventListener('zooboxPermissionsUpdate', function(event) {
-        console.log('🔐 Permissions updated from native app:', event.detail);
-        zooboxPermissions = event.detail;
+    addInstalledListener(window, 'zooboxPermissionsUpdate', function(event) {
+        logger.debug('🔐 Permissions updated from native app:', event.detail);
+        zooboxPermissions = event.detail || {};
+        
+        if (zooboxPermissions.logLevel) {
+            logger.setLevel(zooboxPermissions.logLevel);
+        }
         
-        // Re-evaluate any pending permission requests
-        console.log('🔄 Permission status updated - re-evaluating pending requests');
+        // Notify every PermissionStatus whose state flipped and resume calls waiting for a grant
+        refreshPermissionStatuses();
+        settlePermissionWaiters();
     });
     
     // Override permission query API if available
     if (navigator.permissions && navigator.permissions.query) {
-        console.log('🔐 Overriding permissions.query API...');
+        logger.debug('🔐 Overriding permissions.query API...');
         
-        const originalQuery = navigator.permissions.query;
+        const originalQuery = getOriginal(navigator.permissions, 'query');
         
-        navigator.permissions.query = function(permissionDescriptor) {
-            console.log('🔐 Permission query:', permissionDescriptor);
+        patchProperty(navigator.permissions, 'query', { value: function query(permissionDescriptor) {
+            logger.debug('🔐 Permission query:', permissionDescriptor);
             
             const permissionName = permissionDescriptor.name;
-            let permissionStatus = 'denied';
-            
-            switch (permissionName) {
-                case 'geolocation':
-                    permissionStatus = zooboxPermissions.location === 'granted' ? 'granted' : 'denied';
-                    break;
-                case 'notifications':
-                    permissionStatus = zooboxPermissions.notifications === 'granted' ? 'granted' : 'denied';
-                    break;
-                case 'camera':
-                    permissionStatus = zooboxPermissions.camera === 'granted' ? 'granted' : 'denied';
-                    break;
-                default:
-                    // Use original API for unknown permissions
-                    return originalQuery.call(navigator.permissions, permissionDescriptor);
-            }
-            
-            console.log('🔐 Permission status for', permissionName, ':', permissionStatus);
-            
-            // Return a mock PermissionStatus object
-            return Promise.resolve({
-                state: permissionStatus,
-                onchange: null
+            const nativeName = nativePermissionNames[permissionName];
+            
+            if (!nativeName) {
+                // Use original API for unknown permissions
+                return originalQuery.call(navigator.permissions, permissionDescriptor);
+            }
+            
+            // Prefer the status native already pushed; otherwise ask native for it, or WebKit when
+            // the handshake does not list checkPermission
+            let statusPromise;
+            if (zooboxPermissions[nativeName] !== undefined) {
+                statusPromise = Promise.resolve(zooboxPermissions[nativeName]);
+            } else if (!isBridgeSettled()) {
+                return bridgeReady.then(function() {
+                    return query(permissionDescriptor);
+                });
+            } else if (nativeHandles('checkPermission')) {
+                statusPromise = callBridge('checkPermission', { permission: nativeName }).catch(function() {
+                    return undefined;
+                });
+            } else {
+                return originalQuery.call(navigator.permissions, permissionDescriptor);
+            }
+            
+            return statusPromise.then(function(nativeStatus) {
+                const permissionState = toPermissionState(nativeStatus);
+                logger.debug('🔐 Permission status for', permissionName, ':', permissionState);
+                
+                if (!permissionStatuses[permissionName]) {
+                    permissionStatuses[permissionName] = createPermissionStatus(permissionName, permissionState);
+                } else {
+                    permissionStatuses[permissionName]._setState(permissionState);
+                }
+                return permissionStatuses[permissionName];
             });
-        };
+        } });
         
-        console.log('✅ permissions.query API overridden successfully');
+        logger.debug('✅ permissions.query API overridden successfully');
     }
     
-    // Prevent any existing permission dialogs from showing
-    const preventPermissionDialogs = function() {
-        // Override any existing permission request methods
-        if (window.confirm) {
-            const originalConfirm = window.confirm;
-            window.confirm = function(message) {
-                if (message && (message.includes('location') || message.includes('camera'))) {
-                    console.log('🔐 Blocking permission dialog:', message);
-                    return false;
-                }
-                return originalConfirm.call(window, message);
-            };
+    // Dialog policy: native supplies allow/deny rules for alert/confirm/prompt at injection time.
+    // Rules are checked in order; the first match wins, and unmatched dialogs use defaultAction.
+    //   { action: 'deny', exact: 'Allow location access?' }
+    //   { action: 'deny', regex: 'would like to use your (current|precise) location', flags: 'i', dialogs: ['confirm'] }
+    const dialogPolicy = Object.assign({
+        rules: [],
+        defaultAction: 'allow',
+        // Send allowed alerts to native through the bridge instead of WebKit's blocking panel,
+        // once the handshake lists showDialog
+        routeToNative: false,
+        // Most recent suppressed dialogs kept for getSuppressedDialogs()
+        maxSuppressedLog: 100
+    }, config.dialogPolicy || {});
+    
+    const compileDialogRule = function(rule) {
+        if (!rule || (rule.action !== 'allow' && rule.action !== 'deny')) {
+            logger.warn('⚠️ Ignoring dialog rule without an allow/deny action:', rule);
+            return null;
         }
         
-        // Override alert for permission-related messages
-        if (window.alert) {
-            const originalAlert = window.alert;
-            window.alert = function(message) {
-                if (message && (message.includes('location') || message.includes('camera'))) {
-                    console.log('🔐 Blocking permission alert:', message);
-                    return;
-                }
-                return originalAlert.call(window, message);
+        let matches;
+        if (typeof rule.exact === 'string') {
+            matches = function(message) {
+                return message === rule.exact;
+            };
+        } else if (typeof rule.regex === 'string') {
+            let regex;
+            try {
+                regex = new RegExp(rule.regex, rule.flags || '');
+            } catch (error) {
+                logger.warn('⚠️ Ignoring dialog rule with an invalid regex:', rule.regex, error.message);
+                return null;
+            }
+            matches = function(message) {
+                return regex.test(message);
             };
+        } else {
+            logger.warn('⚠️ Ignoring dialog rule without an exact or regex pattern:', rule);
+            return null;
         }
+        
+        return {
+            rule: rule,
+            action: rule.action,
+            dialogs: Array.isArray(rule.dialogs) ? rule.dialogs : null,
+            matches: matches
+        };
+    };
+    
+    const compileDialogRules = function() {
+        return (Array.isArray(dialogPolicy.rules) ? dialogPolicy.rules : [])
+            .map(compileDialogRule)
+            .filter(Boolean);
     };
     
-    // Run prevention immediately
-    preventPermissionDialogs();
+    let dialogRules = compileDialogRules();
     
-    // Also run after DOM is ready
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', preventPermissionDialogs);
-    }
+    configHandlers.push(function(changes) {
+        if (changes.dialogPolicy) {
+            Object.assign(dialogPolicy, changes.dialogPolicy);
+            dialogRules = compileDialogRules();
+        }
+    });
+    
+    const suppressedDialogs = [];
+    
+    // Returns the matching rule (or null for the default) and the resulting action
+    const evaluateDialog = function(type, message) {
+        for (let i = 0; i < dialogRules.length; i++) {
+            const compiledRule = dialogRules[i];
+            if ((!compiledRule.dialogs || compiledRule.dialogs.indexOf(type) !== -1) && compiledRule.matches(message)) {
+                return { action: compiledRule.action, rule: compiledRule.rule };
+            }
+        }
+        return { action: dialogPolicy.defaultAction === 'deny' ? 'deny' : 'allow', rule: null };
+    };
+    
+    const recordSuppressedDialog = function(type, message, rule) {
+        logger.info('🔐 Suppressing ' + type + ' dialog:', message);
+        suppressedDialogs.push({
+            type: type,
+            message: message,
+            rule: rule,
+            timestamp: Date.now()
+        });
+        if (suppressedDialogs.length > dialogPolicy.maxSuppressedLog) {
+            suppressedDialogs.splice(0, suppressedDialogs.length - dialogPolicy.maxSuppressedLog);
+        }
+    };
+    
+    // Native-styled dialogs over the bridge; promise-based because the bridge is asynchronous
+    const showNativeDialog = function(type, message, defaultValue) {
+        return callBridge('showDialog', {
+            type: type,
+            message: message,
+            defaultValue: defaultValue === undefined ? null : defaultValue
+        }, 0);
+    };
+    
+    ZooboxBridge.alert = function(message) {
+        return showNativeDialog('alert', message === undefined ? '' : String(message)).then(function() {
+            return undefined;
+        });
+    };
+    
+    ZooboxBridge.confirm = function(message) {
+        return showNativeDialog('confirm', message === undefined ? '' : String(message)).then(function(result) {
+            return result === true;
+        });
+    };
+    
+    ZooboxBridge.prompt = function(message, defaultValue) {
+        return showNativeDialog('prompt', message === undefined ? '' : String(message), defaultValue).then(function(result) {
+            return typeof result === 'string' ? result : null;
+        });
+    };
+    
+    ZooboxBridge.getSuppressedDialogs = function() {
+        return suppressedDialogs.map(function(entry) {
+            return Object.assign({}, entry);
+        });
+    };
+    
+    ZooboxBridge.clearSuppressedDialogs = function() {
+        suppressedDialogs.length = 0;
+    };
+    
+    // Wrap a synchronous dialog so denied messages return cancelResult without showing anything
+    const applyDialogPolicy = function(type, cancelResult) {
+        const originalDialog = getOriginal(window, type);
+        if (!originalDialog) {
+            return;
+        }
+        
+        patchProperty(window, type, { value: function(message) {
+            const text = message === undefined ? '' : String(message);
+            const decision = evaluateDialog(type, text);
+            
+            if (decision.action === 'deny') {
+                recordSuppressedDialog(type, text, decision.rule);
+                return cancelResult;
+            }
+            
+            // confirm and prompt must answer synchronously, so only alert can go over the bridge;
+            // the others still reach native through WebKit's own panels
+            if (type === 'alert' && dialogPolicy.routeToNative && nativeHandles('showDialog')) {
+                showNativeDialog('alert', text).catch(function() {});
+                return undefined;
+            }
+            
+            return originalDialog.apply(window, arguments);
+        } });
+    };
+    
+    applyDialogPolicy('alert', undefined);
+    applyDialogPolicy('confirm', false);
+    applyDialogPolicy('prompt', null);
     
-    console.log('🔐 Zoobox Permission Override System Initialized Successfully');
-    console.log('🔐 Current permissions:', zooboxPermissions);
+    logger.info('🔐 Zoobox Permission Override System Initialized Successfully');
+    logger.debug('🔐 Current permissions:', zooboxPermissions);
     
-})(); 
\ No newline at end of file
+})();
\ No newline at end of file
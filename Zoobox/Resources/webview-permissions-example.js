@@ -1,305 +1,129 @@
 // Zoobox WebView Permission Usage Example
-// This file shows how to use the new permission system in your web application
+// Shows how a page served in the Zoobox app uses the bridge through the @zoobox/bridge client
+// (ZooboxWebSDK/). Nothing here runs on import: call initializeApp() from your own startup code.
 
-console.log('🔐 Zoobox Permission System Example');
+import { isAvailable, permissions, location, camera, haptics } from '@zoobox/bridge';
 
-// Check if ZooboxBridge is available
-if (window.ZooboxBridge) {
-    console.log('✅ ZooboxBridge is available');
-} else {
-    console.log('❌ ZooboxBridge not available');
-}
-
-// Test function to verify permission injection
-function testPermissionInjection() {
-    console.log('🧪 Testing permission injection...');
-    console.log('🔐 Current permissions:', window.zooboxPermissions);
-    
-    if (window.zooboxPermissions) {
-        console.log('✅ Permissions object exists');
-        Object.keys(window.zooboxPermissions).forEach(key => {
-            console.log(`🔐 ${key}: ${window.zooboxPermissions[key]}`);
-        });
+// Example 1: Check whether the page is running inside the app
+export function checkBridge() {
+    if (isAvailable()) {
+        console.log('✅ ZooboxBridge is available');
     } else {
-        console.log('❌ Permissions object not found');
-    }
-    
-    // Test location permission specifically
-    if (window.zooboxPermissions && window.zooboxPermissions.location === 'granted') {
-        console.log('✅ Location permission is granted - testing location access');
-        testLocationAccess();
-    } else {
-        console.log('❌ Location permission not granted');
-        console.log('🔐 Requesting location permission...');
-        if (window.ZooboxBridge) {
-            window.ZooboxBridge.requestPermission('location');
-        }
+        console.log('❌ ZooboxBridge not available - running in a regular browser');
     }
+    return isAvailable();
 }
 
-// Test location access
-function testLocationAccess() {
-    console.log('🧪 Testing location access...');
-    
-    if (navigator.geolocation) {
-        console.log('✅ Geolocation API available');
-        
-        // Test getCurrentPosition
-        navigator.geolocation.getCurrentPosition(
-            function(position) {
-                console.log('✅ Location obtained successfully:', position.coords);
-            },
-            function(error) {
-                console.log('❌ Location error:', error.message);
-            },
-            {
-                enableHighAccuracy: true,
-                timeout: 10000,
-                maximumAge: 60000
-            }
-        );
-    } else {
-        console.log('❌ Geolocation API not available');
+// Example 2: Read the permission statuses native has reported
+export function checkAllPermissions() {
+    const current = permissions.getAll();
+    Object.keys(current).forEach((key) => {
+        console.log(`🔐 ${key}: ${current[key]}`);
+    });
+    return current;
+}
+
+// Example 3: Get the current location (native when granted, browser otherwise)
+export async function getCurrentLocation() {
+    try {
+        const position = await location.getCurrentPosition({ timeout: 10000, maximumAge: 30000 });
+        console.log('📍 Location:', position.coords.latitude, position.coords.longitude);
+        return position;
+    } catch (error) {
+        console.log('📍 Location error:', error.message);
+        if (error.code === error.PERMISSION_DENIED) {
+            // The app has already prompted if iOS still allows it, so asking again would only
+            // fail the same way; point the user at Settings instead
+            showOpenSettingsHint('location');
+        }
+        return null;
     }
 }
 
-// Example 1: Get current location (with permission check)
-function getCurrentLocation() {
-    if (window.ZooboxBridge && window.ZooboxBridge.isPermissionGranted('location')) {
-        console.log('📍 Location permission granted, getting location...');
-        window.ZooboxBridge.getCurrentLocation();
+// Once the user has said no, only the Settings app can change the answer
+export function showOpenSettingsHint(permission) {
+    const message = `Allow ${permission} access for Zoobox in Settings to use this feature.`;
+    const hint = document.getElementById('settings-hint');
+    if (hint) {
+        hint.textContent = message;
+        hint.hidden = false;
     } else {
-        console.log('📍 Requesting location permission...');
-        window.ZooboxBridge.requestPermission('location');
+        console.log('⚙️', message);
     }
 }
 
-// Example 2: Request camera permission for photo capture
-function requestCameraAccess() {
-    if (window.ZooboxBridge && window.ZooboxBridge.isPermissionGranted('camera')) {
-        console.log('📷 Camera permission granted, opening camera...');
-        // Your camera logic here
-        openCamera();
-    } else {
-        console.log('📷 Requesting camera permission...');
-        window.ZooboxBridge.requestPermission('camera');
-    }
+// Example 4: Follow the user's location until the returned function is called
+export function trackLocation(onPosition) {
+    return location.watch(onPosition, (error) => {
+        console.log('📍 Tracking error:', error.message);
+    }, { enableHighAccuracy: true });
 }
 
-// Example 3: Check all permissions at once
-function checkAllPermissions() {
-    if (window.zooboxPermissions) {
-        console.log('🔐 Current permissions:', window.zooboxPermissions);
-        
-        const permissions = {
-            location: window.zooboxPermissions.location,
-            camera: window.zooboxPermissions.camera,
-            notifications: window.zooboxPermissions.notifications
-        };
-        
-        console.log('📊 Permission Summary:');
-        Object.entries(permissions).forEach(([permission, status]) => {
-            const statusIcon = status === 'granted' ? '✅' : status === 'denied' ? '❌' : '⚪️';
-            console.log(`${statusIcon} ${permission}: ${status}`);
-        });
-        
-        return permissions;
-    } else {
-        console.log('❌ No permission data available');
+// Example 5: Take a delivery-proof photo small enough for the upload endpoint
+export async function capturePhoto() {
+    try {
+        const file = await camera.capturePhoto({ maxWidth: 1600, quality: 0.7, format: 'jpeg' });
+        console.log('📷 Photo captured:', file.name, file.size + ' bytes');
+        return file;
+    } catch (error) {
+        if (error.code !== 'CANCELLED') {
+            console.log('📷 Photo capture failed:', error.code, error.message);
+        }
         return null;
     }
 }
 
-// Example 4: Listen for permission updates
-function setupPermissionListener() {
-    window.addEventListener('zooboxPermissionsUpdate', function(event) {
-        console.log('🔐 Permissions updated:', event.detail);
-        
-        // Check if location was just granted
-        if (event.detail.location === 'granted') {
-            console.log('📍 Location permission granted! Getting location...');
-            getCurrentLocation();
-        }
-        
-        // Check if camera was just granted
-        if (event.detail.camera === 'granted') {
-            console.log('📷 Camera permission granted! Ready for photo capture.');
-        }
-        
-        // Update UI based on permissions
-        updateUIForPermissions(event.detail);
+// Example 6: Ask for several permissions in one native flow and report which ones the user granted.
+// Pass names or { name, rationale } entries; the rationale appears on the app's screen.
+export async function requestMultiplePermissions(permissionRequests) {
+    const results = await permissions.requestAll(permissionRequests);
+    Object.keys(results).forEach((name) => {
+        const { status, settingsRequired } = results[name];
+        console.log(`🔐 ${name}: ${status}${settingsRequired ? ' (change it in Settings)' : ''}`);
     });
+    return results;
 }
 
-// Example 5: Update UI based on permissions
-function updateUIForPermissions(permissions) {
-    // Example: Show/hide buttons based on permissions
+// Example 7: Keep the UI in sync with permission changes
+export function updateUIForPermissions(current) {
     const locationButton = document.getElementById('location-btn');
     const cameraButton = document.getElementById('camera-btn');
     const notificationButton = document.getElementById('notification-btn');
     
     if (locationButton) {
-        locationButton.style.display = permissions.location === 'granted' ? 'block' : 'none';
+        locationButton.style.display = current.location === 'granted' ? 'block' : 'none';
     }
     
     if (cameraButton) {
-        cameraButton.style.display = permissions.camera === 'granted' ? 'block' : 'none';
+        cameraButton.style.display = current.camera === 'granted' ? 'block' : 'none';
     }
     
     if (notificationButton) {
-        notificationButton.style.display = permissions.notifications === 'granted' ? 'block' : 'none';
+        notificationButton.style.display = current.notifications === 'granted' ? 'block' : 'none';
     }
 }
 
-// Example 6: Request multiple permissions
-function requestMultiplePermissions(permissionTypes) {
-    permissionTypes.forEach(permissionType => {
-        if (window.ZooboxBridge) {
-            window.ZooboxBridge.requestPermission(permissionType);
-        }
+export function setupPermissionListener() {
+    return permissions.on('change', (event) => {
+        console.log('🔄 Permissions updated:', event.permissions);
+        updateUIForPermissions(event.permissions);
     });
 }
 
-// Example 7: Haptic feedback
-function provideHapticFeedback(type = 'light') {
-    if (window.ZooboxBridge) {
-        window.ZooboxBridge.hapticFeedback(type);
+// Example 8: Complete permission flow - only asks for what the current page needs
+export async function initializeApp({ needs = [] } = {}) {
+    if (!checkBridge()) {
+        return;
     }
-}
-
-// Example 8: Complete permission flow
-function initializeApp() {
-    console.log('🚀 Initializing app with permission checks...');
     
-    // Setup permission listener
     setupPermissionListener();
+    updateUIForPermissions(checkAllPermissions());
     
-    // Check current permissions
-    const currentPermissions = checkAllPermissions();
-    
-    // Request permissions if needed
-    if (currentPermissions) {
-        const neededPermissions = [];
-        
-        if (currentPermissions.location !== 'granted') {
-            neededPermissions.push('location');
-        }
-        
-        if (currentPermissions.camera !== 'granted') {
-            neededPermissions.push('camera');
-        }
-        
-        if (neededPermissions.length > 0) {
-            console.log('🔐 Requesting permissions:', neededPermissions);
-            requestMultiplePermissions(neededPermissions);
-        }
+    const missing = needs.filter((permission) => !permissions.isGranted(permission));
+    if (missing.length > 0) {
+        console.log('🔐 Requesting permissions:', missing);
+        await requestMultiplePermissions(missing);
     }
     
-    // Provide haptic feedback
-    provideHapticFeedback('light');
-}
-
-// Example 9: Geolocation API integration
-function getLocationWithNativeAPI() {
-    if (window.ZooboxBridge && window.ZooboxBridge.isPermissionGranted('location')) {
-        // Use native location if permission granted
-        window.ZooboxBridge.getCurrentLocation();
-    } else if (navigator.geolocation) {
-        // Fallback to browser geolocation
-        navigator.geolocation.getCurrentPosition(
-            function(position) {
-                console.log('📍 Browser location:', position.coords);
-            },
-            function(error) {
-                console.log('📍 Location error:', error.message);
-                // Request native permission
-                if (window.ZooboxBridge) {
-                    window.ZooboxBridge.requestPermission('location');
-                }
-            }
-        );
-    } else {
-        console.log('📍 Geolocation not supported');
-    }
-}
-
-// Example 10: Camera API integration
-function capturePhoto() {
-    if (window.ZooboxBridge && window.ZooboxBridge.isPermissionGranted('camera')) {
-        // Create file input for camera
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = 'image/*';
-        input.capture = 'camera';
-        input.onchange = function(e) {
-            const file = e.target.files[0];
-            if (file) {
-                console.log('📷 Photo captured:', file.name);
-                // Handle the photo
-                handleCapturedPhoto(file);
-            }
-        };
-        input.click();
-    } else {
-        console.log('📷 Requesting camera permission...');
-        if (window.ZooboxBridge) {
-            window.ZooboxBridge.requestPermission('camera');
-        }
-    }
-}
-
-// Helper functions
-function openCamera() {
-    console.log('📷 Opening camera...');
-    // Your camera implementation
-}
-
-function handleCapturedPhoto(file) {
-    console.log('📷 Processing captured photo:', file.name);
-    // Your photo processing logic
-}
-
-// Auto-test function that runs when page loads
-function autoTestPermissions() {
-    console.log('🚀 Auto-testing permission injection...');
-    
-    // Wait a bit for permissions to be injected
-    setTimeout(() => {
-        testPermissionInjection();
-    }, 1000);
-    
-    // Also listen for permission updates
-    window.addEventListener('zooboxPermissionsUpdate', function(event) {
-        console.log('🔄 Permissions updated during auto-test:', event.detail);
-        testPermissionInjection();
-    });
-}
-
-// Initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeApp);
-} else {
-    initializeApp();
-}
-
-// Export functions for global use
-window.ZooboxPermissionExamples = {
-    getCurrentLocation,
-    requestCameraAccess,
-    checkAllPermissions,
-    setupPermissionListener,
-    updateUIForPermissions,
-    requestMultiplePermissions,
-    provideHapticFeedback,
-    initializeApp,
-    getLocationWithNativeAPI,
-    capturePhoto,
-    testPermissionInjection,
-    testLocationAccess,
-    autoTestPermissions
-};
-
-// Run auto-test
-autoTestPermissions();
-
-console.log('🔐 Zoobox Permission Examples loaded'); 
\ No newline at end of file
+    haptics.trigger('light');
+}
\ No newline at end of file
@@ -0,0 +1,948 @@
+// Zoobox Bridge Simulator
+// Stands in for the iOS app so the web app can be developed in a desktop browser.
+// Load it BEFORE webview-permission-override.js:
+//
+//   <script src="zoobox-bridge-simulator.js"></script>
+//   <script src="webview-permission-override.js"></script>
+//
+// It installs the webkit.messageHandlers the app registers (zooboxBridge, permissionBridge,
+// hapticFeedback), answers them the way native does, and adds a small control panel for flipping
+// permission states and sending location fixes. Set simulatorOnlyFeatures to also get the bridge
+// methods and handlers the app does not implement yet.
+
+(function() {
+    'use strict';
+    
+    if (window.ZooboxSimulator) {
+        console.log('🧪 Zoobox Bridge Simulator already installed');
+        return;
+    }
+    
+    // Optional configuration, e.g. window.zooboxSimulatorConfig = { permissions: { location: 'granted' } }
+    const config = Object.assign({
+        // Initial native permission statuses: granted, denied, restricted or notDetermined
+        permissions: {
+            location: 'notDetermined',
+            camera: 'notDetermined',
+            microphone: 'notDetermined',
+            notifications: 'notDetermined'
+        },
+        // Initial location fix, or null for "no fix yet"
+        location: { latitude: 36.1911, longitude: 44.0092, accuracy: 10 },
+        // Milliseconds before native "answers" a message
+        latency: 150,
+        // How requestPermission behaves for undetermined permissions: 'ask', 'grant' or 'deny'
+        promptBehavior: 'ask',
+        // Milliseconds between fixes when playing a route
+        routeInterval: 1000,
+        // Show the on-page control panel
+        panel: true,
+        // What the getBridgeInfo handshake reports; set idiom to 'pad' to exercise iPad layouts
+        appVersion: 'simulator',
+        idiom: 'phone',
+        // FCM token reported by getPushToken, or null before Firebase has issued one
+        pushToken: 'simulated-fcm-token',
+        // Network state reported to the page, as native reads it from NWPathMonitor
+        connectivity: { online: true, type: 'wifi', constrained: false, expensive: false },
+        // Also offer what only the simulator implements (native location and tracking, geofences,
+        // notifications, push, photo capture, native dialogs and the log sink) to build against
+        // app versions that add them. Off by default so pages take the same paths as in the app.
+        simulatorOnlyFeatures: false
+    }, window.zooboxSimulatorConfig || {});
+    
+    // What the app implements today: ZooboxBridgeManager's capabilities and the handlers
+    // MainViewController registers
+    const APP_BRIDGE_METHODS = ['requestPermissions', 'share', 'writeClipboard', 'readClipboard', 'requestWakeLock', 'releaseWakeLock'];
+    const APP_MESSAGE_HANDLERS = ['zooboxBridge', 'permissionBridge', 'hapticFeedback'];
+    
+    const PERMISSION_NAMES = ['location', 'camera', 'microphone', 'notifications'];
+    const PERMISSION_STATUSES = ['granted', 'denied', 'restricted', 'notDetermined'];
+    
+    // Captured before the override script wraps them, for simulated native dialogs
+    const originalConfirm = window.confirm;
+    const originalPrompt = window.prompt;
+    const originalAlert = window.alert;
+    
+    const permissions = Object.assign({}, config.permissions);
+    let currentLocation = config.location ? Object.assign({}, config.location) : null;
+    let isTracking = false;
+    let routeTimer = null;
+    let pushToken = config.pushToken;
+    let connectivity = Object.assign({}, config.connectivity);
+    
+    // Monitored geofences keyed by id, like CLLocationManager.monitoredRegions
+    const geofences = {};
+    const MAX_GEOFENCES = 20;
+    // Events not yet delivered because the simulated app is suspended
+    const heldGeofenceEvents = [];
+    let nextGeofenceEventId = 1;
+    let suspended = false;
+    
+    // What the simulated share sheet, pasteboard and idle timer hold
+    let lastShare = null;
+    let clipboardText = '';
+    const wakeLocks = {};
+    
+    // MARK: Native -> page
+    
+    const later = function(callback) {
+        setTimeout(callback, config.latency);
+    };
+    
+    const dispatchPermissionsUpdate = function() {
+        window.zooboxPermissions = Object.assign({}, permissions);
+        window.dispatchEvent(new CustomEvent('zooboxPermissionsUpdate', {
+            detail: Object.assign({}, permissions)
+        }));
+        renderPanel();
+    };
+    
+    const resolveCall = function(id, result) {
+        later(function() {
+            if (window.ZooboxBridge && window.ZooboxBridge._resolveCall) {
+                window.ZooboxBridge._resolveCall(id, result);
+            }
+        });
+    };
+    
+    const rejectCall = function(id, code, message) {
+        later(function() {
+            if (window.ZooboxBridge && window.ZooboxBridge._rejectCall) {
+                window.ZooboxBridge._rejectCall(id, { code: code, message: message });
+            }
+        });
+    };
+    
+    const createFix = function() {
+        return {
+            coords: {
+                latitude: currentLocation.latitude,
+                longitude: currentLocation.longitude,
+                accuracy: currentLocation.accuracy || 10,
+                altitude: currentLocation.altitude !== undefined ? currentLocation.altitude : null,
+                altitudeAccuracy: currentLocation.altitudeAccuracy !== undefined ? currentLocation.altitudeAccuracy : null,
+                heading: currentLocation.heading !== undefined ? currentLocation.heading : null,
+                speed: currentLocation.speed !== undefined ? currentLocation.speed : null
+            },
+            timestamp: Date.now()
+        };
+    };
+    
+    const pushTrackingUpdate = function() {
+        if (!isTracking) {
+            return;
+        }
+        
+        if (permissions.location !== 'granted') {
+            if (window.locationWatchErrorCallback) {
+                window.locationWatchErrorCallback({ code: 1, message: 'Location permission not granted' });
+            }
+        } else if (!currentLocation) {
+            if (window.locationWatchErrorCallback) {
+                window.locationWatchErrorCallback({ code: 2, message: 'No simulated location set' });
+            }
+        } else if (window.locationWatchCallback) {
+            window.locationWatchCallback(createFix());
+        }
+    };
+    
+    // Returns true when the page handled the event, mirroring how native reads the result. The app
+    // does not forward pushes to the page yet, so only simulatorOnlyFeatures delivers them.
+    const dispatchPushEvent = function(type, payload) {
+        if (!config.simulatorOnlyFeatures || !window.ZooboxBridge || !window.ZooboxBridge._dispatchPushEvent) {
+            return false;
+        }
+        return window.ZooboxBridge._dispatchPushEvent(type, payload);
+    };
+    
+    const dispatchConnectivityUpdate = function() {
+        window.zooboxConnectivity = Object.assign({}, connectivity);
+        if (window.ZooboxBridge && window.ZooboxBridge._updateConnectivity) {
+            window.ZooboxBridge._updateConnectivity(Object.assign({}, connectivity));
+        }
+        renderPanel();
+    };
+    
+    const distanceInMeters = function(from, to) {
+        const toRadians = Math.PI / 180;
+        const deltaLatitude = (to.lat - from.lat) * toRadians;
+        const deltaLongitude = (to.lng - from.lng) * toRadians;
+        const a = Math.sin(deltaLatitude / 2) * Math.sin(deltaLatitude / 2) +
+            Math.cos(from.lat * toRadians) * Math.cos(to.lat * toRadians) *
+            Math.sin(deltaLongitude / 2) * Math.sin(deltaLongitude / 2);
+        return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    };
+    
+    const sendGeofenceEvent = function(geofence, type) {
+        const event = { eventId: 'sim-' + nextGeofenceEventId++, id: geofence.id, type: type, timestamp: Date.now() };
+        console.log('🧪 [Simulator] 📍 Geofence', type + ':', geofence.id);
+        if (suspended || !window.ZooboxBridge || !window.ZooboxBridge._dispatchGeofenceEvents) {
+            heldGeofenceEvents.push(event);
+            return;
+        }
+        window.ZooboxBridge._dispatchGeofenceEvents([event]);
+    };
+    
+    // Region monitoring: compare every simulated fix with each geofence, like CoreLocation does
+    const updateGeofences = function() {
+        Object.keys(geofences).forEach(function(id) {
+            const geofence = geofences[id];
+            const inside = !!currentLocation && distanceInMeters(geofence, {
+                lat: currentLocation.latitude,
+                lng: currentLocation.longitude
+            }) <= geofence.radius;
+            
+            if (inside === geofence.inside) {
+                return;
+            }
+            geofence.inside = inside;
+            clearTimeout(geofence.dwellTimer);
+            sendGeofenceEvent(geofence, inside ? 'enter' : 'exit');
+            if (inside) {
+                geofence.dwellTimer = setTimeout(function() {
+                    sendGeofenceEvent(geofence, 'dwell');
+                }, geofence.dwellTime);
+            }
+        });
+    };
+    
+    const describeGeofence = function(geofence) {
+        return { id: geofence.id, lat: geofence.lat, lng: geofence.lng, radius: geofence.radius, dwellTime: geofence.dwellTime };
+    };
+    
+    // MARK: Permission prompts
+    
+    // Resolves to the status the simulated user picked; the rationale is the app's explanation
+    // screen, shown above the system alert
+    const promptForPermission = function(permission, rationale) {
+        if (permissions[permission] !== 'notDetermined') {
+            // iOS only shows its prompt once; afterwards the app sends the user to Settings
+            return Promise.resolve(permissions[permission]);
+        }
+        if (config.promptBehavior === 'grant') {
+            return Promise.resolve('granted');
+        }
+        if (config.promptBehavior === 'deny') {
+            return Promise.resolve('denied');
+        }
+        const message = '"Zoobox" would like to access your ' + permission + '.';
+        return showPromptDialog(rationale ? rationale + '\n\n' + message : message);
+    };
+    
+    // On-page stand-in for the iOS permission alert; falls back to confirm() before the DOM exists
+    const showPromptDialog = function(message) {
+        if (!document.body) {
+            return Promise.resolve(originalConfirm.call(window, message) ? 'granted' : 'denied');
+        }
+        
+        return new Promise(function(resolve) {
+            const overlay = document.createElement('div');
+            overlay.setAttribute('data-zoobox-simulator', 'prompt');
+            overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.4);display:flex;align-items:center;justify-content:center;z-index:2147483647;font:14px -apple-system,sans-serif;';
+            
+            const dialog = document.createElement('div');
+            dialog.style.cssText = 'background:#fff;border-radius:12px;padding:16px;width:280px;text-align:center;box-shadow:0 4px 24px rgba(0,0,0,0.3);';
+            
+            const text = document.createElement('p');
+            text.textContent = message;
+            text.style.cssText = 'margin:0 0 12px;white-space:pre-line;';
+            dialog.appendChild(text);
+            
+            [['Don\'t Allow', 'denied'], ['Allow', 'granted']].forEach(function(choice) {
+                const button = document.createElement('button');
+                button.textContent = choice[0];
+                button.style.cssText = 'margin:0 6px;padding:6px 12px;';
+                button.addEventListener('click', function() {
+                    overlay.remove();
+                    resolve(choice[1]);
+                });
+                dialog.appendChild(button);
+            });
+            
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+        });
+    };
+    
+    // MARK: Photo capture
+    
+    // Base64 characters per _receiveChunk call, matching what native sends
+    const PHOTO_CHUNK_SIZE = 256 * 1024;
+    
+    // A desktop browser has no camera UI to borrow, so both sources open the file picker
+    const pickImageFile = function() {
+        return new Promise(function(resolve, reject) {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'image/*';
+            input.addEventListener('change', function() {
+                if (input.files && input.files[0]) {
+                    resolve(input.files[0]);
+                } else {
+                    reject({ code: 'CANCELLED', message: 'No photo selected' });
+                }
+            });
+            input.addEventListener('cancel', function() {
+                reject({ code: 'CANCELLED', message: 'Photo capture cancelled' });
+            });
+            input.click();
+        });
+    };
+    
+    // Resize and re-encode through a canvas, which also drops EXIF and location metadata
+    const encodePhoto = function(file, params) {
+        return createImageBitmap(file).then(function(image) {
+            const scale = Math.min(
+                1,
+                params.maxWidth ? params.maxWidth / image.width : 1,
+                params.maxHeight ? params.maxHeight / image.height : 1
+            );
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            
+            const type = params.format === 'png' ? 'image/png' : 'image/jpeg';
+            return new Promise(function(resolve) {
+                canvas.toBlob(resolve, type, params.quality);
+            });
+        }).then(function(blob) {
+            return new Promise(function(resolve) {
+                const reader = new FileReader();
+                reader.onload = function() {
+                    resolve({ type: blob.type, data: String(reader.result).split(',')[1] });
+                };
+                reader.readAsDataURL(blob);
+            });
+        });
+    };
+    
+    const sendPhoto = function(params, encoded) {
+        const chunkCount = Math.max(1, Math.ceil(encoded.data.length / PHOTO_CHUNK_SIZE));
+        for (let index = 0; index < chunkCount; index++) {
+            window.ZooboxBridge._receiveChunk(params.transferId, index, encoded.data.slice(index * PHOTO_CHUNK_SIZE, (index + 1) * PHOTO_CHUNK_SIZE));
+        }
+        console.log('🧪 [Simulator] 📷 Sent photo in', chunkCount, 'chunk(s)');
+        return {
+            name: 'photo.' + (params.format === 'png' ? 'png' : 'jpg'),
+            type: encoded.type,
+            lastModified: Date.now(),
+            chunkCount: chunkCount
+        };
+    };
+    
+    // MARK: Page -> native
+    
+    const offersBridgeMethod = function(name) {
+        return config.simulatorOnlyFeatures || name === 'getBridgeInfo' || APP_BRIDGE_METHODS.indexOf(name) !== -1;
+    };
+    
+    // Methods answered over the zooboxBridge handler; each returns a result or throws {code, message}
+    const bridgeMethods = {
+        getBridgeInfo: function() {
+            return {
+                appVersion: config.appVersion,
+                build: null,
+                platform: 'ios',
+                osVersion: null,
+                idiom: config.idiom,
+                capabilities: Object.keys(bridgeMethods).filter(function(name) {
+                    return name !== 'getBridgeInfo' && offersBridgeMethod(name);
+                })
+            };
+        },
+        
+        getCurrentLocation: function() {
+            if (permissions.location !== 'granted') {
+                throw { code: 1, message: 'Location permission not granted' };
+            }
+            if (!currentLocation) {
+                throw { code: 2, message: 'No simulated location set' };
+            }
+            return createFix();
+        },
+        
+        checkPermission: function(params) {
+            return permissions[params.permission] || 'notDetermined';
+        },
+        
+        requestPermission: function(params) {
+            const permission = params.permission;
+            return promptForPermission(permission).then(function(status) {
+                if (permissions[permission] !== status) {
+                    permissions[permission] = status;
+                    dispatchPermissionsUpdate();
+                }
+                return status;
+            });
+        },
+        
+        // One flow for the whole set: prompts in order, then a single permissions update
+        requestPermissions: function(params) {
+            const results = {};
+            return params.permissions.reduce(function(previous, request) {
+                return previous.then(function() {
+                    return promptForPermission(request.name, request.rationale).then(function(status) {
+                        results[request.name] = { status: status, settingsRequired: status === 'denied' };
+                    });
+                });
+            }, Promise.resolve()).then(function() {
+                const changed = Object.keys(results).filter(function(name) {
+                    return permissions[name] !== results[name].status;
+                });
+                changed.forEach(function(name) {
+                    permissions[name] = results[name].status;
+                });
+                if (changed.length > 0) {
+                    dispatchPermissionsUpdate();
+                }
+                return results;
+            });
+        },
+        
+        capturePhoto: function(params) {
+            const permissionReady = params.source === 'camera'
+                ? promptForPermission('camera').then(function(status) {
+                    if (permissions.camera !== status) {
+                        permissions.camera = status;
+                        dispatchPermissionsUpdate();
+                    }
+                    if (status !== 'granted') {
+                        throw { code: 'PERMISSION_DENIED', message: 'Camera permission not granted' };
+                    }
+                })
+                : Promise.resolve();
+            
+            return permissionReady.then(pickImageFile).then(function(file) {
+                return encodePhoto(file, params);
+            }).then(function(encoded) {
+                return sendPhoto(params, encoded);
+            });
+        },
+        
+        showNotification: function(params) {
+            if (permissions.notifications !== 'granted') {
+                throw { code: 'DENIED', message: 'Notification permission not granted' };
+            }
+            console.log('🧪 [Simulator] 🔔 Notification:', params.title, params.body);
+            showToast('🔔 ' + params.title + (params.body ? ' — ' + params.body : ''), function() {
+                window.ZooboxSimulator.clickNotification(params.id);
+            });
+            return true;
+        },
+        
+        closeNotification: function() {
+            return true;
+        },
+        
+        getPushToken: function() {
+            return pushToken;
+        },
+        
+        addGeofence: function(params) {
+            if (permissions.location !== 'granted') {
+                throw { code: 'PERMISSION_DENIED', message: 'Location permission not granted' };
+            }
+            if (!geofences[params.id] && Object.keys(geofences).length >= MAX_GEOFENCES) {
+                throw { code: 'LIMIT_REACHED', message: 'iOS monitors at most ' + MAX_GEOFENCES + ' regions per app' };
+            }
+            if (geofences[params.id]) {
+                clearTimeout(geofences[params.id].dwellTimer);
+            }
+            geofences[params.id] = Object.assign({ inside: false, dwellTimer: null }, params);
+            // CoreLocation reports the initial state once monitoring starts
+            later(updateGeofences);
+            return describeGeofence(geofences[params.id]);
+        },
+        
+        removeGeofence: function(params) {
+            const geofence = geofences[params.id];
+            if (!geofence) {
+                return false;
+            }
+            clearTimeout(geofence.dwellTimer);
+            delete geofences[params.id];
+            return true;
+        },
+        
+        listGeofences: function() {
+            return Object.keys(geofences).map(function(id) {
+                return describeGeofence(geofences[id]);
+            });
+        },
+        
+        takeGeofenceEvents: function() {
+            return heldGeofenceEvents.splice(0, heldGeofenceEvents.length);
+        },
+        
+        share: function(params) {
+            lastShare = params;
+            console.log('🧪 [Simulator] 📤 Shared:', params);
+            showToast('📤 Shared ' + (params.url || params.title || params.text || params.files.length + ' file(s)'));
+            return null;
+        },
+        
+        writeClipboard: function(params) {
+            clipboardText = params.text;
+            return null;
+        },
+        
+        readClipboard: function() {
+            return clipboardText;
+        },
+        
+        requestWakeLock: function(params) {
+            wakeLocks[params.id] = true;
+            console.log('🧪 [Simulator] 💡 Screen kept awake by', Object.keys(wakeLocks).length, 'wake lock(s)');
+            return null;
+        },
+        
+        releaseWakeLock: function(params) {
+            delete wakeLocks[params.id];
+            return null;
+        },
+        
+        showDialog: function(params) {
+            switch (params.type) {
+                case 'confirm':
+                    return originalConfirm.call(window, params.message);
+                case 'prompt':
+                    return originalPrompt.call(window, params.message, params.defaultValue || '');
+                default:
+                    originalAlert.call(window, params.message);
+                    return null;
+            }
+        }
+    };
+    
+    const messageHandlers = {
+        zooboxBridge: function(message) {
+            const method = offersBridgeMethod(message.method) ? bridgeMethods[message.method] : null;
+            console.log('🧪 [Simulator] ⬅️', message.method, message.params);
+            
+            if (!method) {
+                rejectCall(message.id, 'UNSUPPORTED', 'Simulator does not implement "' + message.method + '"');
+                return;
+            }
+            
+            Promise.resolve().then(function() {
+                return method(message.params || {});
+            }).then(function(result) {
+                resolveCall(message.id, result);
+            }, function(error) {
+                rejectCall(message.id, error && error.code, error && error.message);
+            });
+        },
+        
+        startRealTimeLocation: function(message) {
+            console.log('🧪 [Simulator] 📍 Tracking started', message);
+            isTracking = true;
+            later(pushTrackingUpdate);
+            renderPanel();
+        },
+        
+        stopRealTimeLocation: function() {
+            console.log('🧪 [Simulator] 📍 Tracking stopped');
+            isTracking = false;
+            renderPanel();
+        },
+        
+        // Legacy ZooboxPermissionBridge injected by MainViewController
+        permissionBridge: function(message) {
+            const bridge = window.ZooboxPermissionBridge;
+            if (!bridge) {
+                return;
+            }
+            later(function() {
+                if (message.action === 'checkPermission' && bridge._resolvePermission) {
+                    bridge._resolvePermission(message.permissionType, permissions[message.permissionType] === 'granted');
+                } else if (message.action === 'getAllPermissions' && bridge._resolveAllPermissions) {
+                    const granted = {};
+                    PERMISSION_NAMES.forEach(function(name) {
+                        granted[name] = permissions[name] === 'granted';
+                    });
+                    bridge._resolveAllPermissions(granted);
+                }
+            });
+        },
+        
+        hapticFeedback: function(type) {
+            console.log('🧪 [Simulator] 📳 Haptic:', type);
+            showToast('📳 ' + (typeof type === 'string' ? type : JSON.stringify(type)));
+        },
+        
+        zooboxLog: function(batch) {
+            (batch.records || []).forEach(function(record) {
+                console.log('🧪 [Simulator] 🪵 [' + record.level + ']', record.message, record.args);
+            });
+        }
+    };
+    
+    window.webkit = window.webkit || {};
+    window.webkit.messageHandlers = window.webkit.messageHandlers || {};
+    Object.keys(messageHandlers).filter(function(name) {
+        return config.simulatorOnlyFeatures || APP_MESSAGE_HANDLERS.indexOf(name) !== -1;
+    }).forEach(function(name) {
+        window.webkit.messageHandlers[name] = {
+            postMessage: function(message) {
+                messageHandlers[name](message);
+            }
+        };
+    });
+    
+    window.zooboxPermissions = Object.assign({}, permissions);
+    
+    // MARK: Control panel
+    
+    let panel = null;
+    let toastContainer = null;
+    
+    const showToast = function(text, onClick) {
+        if (!document.body) {
+            return;
+        }
+        if (!toastContainer) {
+            toastContainer = document.createElement('div');
+            toastContainer.setAttribute('data-zoobox-simulator', 'toasts');
+            toastContainer.style.cssText = 'position:fixed;top:12px;left:50%;transform:translateX(-50%);z-index:2147483647;font:13px -apple-system,sans-serif;';
+            document.body.appendChild(toastContainer);
+        }
+        
+        const toast = document.createElement('div');
+        toast.textContent = text;
+        toast.style.cssText = 'background:rgba(30,30,30,0.9);color:#fff;border-radius:8px;padding:8px 12px;margin-bottom:6px;cursor:' + (onClick ? 'pointer' : 'default') + ';';
+        if (onClick) {
+            toast.addEventListener('click', function() {
+                toast.remove();
+                onClick();
+            });
+        }
+        toastContainer.appendChild(toast);
+        setTimeout(function() {
+            toast.remove();
+        }, 4000);
+    };
+    
+    const renderPanel = function() {
+        if (!panel) {
+            return;
+        }
+        
+        PERMISSION_NAMES.forEach(function(name) {
+            const select = panel.querySelector('select[data-permission="' + name + '"]');
+            if (select) {
+                select.value = permissions[name];
+            }
+        });
+        
+        const latitude = panel.querySelector('input[data-field="latitude"]');
+        const longitude = panel.querySelector('input[data-field="longitude"]');
+        if (currentLocation && document.activeElement !== latitude && document.activeElement !== longitude) {
+            latitude.value = currentLocation.latitude;
+            longitude.value = currentLocation.longitude;
+        }
+        
+        panel.querySelector('select[data-field="network"]').value = !connectivity.online ? 'offline' : connectivity.type;
+        panel.querySelector('[data-field="tracking"]').textContent = isTracking ? '📍 tracking' : '📍 idle';
+    };
+    
+    const createPanel = function() {
+        if (!config.panel || panel) {
+            return;
+        }
+        
+        panel = document.createElement('div');
+        panel.setAttribute('data-zoobox-simulator', 'panel');
+        panel.style.cssText = 'position:fixed;right:12px;bottom:12px;z-index:2147483646;background:#fff;border:1px solid #ccc;border-radius:10px;padding:10px;font:12px -apple-system,sans-serif;box-shadow:0 2px 12px rgba(0,0,0,0.2);width:220px;';
+        
+        const title = document.createElement('div');
+        title.textContent = '🧪 Zoobox Simulator';
+        title.style.cssText = 'font-weight:bold;margin-bottom:6px;cursor:pointer;';
+        panel.appendChild(title);
+        
+        const body = document.createElement('div');
+        panel.appendChild(body);
+        title.addEventListener('click', function() {
+            body.style.display = body.style.display === 'none' ? '' : 'none';
+        });
+        
+        PERMISSION_NAMES.forEach(function(name) {
+            const row = document.createElement('label');
+            row.style.cssText = 'display:flex;justify-content:space-between;margin:2px 0;';
+            row.textContent = name;
+            
+            const select = document.createElement('select');
+            select.setAttribute('data-permission', name);
+            PERMISSION_STATUSES.forEach(function(status) {
+                const option = document.createElement('option');
+                option.value = status;
+                option.textContent = status;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', function() {
+                window.ZooboxSimulator.setPermission(name, select.value);
+            });
+            
+            row.appendChild(select);
+            body.appendChild(row);
+        });
+        
+        const networkRow = document.createElement('label');
+        networkRow.style.cssText = 'display:flex;justify-content:space-between;margin:2px 0;';
+        networkRow.textContent = 'network';
+        
+        const networkSelect = document.createElement('select');
+        networkSelect.setAttribute('data-field', 'network');
+        ['wifi', 'cellular', 'offline'].forEach(function(network) {
+            const option = document.createElement('option');
+            option.value = network;
+            option.textContent = network;
+            networkSelect.appendChild(option);
+        });
+        networkSelect.addEventListener('change', function() {
+            const online = networkSelect.value !== 'offline';
+            window.ZooboxSimulator.setConnectivity({
+                online: online,
+                type: online ? networkSelect.value : 'none',
+                expensive: networkSelect.value === 'cellular'
+            });
+        });
+        networkRow.appendChild(networkSelect);
+        body.appendChild(networkRow);
+        
+        const locationRow = document.createElement('div');
+        locationRow.style.cssText = 'display:flex;gap:4px;margin-top:6px;';
+        ['latitude', 'longitude'].forEach(function(field) {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.placeholder = field;
+            input.setAttribute('data-field', field);
+            input.style.cssText = 'width:80px;';
+            locationRow.appendChild(input);
+        });
+        
+        const sendButton = document.createElement('button');
+        sendButton.textContent = 'Send';
+        sendButton.addEventListener('click', function() {
+            window.ZooboxSimulator.setLocation({
+                latitude: parseFloat(panel.querySelector('input[data-field="latitude"]').value),
+                longitude: parseFloat(panel.querySelector('input[data-field="longitude"]').value),
+                accuracy: 10
+            });
+        });
+        locationRow.appendChild(sendButton);
+        body.appendChild(locationRow);
+        
+        const routeRow = document.createElement('div');
+        routeRow.style.cssText = 'display:flex;justify-content:space-between;align-items:center;margin-top:6px;';
+        const tracking = document.createElement('span');
+        tracking.setAttribute('data-field', 'tracking');
+        routeRow.appendChild(tracking);
+        
+        const routeButton = document.createElement('button');
+        routeButton.textContent = '▶️ Demo route';
+        routeButton.addEventListener('click', function() {
+            if (routeTimer) {
+                window.ZooboxSimulator.stopRoute();
+                routeButton.textContent = '▶️ Demo route';
+            } else {
+                window.ZooboxSimulator.playRoute(createDemoRoute(), { onEnd: function() {
+                    routeButton.textContent = '▶️ Demo route';
+                } });
+                routeButton.textContent = '⏹ Stop route';
+            }
+        });
+        routeRow.appendChild(routeButton);
+        body.appendChild(routeRow);
+        
+        document.body.appendChild(panel);
+        renderPanel();
+    };
+    
+    // A short walk north-east from the current (or default) position
+    const createDemoRoute = function() {
+        const start = currentLocation || { latitude: 36.1911, longitude: 44.0092 };
+        const points = [];
+        for (let step = 0; step <= 20; step++) {
+            points.push({
+                latitude: start.latitude + step * 0.0002,
+                longitude: start.longitude + step * 0.00015,
+                accuracy: 8,
+                speed: 1.4,
+                heading: 37
+            });
+        }
+        return points;
+    };
+    
+    // MARK: Scripting API
+    
+    window.ZooboxSimulator = {
+        getPermissions: function() {
+            return Object.assign({}, permissions);
+        },
+        
+        // Flip one permission and tell the page, exactly like returning from Settings
+        setPermission: function(name, status) {
+            if (PERMISSION_STATUSES.indexOf(status) === -1) {
+                throw new TypeError('Unknown permission status: ' + status);
+            }
+            permissions[name] = status;
+            dispatchPermissionsUpdate();
+            if (name === 'location') {
+                pushTrackingUpdate();
+            }
+        },
+        
+        setPermissions: function(statuses) {
+            Object.keys(statuses).forEach(function(name) {
+                if (PERMISSION_STATUSES.indexOf(statuses[name]) === -1) {
+                    throw new TypeError('Unknown permission status: ' + statuses[name]);
+                }
+                permissions[name] = statuses[name];
+            });
+            dispatchPermissionsUpdate();
+        },
+        
+        setPromptBehavior: function(behavior) {
+            config.promptBehavior = behavior;
+        },
+        
+        setLatency: function(latency) {
+            config.latency = latency;
+        },
+        
+        // Move the simulated device; live watchers receive the fix immediately
+        setLocation: function(location) {
+            currentLocation = location ? Object.assign({}, location) : null;
+            renderPanel();
+            pushTrackingUpdate();
+            updateGeofences();
+        },
+        
+        getLocation: function() {
+            return currentLocation ? Object.assign({}, currentLocation) : null;
+        },
+        
+        // Step through [{latitude, longitude, ...}] one fix per interval
+        playRoute: function(points, options) {
+            const routeOptions = options || {};
+            const interval = routeOptions.interval || config.routeInterval;
+            let index = 0;
+            
+            this.stopRoute();
+            
+            const step = function() {
+                if (index >= points.length) {
+                    routeTimer = null;
+                    if (routeOptions.onEnd) {
+                        routeOptions.onEnd();
+                    }
+                    return;
+                }
+                window.ZooboxSimulator.setLocation(points[index++]);
+                routeTimer = setTimeout(step, interval);
+            };
+            step();
+        },
+        
+        stopRoute: function() {
+            clearTimeout(routeTimer);
+            routeTimer = null;
+        },
+        
+        isTracking: function() {
+            return isTracking;
+        },
+        
+        // Simulate the user tapping or dismissing a notification shown through showNotification
+        clickNotification: function(id) {
+            if (config.simulatorOnlyFeatures && window.ZooboxBridge && window.ZooboxBridge._dispatchNotificationEvent) {
+                window.ZooboxBridge._dispatchNotificationEvent(id, 'click');
+            }
+        },
+        
+        closeNotification: function(id) {
+            if (config.simulatorOnlyFeatures && window.ZooboxBridge && window.ZooboxBridge._dispatchNotificationEvent) {
+                window.ZooboxBridge._dispatchNotificationEvent(id, 'close');
+            }
+        },
+        
+        setPushToken: function(token) {
+            pushToken = token;
+            dispatchPushEvent('tokenchange', { token: token });
+        },
+        
+        // A push received while the app is in the foreground; shows a toast unless the page takes it
+        sendPush: function(payload) {
+            if (!dispatchPushEvent('notification', payload)) {
+                showToast('📬 ' + (payload.title || 'Push') + (payload.body ? ' — ' + payload.body : ''), function() {
+                    if (payload.url) {
+                        window.ZooboxSimulator.openDeepLink(payload.url, payload.data);
+                    }
+                });
+            }
+        },
+        
+        // A notification tap; loads the page like the app does unless a listener routes it
+        openDeepLink: function(url, data) {
+            if (!dispatchPushEvent('deeplink', { url: url, data: data })) {
+                console.log('🧪 [Simulator] 🔗 Deep link not handled by the page, navigating to', url);
+                window.location.href = url;
+            }
+        },
+        
+        // While suspended, geofence events are held like the app holds them for a backgrounded
+        // web view; resume() lets the page collect them the way it does on a real resume
+        suspend: function() {
+            suspended = true;
+            console.log('🧪 [Simulator] 💤 Suspended');
+        },
+        
+        resume: function() {
+            suspended = false;
+            console.log('🧪 [Simulator] ☀️ Resumed with', heldGeofenceEvents.length, 'held geofence event(s)');
+            document.dispatchEvent(new Event('visibilitychange'));
+        },
+        
+        // Simulate a network change; unspecified fields keep their current value.
+        // fetch() itself still uses the real network, so queued requests replay for real.
+        setConnectivity: function(state) {
+            connectivity = Object.assign({}, connectivity, state);
+            console.log('🧪 [Simulator] 🌐 Connectivity:', connectivity);
+            dispatchConnectivityUpdate();
+        },
+        
+        // The last navigator.share() payload, with files as { name, type, data } in base64
+        getLastShare: function() {
+            return lastShare;
+        },
+        
+        getClipboard: function() {
+            return clipboardText;
+        },
+        
+        setClipboard: function(text) {
+            clipboardText = String(text);
+        },
+        
+        // Whether a page wake lock would keep the idle timer off right now
+        isScreenAwake: function() {
+            return Object.keys(wakeLocks).length > 0;
+        },
+        
+        showPanel: createPanel
+    };
+    
+    window.zooboxConnectivity = Object.assign({}, connectivity);
+    
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', createPanel);
+    } else {
+        createPanel();
+    }
+    
+    console.log('🧪 Zoobox Bridge Simulator installed with permissions:', permissions);
+    
+})();
\ No newline at end of file
@@ -17,6 +17,7 @@ class MainViewController: UIViewController, WKScriptMessageHandler, WKUIDelegate
     private var isWebViewFullyReady = false
     private var webViewReadyTimer: Timer?
     private var loadingIndicatorTimeout: Timer?
+    private let zooboxBridgeManager = ZooboxBridgeManager()
 
     
     // Device-specific timeout and retry values
@@ -122,6 +123,7 @@ class MainViewController: UIViewController, WKScriptMessageHandler, WKUIDelegate
         if let webView = webView {
             webView.configuration.userContentController.removeScriptMessageHandler(forName: "hapticFeedback")
             webView.configuration.userContentController.removeScriptMessageHandler(forName: "permissionBridge")
+            webView.configuration.userContentController.removeScriptMessageHandler(forName: ZooboxBridgeManager.handlerName)
         }
         
         print("🔄 [MainViewController] Deinitialized")
@@ -147,6 +149,17 @@ class MainViewController: UIViewController, WKScriptMessageHandler, WKUIDelegate
         // Note: refreshControl will be added to webView.scrollView after WebView is created
     }
     
+    // Loads webview-haptics.js from the bundle; it replaces the per-element tap scripts we used to inline
+    private func makeHapticFeedbackScript() -> WKUserScript? {
+        guard let path = Bundle.main.path(forResource: "webview-haptics", ofType: "js"),
+              let source = try? String(contentsOfFile: path, encoding: .utf8) else {
+            print("❌ [WebView] webview-haptics.js not found in bundle - haptic feedback disabled")
+            return nil
+        }
+        
+        return WKUserScript(source: source, injectionTime: .atDocumentEnd, forMainFrameOnly: true)
+    }
+    
     private func setupWebView() {
         print("🔄 [MainViewController] Setting up WebView")
         
@@ -289,151 +302,12 @@ class MainViewController: UIViewController, WKScriptMessageHandler, WKUIDelegate
             userContentController.addUserScript(cssScript)
             print("📱 [WebView] iPad CSS script added")
             
-            // Inject iPad-specific haptic feedback script
+            // Inject haptic feedback: one delegated data-haptic listener plus the navigator.vibrate shim
             print("📱 [WebView] Creating iPad haptic feedback script")
-            let hapticScript = WKUserScript(
-                source: """
-                // Haptic feedback for interactive elements - only on actual taps/clicks
-                function addHapticFeedback() {
-                    // Select all interactive elements
-                    const interactiveElements = document.querySelectorAll('a, button, input, select, textarea, [role="button"], [tabindex], [onclick], [onmousedown], [ontouchstart]');
-                    
-                    interactiveElements.forEach(function(element) {
-                        let touchStartTime = 0;
-                        let touchStartY = 0;
-                        let touchStartX = 0;
-                        let hasMoved = false;
-                        
-                        // Track touch start
-                        element.addEventListener('touchstart', function(e) {
-                            touchStartTime = Date.now();
-                            touchStartY = e.touches[0].clientY;
-                            touchStartX = e.touches[0].clientX;
-                            hasMoved = false;
-                        }, { passive: true });
-                        
-                        // Track touch move to detect scrolling
-                        element.addEventListener('touchmove', function(e) {
-                            const currentY = e.touches[0].clientY;
-                            const currentX = e.touches[0].clientX;
-                            const deltaY = Math.abs(currentY - touchStartY);
-                            const deltaX = Math.abs(currentX - touchStartX);
-                            
-                            // If moved more than 10px, consider it a scroll
-                            if (deltaY > 10 || deltaX > 10) {
-                                hasMoved = true;
-                            }
-                        }, { passive: true });
-                        
-                        // Only trigger haptic feedback on actual taps (not scrolls)
-                        element.addEventListener('touchend', function(e) {
-                            const touchEndTime = Date.now();
-                            const touchDuration = touchEndTime - touchStartTime;
-                            
-                            // Only trigger if:
-                            // 1. Touch duration is less than 300ms (quick tap)
-                            // 2. No significant movement (not a scroll)
-                            // 3. Touch ended on the same element
-                            if (touchDuration < 300 && !hasMoved && e.target === element) {
-                                if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.hapticFeedback) {
-                                    window.webkit.messageHandlers.hapticFeedback.postMessage('light');
-                                }
-                            }
-                        }, { passive: true });
-                        
-                        // For mouse events (iPad with mouse), use click instead of mousedown
-                        element.addEventListener('click', function(e) {
-                            // Only trigger if it's a real click (not programmatic)
-                            if (e.isTrusted) {
-                                if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.hapticFeedback) {
-                                    window.webkit.messageHandlers.hapticFeedback.postMessage('light');
-                                }
-                            }
-                        }, { passive: true });
-                    });
-                    
-                    // Also handle dynamically added elements
-                    const observer = new MutationObserver(function(mutations) {
-                        mutations.forEach(function(mutation) {
-                            mutation.addedNodes.forEach(function(node) {
-                                if (node.nodeType === 1) { // Element node
-                                    const newInteractiveElements = node.querySelectorAll ? node.querySelectorAll('a, button, input, select, textarea, [role="button"], [tabindex], [onclick], [onmousedown], [ontouchstart]') : [];
-                                    newInteractiveElements.forEach(function(element) {
-                                        let touchStartTime = 0;
-                                        let touchStartY = 0;
-                                        let touchStartX = 0;
-                                        let hasMoved = false;
-                                        
-                                        // Track touch start
-                                        element.addEventListener('touchstart', function(e) {
-                                            touchStartTime = Date.now();
-                                            touchStartY = e.touches[0].clientY;
-                                            touchStartX = e.touches[0].clientX;
-                                            hasMoved = false;
-                                        }, { passive: true });
-                                        
-                                        // Track touch move to detect scrolling
-                                        element.addEventListener('touchmove', function(e) {
-                                            const currentY = e.touches[0].clientY;
-                                            const currentX = e.touches[0].clientX;
-                                            const deltaY = Math.abs(currentY - touchStartY);
-                                            const deltaX = Math.abs(currentX - touchStartX);
-                                            
-                                            // If moved more than 10px, consider it a scroll
-                                            if (deltaY > 10 || deltaX > 10) {
-                                                hasMoved = true;
-                                            }
-                                        }, { passive: true });
-                                        
-                                        // Only trigger haptic feedback on actual taps (not scrolls)
-                                        element.addEventListener('touchend', function(e) {
-                                            const touchEndTime = Date.now();
-                                            const touchDuration = touchEndTime - touchStartTime;
-                                            
-                                            // Only trigger if:
-                                            // 1. Touch duration is less than 300ms (quick tap)
-                                            // 2. No significant movement (not a scroll)
-                                            // 3. Touch ended on the same element
-                                            if (touchDuration < 300 && !hasMoved && e.target === element) {
-                                                if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.hapticFeedback) {
-                                                    window.webkit.messageHandlers.hapticFeedback.postMessage('light');
-                                                }
-                                            }
-                                        }, { passive: true });
-                                        
-                                        // For mouse events (iPad with mouse), use click instead of mousedown
-                                        element.addEventListener('click', function(e) {
-                                            // Only trigger if it's a real click (not programmatic)
-                                            if (e.isTrusted) {
-                                                if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.hapticFeedback) {
-                                                    window.webkit.messageHandlers.hapticFeedback.postMessage('light');
-                                                }
-                                            }
-                                        }, { passive: true });
-                                    });
-                                }
-                            });
-                        });
-                    });
-                    
-                    observer.observe(document.body, { childList: true, subtree: true });
-                }
-                
-                // Initialize haptic feedback when DOM is ready
-                if (document.readyState === 'loading') {
-                    document.addEventListener('DOMContentLoaded', addHapticFeedback);
-                } else {
-                    addHapticFeedback();
-                }
-                
-                // Also run on page load for single-page applications
-                window.addEventListener('load', addHapticFeedback);
-                """,
-                injectionTime: .atDocumentEnd,
-                forMainFrameOnly: true
-            )
-            userContentController.addUserScript(hapticScript)
-            print("📱 [WebView] iPad haptic feedback script added")
+            if let hapticScript = makeHapticFeedbackScript() {
+                userContentController.addUserScript(hapticScript)
+                print("📱 [WebView] iPad haptic feedback script added")
+            }
             
             configuration.userContentController = userContentController
             print("📱 [WebView] iPad user content controller assigned")
@@ -569,151 +443,12 @@ class MainViewController: UIViewController, WKScriptMessageHandler, WKUIDelegate
             userContentController.addUserScript(cssScript)
             print("📱 [WebView] iPhone CSS script added")
             
-            // Inject iPhone-specific haptic feedback script
+            // Inject haptic feedback: one delegated data-haptic listener plus the navigator.vibrate shim
             print("📱 [WebView] Creating iPhone haptic feedback script")
-            let hapticScript = WKUserScript(
-                source: """
-                // Haptic feedback for interactive elements - only on actual taps/clicks
-                function addHapticFeedback() {
-                    // Select all interactive elements
-                    const interactiveElements = document.querySelectorAll('a, button, input, select, textarea, [role="button"], [tabindex], [onclick], [onmousedown], [ontouchstart]');
-                    
-                    interactiveElements.forEach(function(element) {
-                        let touchStartTime = 0;
-                        let touchStartY = 0;
-                        let touchStartX = 0;
-                        let hasMoved = false;
-                        
-                        // Track touch start
-                        element.addEventListener('touchstart', function(e) {
-                            touchStartTime = Date.now();
-                            touchStartY = e.touches[0].clientY;
-                            touchStartX = e.touches[0].clientX;
-                            hasMoved = false;
-                        }, { passive: true });
-                        
-                        // Track touch move to detect scrolling
-                        element.addEventListener('touchmove', function(e) {
-                            const currentY = e.touches[0].clientY;
-                            const currentX = e.touches[0].clientX;
-                            const deltaY = Math.abs(currentY - touchStartY);
-                            const deltaX = Math.abs(currentX - touchStartX);
-                            
-                            // If moved more than 10px, consider it a scroll
-                            if (deltaY > 10 || deltaX > 10) {
-                                hasMoved = true;
-                            }
-                        }, { passive: true });
-                        
-                        // Only trigger haptic feedback on actual taps (not scrolls)
-                        element.addEventListener('touchend', function(e) {
-                            const touchEndTime = Date.now();
-                            const touchDuration = touchEndTime - touchStartTime;
-                            
-                            // Only trigger if:
-                            // 1. Touch duration is less than 300ms (quick tap)
-                            // 2. No significant movement (not a scroll)
-                            // 3. Touch ended on the same element
-                            if (touchDuration < 300 && !hasMoved && e.target === element) {
-                                if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.hapticFeedback) {
-                                    window.webkit.messageHandlers.hapticFeedback.postMessage('light');
-                                }
-                            }
-                        }, { passive: true });
-                        
-                        // For mouse events (iPhone with mouse), use click instead of mousedown
-                        element.addEventListener('click', function(e) {
-                            // Only trigger if it's a real click (not programmatic)
-                            if (e.isTrusted) {
-                                if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.hapticFeedback) {
-                                    window.webkit.messageHandlers.hapticFeedback.postMessage('light');
-                                }
-                            }
-                        }, { passive: true });
-                    });
-                    
-                    // Also handle dynamically added elements
-                    const observer = new MutationObserver(function(mutations) {
-                        mutations.forEach(function(mutation) {
-                            mutation.addedNodes.forEach(function(node) {
-                                if (node.nodeType === 1) { // Element node
-                                    const newInteractiveElements = node.querySelectorAll ? node.querySelectorAll('a, button, input, select, textarea, [role="button"], [tabindex], [onclick], [onmousedown], [ontouchstart]') : [];
-                                    newInteractiveElements.forEach(function(element) {
-                                        let touchStartTime = 0;
-                                        let touchStartY = 0;
-                                        let touchStartX = 0;
-                                        let hasMoved = false;
-                                        
-                                        // Track touch start
-                                        element.addEventListener('touchstart', function(e) {
-                                            touchStartTime = Date.now();
-                                            touchStartY = e.touches[0].clientY;
-                                            touchStartX = e.touches[0].clientX;
-                                            hasMoved = false;
-                                        }, { passive: true });
-                                        
-                                        // Track touch move to detect scrolling
-                                        element.addEventListener('touchmove', function(e) {
-                                            const currentY = e.touches[0].clientY;
-                                            const currentX = e.touches[0].clientX;
-                                            const deltaX = Math.abs(currentX - touchStartX);
-                                            const deltaY = Math.abs(currentY - touchStartY);
-                                            
-                                            // If moved more than 10px, consider it a scroll
-                                            if (deltaY > 10 || deltaX > 10) {
-                                                hasMoved = true;
-                                            }
-                                        }, { passive: true });
-                                        
-                                        // Only trigger haptic feedback on actual taps (not scrolls)
-                                        element.addEventListener('touchend', function(e) {
-                                            const touchEndTime = Date.now();
-                                            const touchDuration = touchEndTime - touchStartTime;
-                                            
-                                            // Only trigger if:
-                                            // 1. Touch duration is less than 300ms (quick tap)
-                                            // 2. No significant movement (not a scroll)
-                                            // 3. Touch ended on the same element
-                                            if (touchDuration < 300 && !hasMoved && e.target === element) {
-                                                if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.hapticFeedback) {
-                                                    window.webkit.messageHandlers.hapticFeedback.postMessage('light');
-                                                }
-                                            }
-                                        }, { passive: true });
-                                        
-                                        // For mouse events (iPhone with mouse), use click instead of mousedown
-                                        element.addEventListener('click', function(e) {
-                                            // Only trigger if it's a real click (not programmatic)
-                                            if (e.isTrusted) {
-                                                if (window.webkit && window.webkit.messageHandlers && window.webkit.messageHandlers.hapticFeedback) {
-                                                    window.webkit.messageHandlers.hapticFeedback.postMessage('light');
-                                                }
-                                            }
-                                        }, { passive: true });
-                                    });
-                                }
-                            });
-                        });
-                    });
-                    
-                    observer.observe(document.body, { childList: true, subtree: true });
-                }
-                
-                // Initialize haptic feedback when DOM is ready
-                if (document.readyState === 'loading') {
-                    document.addEventListener('DOMContentLoaded', addHapticFeedback);
-                } else {
-                    addHapticFeedback();
-                }
-                
-                // Also run on page load for single-page applications
-                window.addEventListener('load', addHapticFeedback);
-                """,
-                injectionTime: .atDocumentEnd,
-                forMainFrameOnly: true
-            )
-            userContentController.addUserScript(hapticScript)
-            print("📱 [WebView] iPhone haptic feedback script added")
+            if let hapticScript = makeHapticFeedbackScript() {
+                userContentController.addUserScript(hapticScript)
+                print("📱 [WebView] iPhone haptic feedback script added")
+            }
             
             // iPhone-specific application name
             configuration.applicationNameForUserAgent = "Zoobox iPhone"
@@ -803,6 +538,7 @@ class MainViewController: UIViewController, WKScriptMessageHandler, WKUIDelegate
         
         // Setup permission bridge BEFORE loading URL to prevent race conditions
         setupPermissionBridge()
+        setupZooboxBridge()
         
         // Setup custom URL scheme handler for geolocation
         setupGeolocationURLSchemeHandler()
@@ -1005,6 +741,15 @@ class MainViewController: UIViewController, WKScriptMessageHandler, WKUIDelegate
         )
     }
     
+    // Permission, share, clipboard and wake lock calls from webview-permission-override.js
+    private func setupZooboxBridge() {
+        zooboxBridgeManager.webView = webView
+        zooboxBridgeManager.presentingViewController = self
+        webView.configuration.userContentController.add(zooboxBridgeManager, name: ZooboxBridgeManager.handlerName)
+        // Same allowlist the manager enforces, for the override script's scope check
+        webView.configuration.userContentController.addUserScript(ZooboxBridgeManager.makeOverrideConfigScript())
+    }
+    
     private func setupPermissionBridge() {
         // Add permission bridge message handler
         webView.configuration.userContentController.add(self, name: "permissionBridge")
@@ -1515,6 +1260,12 @@ class MainViewController: UIViewController, WKScriptMessageHandler, WKUIDelegate
     // MARK: - Helper Methods for WKScriptMessageHandler
     
     func handleHapticFeedback(message: WKScriptMessage) {
+        // webview-haptics.js sends a dictionary for anything a plain style string can't express
+        if let body = message.body as? [String: Any] {
+            handleStructuredHapticFeedback(body)
+            return
+        }
+        
         guard let feedbackType = message.body as? String else { return }
         
         print("📱 [HapticFeedback] Triggering \(feedbackType) haptic feedback")
@@ -1546,6 +1297,46 @@ class MainViewController: UIViewController, WKScriptMessageHandler, WKUIDelegate
         }
     }
     
+    // { type: "impact", style: "light|medium|heavy|soft|rigid", intensity: 0...1 },
+    // { type: "notification", style: "success|warning|error" } or { type: "selection" }
+    private func handleStructuredHapticFeedback(_ body: [String: Any]) {
+        let type = body["type"] as? String ?? "impact"
+        let style = body["style"] as? String
+        let intensity = (body["intensity"] as? NSNumber).map { CGFloat(truncating: $0) }
+        
+        print("📱 [HapticFeedback] Triggering \(type) haptic feedback (\(style ?? "default"))")
+        
+        DispatchQueue.main.async {
+            switch type {
+            case "notification":
+                let notificationType: UINotificationFeedbackGenerator.FeedbackType
+                switch style {
+                case "warning": notificationType = .warning
+                case "error": notificationType = .error
+                default: notificationType = .success
+                }
+                UINotificationFeedbackGenerator().notificationOccurred(notificationType)
+            case "selection":
+                UISelectionFeedbackGenerator().selectionChanged()
+            default:
+                let impactStyle: UIImpactFeedbackGenerator.FeedbackStyle
+                switch style {
+                case "medium": impactStyle = .medium
+                case "heavy": impactStyle = .heavy
+                case "soft": impactStyle = .soft
+                case "rigid": impactStyle = .rigid
+                default: impactStyle = .light
+                }
+                let impactFeedback = UIImpactFeedbackGenerator(style: impactStyle)
+                if let intensity = intensity {
+                    impactFeedback.impactOccurred(intensity: max(0, min(1, intensity)))
+                } else {
+                    impactFeedback.impactOccurred()
+                }
+            }
+        }
+    }
+    
     func handlePermissionBridge(message: WKScriptMessage) {
         guard let body = message.body as? [String: Any],
               let action = body["action"] as? String else {
@@ -2406,6 +2197,9 @@ extension MainViewController {
         isWebViewFullyReady = false
         webViewReadyTimer?.invalidate()
         
+        // The previous page's wake locks end with it
+        zooboxBridgeManager.webViewDidStartNavigation()
+        
         currentNavigation = navigation
         startLoadingTimer()
         
@@ -2452,6 +2246,9 @@ extension MainViewController {
             // Cancel loading timer
             self.loadingTimer?.invalidate()
             
+            // The new page learns the network state from native instead of WebKit's navigator.onLine
+            self.zooboxBridgeManager.webViewDidFinishNavigation()
+            
             // Reset error state on successful load
             self.lastError = nil
             self.retryCount = 0
@@ -2634,31 +2431,40 @@ extension MainViewController {
     func webView(_ webView: WKWebView, requestMediaCapturePermissionFor origin: WKSecurityOrigin, initiatedByFrame frame: WKFrameInfo, type: WKMediaCaptureType, decisionHandler: @escaping (WKPermissionDecision) -> Void) {
         print("🔐 WebView requesting media capture permission for type: \(type)")
         
-        if type == .camera {
-            // Move to background thread to prevent main thread blocking
-            DispatchQueue.global(qos: .userInitiated).async {
-                let cameraStatus = AVCaptureDevice.authorizationStatus(for: .video)
-                print("🔐 Native camera permission status: \(cameraStatus)")
-                
-                DispatchQueue.main.async { [weak self] in
-                    guard let _ = self else {
-                        print("🔐 Self is nil, prompting for camera permission")
-                        decisionHandler(.prompt)
-                        return
-                    }
-                    
-                    if cameraStatus == .authorized {
-                        print("🔐 Camera permission granted natively, granting to WebView")
-                        decisionHandler(.grant)
-                        return
-                    }
-                    print("🔐 Camera permission not granted natively, prompting user")
+        let mediaTypes: [AVMediaType]
+        switch type {
+        case .camera:
+            mediaTypes = [.video]
+        case .microphone:
+            mediaTypes = [.audio]
+        case .cameraAndMicrophone:
+            mediaTypes = [.video, .audio]
+        @unknown default:
+            print("🔐 Unknown media capture request, prompting user")
+            decisionHandler(.prompt)
+            return
+        }
+        
+        // Move to background thread to prevent main thread blocking
+        DispatchQueue.global(qos: .userInitiated).async {
+            let isAuthorized = mediaTypes.allSatisfy { AVCaptureDevice.authorizationStatus(for: $0) == .authorized }
+            print("🔐 Native media permission for \(mediaTypes.map { $0.rawValue }) authorized: \(isAuthorized)")
+            
+            DispatchQueue.main.async { [weak self] in
+                guard let _ = self else {
+                    print("🔐 Self is nil, prompting for media capture permission")
                     decisionHandler(.prompt)
+                    return
+                }
+                
+                if isAuthorized {
+                    print("🔐 Media permission granted natively, granting to WebView")
+                    decisionHandler(.grant)
+                    return
                 }
+                print("🔐 Media permission not granted natively, prompting user")
+                decisionHandler(.prompt)
             }
-        } else {
-            print("🔐 Non-camera media capture request, prompting user")
-            decisionHandler(.prompt)
         }
     }
     
@@ -269,7 +269,7 @@ class OnboardingViewController: UIViewController, PermissionManagerDelegate {
         permissionManager.updateAllPermissionStatuses()
         
         // Check if any permissions are denied and show dialog if needed
-        let deniedPermissions = permissionManager.getDeniedPermissions()
+        let deniedPermissions = permissionManager.getDeniedPermissions().filter(isOnboardingPermission)
         
         if !deniedPermissions.isEmpty {
             // Some permissions were denied, show the optional permissions dialog
@@ -469,14 +469,19 @@ class OnboardingViewController: UIViewController, PermissionManagerDelegate {
         }
     }
     
+    // The microphone is not part of onboarding; it is requested when a page needs it
+    private func isOnboardingPermission(_ type: PermissionType) -> Bool {
+        return permissions.contains { $0.type == type }
+    }
+    
     private func getCurrentCardView() -> UIView? {
         guard currentPage < permissionStackView.arrangedSubviews.count else { return nil }
         return permissionStackView.arrangedSubviews[currentPage]
     }
     
     private func checkAllPermissionsAndProceed() {
-        let deniedPermissions = permissionManager.getDeniedPermissions()
-        let notDeterminedPermissions = permissionManager.getNotDeterminedPermissions()
+        let deniedPermissions = permissionManager.getDeniedPermissions().filter(isOnboardingPermission)
+        let notDeterminedPermissions = permissionManager.getNotDeterminedPermissions().filter(isOnboardingPermission)
         
         if !deniedPermissions.isEmpty {
             // Some permissions were denied, show options
@@ -0,0 +1,408 @@
+// Type definitions for the Zoobox WebView bridge and the @zoobox/bridge client.
+
+/** Permissions the Zoobox app manages natively. */
+export type ZooboxPermissionName = 'location' | 'camera' | 'microphone' | 'notifications';
+
+/** Statuses as reported by the app's PermissionManager. */
+export type ZooboxPermissionStatus = 'granted' | 'denied' | 'restricted' | 'notDetermined';
+
+/** Shape of window.zooboxPermissions and the zooboxPermissionsUpdate event detail. */
+export type ZooboxPermissions = Partial<Record<ZooboxPermissionName, ZooboxPermissionStatus>> & {
+    /** Log level pushed by native for the injected scripts. */
+    logLevel?: ZooboxLogLevel;
+};
+
+/** An entry for requestPermissions(); the rationale is shown on the app's screen before the system prompt. */
+export type ZooboxPermissionRequest = ZooboxPermissionName | { name: ZooboxPermissionName; rationale?: string | null };
+
+export interface ZooboxPermissionResult {
+    status: ZooboxPermissionStatus;
+    /** True when only the Settings app can change the answer. */
+    settingsRequired: boolean;
+}
+
+export type ZooboxPermissionResults = Partial<Record<ZooboxPermissionName, ZooboxPermissionResult>>;
+
+export type ZooboxPermissionsUpdateEvent = CustomEvent<ZooboxPermissions>;
+
+/** Result of the bridge handshake, also the zooboxBridgeReady event detail. */
+export interface ZooboxBridgeInfo {
+    /** Version of the injected bridge script; bumped when its page-facing API changes. */
+    readonly bridgeVersion: number;
+    readonly appVersion: string | null;
+    readonly build: string | null;
+    readonly platform: 'ios' | 'unknown' | (string & {});
+    readonly osVersion: string | null;
+    readonly idiom: 'phone' | 'pad' | 'unknown' | (string & {});
+    /** Bridge methods and message handlers the app supports, e.g. 'showNotification', 'hapticFeedback'. */
+    readonly capabilities: readonly string[];
+    /** 'inferred' when the app predates the handshake and only its message handlers could be detected. */
+    readonly source: 'native' | 'inferred';
+}
+
+export type ZooboxBridgeReadyEvent = CustomEvent<ZooboxBridgeInfo>;
+
+export type ZooboxImpactStyle = 'light' | 'medium' | 'heavy' | 'soft' | 'rigid';
+
+export type ZooboxNotificationHaptic = 'success' | 'warning' | 'error';
+
+export type ZooboxHapticType = ZooboxImpactStyle | ZooboxNotificationHaptic | 'selection';
+
+export type ZooboxHapticPreset = 'doubleTap' | 'heartbeat' | 'knock' | 'rampUp';
+
+export interface ZooboxHapticStep {
+    haptic: ZooboxHapticType;
+    /** 0 to 1, impact styles only. */
+    intensity?: number;
+    /** Milliseconds after the previous step. */
+    delay?: number;
+}
+
+export type ZooboxHapticPattern = ZooboxHapticPreset | Array<ZooboxHapticType | ZooboxHapticStep>;
+
+/** ZooboxBridge.haptics, installed by webview-haptics.js. Methods return false without the native handler. */
+export interface ZooboxHaptics {
+    readonly PATTERNS: Readonly<Record<ZooboxHapticPreset, ReadonlyArray<ZooboxHapticType | ZooboxHapticStep>>>;
+    trigger(type?: ZooboxHapticType, intensity?: number): boolean;
+    impact(style?: ZooboxImpactStyle, intensity?: number): boolean;
+    notification(type?: ZooboxNotificationHaptic): boolean;
+    selection(): boolean;
+    /** Resolves true when the pattern finished, false when it was stopped or replaced. */
+    play(pattern: ZooboxHapticPattern): Promise<boolean>;
+    stop(): boolean;
+}
+
+export type ZooboxLogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/** Error codes raised on the JavaScript side; native may report its own codes too. */
+export type ZooboxBridgeErrorCode = 'UNAVAILABLE' | 'TIMEOUT' | 'POST_FAILED' | 'UNKNOWN' | (string & {});
+
+export class ZooboxBridgeError extends Error {
+    constructor(code: ZooboxBridgeErrorCode, message?: string);
+    readonly name: 'ZooboxBridgeError';
+    readonly code: ZooboxBridgeErrorCode;
+}
+
+export interface ZooboxNativeLocation {
+    coords: {
+        latitude: number;
+        longitude: number;
+        accuracy: number;
+        altitude?: number | null;
+        altitudeAccuracy?: number | null;
+        heading?: number | null;
+        speed?: number | null;
+    };
+    timestamp: number;
+}
+
+export interface ZooboxLogger {
+    debug(...args: unknown[]): void;
+    info(...args: unknown[]): void;
+    warn(...args: unknown[]): void;
+    error(...args: unknown[]): void;
+    setLevel(level: ZooboxLogLevel): void;
+    setSinkLevel(level: ZooboxLogLevel): void;
+    getLevel(): ZooboxLogLevel;
+    flush(): void;
+}
+
+export interface ZooboxDialogRule {
+    action: 'allow' | 'deny';
+    exact?: string;
+    regex?: string;
+    flags?: string;
+    dialogs?: Array<'alert' | 'confirm' | 'prompt'>;
+}
+
+export interface ZooboxSuppressedDialog {
+    type: 'alert' | 'confirm' | 'prompt';
+    message: string;
+    /** The rule that denied the dialog, or null when the default action did. */
+    rule: ZooboxDialogRule | null;
+    timestamp: number;
+}
+
+export interface ZooboxCapturePhotoOptions {
+    /** Defaults to 'camera'; 'library' opens the photo picker and needs no camera permission. */
+    source?: 'camera' | 'library';
+    maxWidth?: number | null;
+    maxHeight?: number | null;
+    /** Encoder quality from 0 to 1; defaults to 0.8. */
+    quality?: number;
+    /** Defaults to 'jpeg'. */
+    format?: 'jpeg' | 'png';
+    /** Drop EXIF and location metadata; defaults to true. */
+    stripMetadata?: boolean;
+}
+
+/** Codes capturePhoto rejects with. */
+export type ZooboxCapturePhotoErrorCode = 'CANCELLED' | 'PERMISSION_DENIED' | 'UNAVAILABLE' | 'INVALID_OPTIONS' | 'TRANSFER_FAILED' | 'UNSUPPORTED';
+
+export interface ZooboxPushTokenChangeDetail {
+    token: string | null;
+}
+
+export interface ZooboxPushNotificationDetail {
+    id: string | null;
+    title: string;
+    body: string;
+    /** The push's custom data, e.g. { order_type: 'food', order_id: '12345' }. */
+    data: Record<string, unknown>;
+}
+
+export interface ZooboxDeepLinkDetail {
+    /** Absolute target URL. */
+    url: string;
+    /** pathname + search + hash, ready for a client-side router. */
+    path: string;
+    /** Whether the target is on the current page's origin. */
+    sameOrigin: boolean;
+    data: Record<string, unknown>;
+}
+
+export interface ZooboxPushEventMap {
+    tokenchange: CustomEvent<ZooboxPushTokenChangeDetail>;
+    /** Cancel to take over the foreground banner. */
+    notification: CustomEvent<ZooboxPushNotificationDetail>;
+    /** Cancel after routing client-side so the app does not load the URL. */
+    deeplink: CustomEvent<ZooboxDeepLinkDetail>;
+}
+
+/** ZooboxBridge.push */
+export interface ZooboxPush extends EventTarget {
+    getToken(): Promise<string | null>;
+    ontokenchange: ((event: ZooboxPushEventMap['tokenchange']) => void) | null;
+    onnotification: ((event: ZooboxPushEventMap['notification']) => void) | null;
+    ondeeplink: ((event: ZooboxPushEventMap['deeplink']) => void) | null;
+    addEventListener<K extends keyof ZooboxPushEventMap>(type: K, listener: (event: ZooboxPushEventMap[K]) => void, options?: boolean | AddEventListenerOptions): void;
+    addEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | AddEventListenerOptions): void;
+    removeEventListener<K extends keyof ZooboxPushEventMap>(type: K, listener: (event: ZooboxPushEventMap[K]) => void, options?: boolean | EventListenerOptions): void;
+    removeEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | EventListenerOptions): void;
+}
+
+export interface ZooboxGeofenceOptions {
+    id: string;
+    lat: number;
+    lng: number;
+    /** Meters. */
+    radius: number;
+    /** Milliseconds inside the region before 'dwell'; defaults to 120000. */
+    dwellTime?: number;
+}
+
+export type ZooboxGeofence = Readonly<Required<ZooboxGeofenceOptions>>;
+
+export interface ZooboxGeofenceEventDetail {
+    id: string;
+    type: 'enter' | 'exit' | 'dwell';
+    /** When the device crossed the boundary, in milliseconds since the epoch. */
+    timestamp: number;
+    /** The event happened while the app was in the background and was held until the page could run. */
+    queued: boolean;
+    /** Null for geofences this page has not added or listed. */
+    geofence: ZooboxGeofence | null;
+}
+
+export interface ZooboxGeofenceEventMap {
+    enter: CustomEvent<ZooboxGeofenceEventDetail>;
+    exit: CustomEvent<ZooboxGeofenceEventDetail>;
+    dwell: CustomEvent<ZooboxGeofenceEventDetail>;
+}
+
+/** Codes geofences.add rejects with. */
+export type ZooboxGeofenceErrorCode = 'INVALID_OPTIONS' | 'PERMISSION_DENIED' | 'LIMIT_REACHED' | 'UNSUPPORTED' | 'UNAVAILABLE';
+
+/** ZooboxBridge.geofences */
+export interface ZooboxGeofences extends EventTarget {
+    add(geofence: ZooboxGeofenceOptions): Promise<ZooboxGeofence>;
+    remove(id: string): Promise<boolean>;
+    list(): Promise<ZooboxGeofence[]>;
+    onenter: ((event: ZooboxGeofenceEventMap['enter']) => void) | null;
+    onexit: ((event: ZooboxGeofenceEventMap['exit']) => void) | null;
+    ondwell: ((event: ZooboxGeofenceEventMap['dwell']) => void) | null;
+    addEventListener<K extends keyof ZooboxGeofenceEventMap>(type: K, listener: (event: ZooboxGeofenceEventMap[K]) => void, options?: boolean | AddEventListenerOptions): void;
+    addEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | AddEventListenerOptions): void;
+    removeEventListener<K extends keyof ZooboxGeofenceEventMap>(type: K, listener: (event: ZooboxGeofenceEventMap[K]) => void, options?: boolean | EventListenerOptions): void;
+    removeEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | EventListenerOptions): void;
+}
+
+export type ZooboxConnectionType = 'wifi' | 'cellular' | 'ethernet' | 'other' | 'none' | 'unknown';
+
+export interface ZooboxConnectivityState {
+    online: boolean;
+    type: ZooboxConnectionType;
+    /** Low Data Mode is on. */
+    constrained: boolean;
+    /** Cellular or a personal hotspot. */
+    expensive: boolean;
+    /** 'browser' until native has reported, when only `online` is meaningful. */
+    source: 'native' | 'browser';
+}
+
+export interface ZooboxOfflineQueueOptions {
+    /** URL prefix, pattern or predicate; defaults to every same-origin URL. */
+    match?: string | RegExp | ((url: string) => boolean);
+    /** localStorage key; defaults to 'zoobox.offlineQueue'. */
+    storageKey?: string;
+}
+
+export interface ZooboxQueuedRequest {
+    id: string;
+    url: string;
+    method: 'POST';
+    queuedAt: number;
+}
+
+export interface ZooboxReplayedRequest extends ZooboxQueuedRequest {
+    status: number;
+    ok: boolean;
+}
+
+export interface ZooboxConnectivityEventMap {
+    change: CustomEvent<ZooboxConnectivityState>;
+    queued: CustomEvent<ZooboxQueuedRequest>;
+    replay: CustomEvent<ZooboxReplayedRequest>;
+}
+
+/** ZooboxBridge.connectivity */
+export interface ZooboxConnectivity extends EventTarget {
+    getState(): ZooboxConnectivityState;
+    enableOfflineQueue(options?: ZooboxOfflineQueueOptions): void;
+    disableOfflineQueue(): void;
+    getQueuedRequests(): ZooboxQueuedRequest[];
+    clearOfflineQueue(): number;
+    replayOfflineQueue(): Promise<number>;
+    onchange: ((event: ZooboxConnectivityEventMap['change']) => void) | null;
+    onqueued: ((event: ZooboxConnectivityEventMap['queued']) => void) | null;
+    onreplay: ((event: ZooboxConnectivityEventMap['replay']) => void) | null;
+    addEventListener<K extends keyof ZooboxConnectivityEventMap>(type: K, listener: (event: ZooboxConnectivityEventMap[K]) => void, options?: boolean | AddEventListenerOptions): void;
+    addEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | AddEventListenerOptions): void;
+    removeEventListener<K extends keyof ZooboxConnectivityEventMap>(type: K, listener: (event: ZooboxConnectivityEventMap[K]) => void, options?: boolean | EventListenerOptions): void;
+    removeEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | EventListenerOptions): void;
+}
+
+/** navigator.connection as the override script installs it: the Network Information API subset native can fill. */
+export interface ZooboxNetworkInformation extends EventTarget {
+    readonly type: ZooboxConnectionType;
+    readonly saveData: boolean;
+    readonly constrained: boolean;
+    readonly expensive: boolean;
+    onchange: ((event: Event) => void) | null;
+}
+
+/** window.ZooboxBridge as installed by webview-permission-override.js. */
+export interface ZooboxBridge {
+    call<T = unknown>(method: string, params?: Record<string, unknown>, timeout?: number): Promise<T>;
+    ready(): Promise<ZooboxBridgeInfo>;
+    hasCapability(capability: string): boolean;
+    logger: ZooboxLogger;
+    requestPermission(permission: ZooboxPermissionName): Promise<ZooboxPermissionStatus>;
+    requestPermissions(requests: ZooboxPermissionRequest[]): Promise<ZooboxPermissionResults>;
+    isPermissionGranted(permission: ZooboxPermissionName): boolean;
+    getCurrentLocation(params?: { enableHighAccuracy?: boolean }): Promise<ZooboxNativeLocation>;
+    geofences: ZooboxGeofences;
+    hapticFeedback(type?: ZooboxHapticType): void;
+    haptics?: ZooboxHaptics;
+    capturePhoto(options?: ZooboxCapturePhotoOptions): Promise<File>;
+    push: ZooboxPush;
+    connectivity: ZooboxConnectivity;
+    alert(message?: unknown): Promise<void>;
+    confirm(message?: unknown): Promise<boolean>;
+    prompt(message?: unknown, defaultValue?: string): Promise<string | null>;
+    getSuppressedDialogs(): ZooboxSuppressedDialog[];
+    clearSuppressedDialogs(): void;
+}
+
+/** The running override install, `window.ZooboxOverrides`. */
+export interface ZooboxOverrides {
+    readonly installed: boolean;
+    configure(changes: Record<string, unknown>): Record<string, unknown>;
+    getConfig(): Record<string, unknown>;
+    uninstall(): boolean;
+}
+
+declare global {
+    interface Window {
+        ZooboxBridge?: ZooboxBridge;
+        ZooboxOverrides?: ZooboxOverrides;
+        zooboxPermissions?: ZooboxPermissions;
+        zooboxConnectivity?: Omit<ZooboxConnectivityState, 'source'>;
+    }
+
+    interface Navigator {
+        readonly connection?: ZooboxNetworkInformation;
+    }
+
+    interface WindowEventMap {
+        zooboxPermissionsUpdate: ZooboxPermissionsUpdateEvent;
+        zooboxBridgeReady: ZooboxBridgeReadyEvent;
+    }
+}
+
+export function isAvailable(): boolean;
+
+export function ready(): Promise<ZooboxBridgeInfo>;
+
+export function hasCapability(capability: string): boolean;
+
+export function call<T = unknown>(method: string, params?: Record<string, unknown>, options?: { timeout?: number }): Promise<T>;
+
+export type Unsubscribe = () => void;
+
+export interface PermissionsEventMap {
+    change: { permissions: ZooboxPermissions };
+}
+
+export namespace permissions {
+    function getAll(): ZooboxPermissions;
+    function isGranted(permission: ZooboxPermissionName): boolean;
+    function get(permission: ZooboxPermissionName): Promise<ZooboxPermissionStatus>;
+    function request(permission: ZooboxPermissionName): Promise<ZooboxPermissionStatus>;
+    function requestAll(requests: ZooboxPermissionRequest[]): Promise<ZooboxPermissionResults>;
+    function on<K extends keyof PermissionsEventMap>(type: K, listener: (event: PermissionsEventMap[K]) => void): Unsubscribe;
+}
+
+export namespace location {
+    function getCurrentPosition(options?: PositionOptions): Promise<GeolocationPosition>;
+    function watch(
+        onPosition: (position: GeolocationPosition) => void,
+        onError?: (error: GeolocationPositionError) => void,
+        options?: PositionOptions
+    ): Unsubscribe;
+}
+
+export namespace geofences {
+    function add(geofence: ZooboxGeofenceOptions): Promise<ZooboxGeofence>;
+    function remove(id: string): Promise<boolean>;
+    function list(): Promise<ZooboxGeofence[]>;
+    function on<K extends keyof ZooboxGeofenceEventMap>(type: K, listener: (event: ZooboxGeofenceEventMap[K]) => void): Unsubscribe;
+}
+
+export namespace camera {
+    function requestAccess(): Promise<boolean>;
+    function getStream(constraints?: MediaStreamConstraints): Promise<MediaStream>;
+    function capturePhoto(options?: ZooboxCapturePhotoOptions): Promise<File>;
+}
+
+export namespace connectivity {
+    function getState(): ZooboxConnectivityState;
+    function on<K extends keyof ZooboxConnectivityEventMap>(type: K, listener: (event: ZooboxConnectivityEventMap[K]) => void): Unsubscribe;
+    function enableOfflineQueue(options?: ZooboxOfflineQueueOptions): void;
+    function disableOfflineQueue(): void;
+    function getQueuedRequests(): ZooboxQueuedRequest[];
+    function clearOfflineQueue(): number;
+    function replayOfflineQueue(): Promise<number>;
+}
+
+export namespace haptics {
+    const TYPES: readonly ZooboxHapticType[];
+    function trigger(type?: ZooboxHapticType, intensity?: number): Promise<boolean>;
+    function play(pattern: ZooboxHapticPattern): Promise<boolean>;
+    function stop(): boolean;
+}
+
+export namespace push {
+    function getToken(): Promise<string | null>;
+    function on<K extends keyof ZooboxPushEventMap>(type: K, listener: (event: ZooboxPushEventMap[K]) => void): Unsubscribe;
+}
@@ -0,0 +1,11 @@
+// Zoobox bridge client. Importing this module has no side effects; every call talks to
+// window.ZooboxBridge, which the Zoobox app injects into its WebView.
+
+export { ZooboxBridgeError, call, hasCapability, isAvailable, ready } from './src/bridge.js';
+export * as permissions from './src/permissions.js';
+export * as location from './src/location.js';
+export * as geofences from './src/geofences.js';
+export * as camera from './src/camera.js';
+export * as connectivity from './src/connectivity.js';
+export * as haptics from './src/haptics.js';
+export * as push from './src/push.js';
\ No newline at end of file
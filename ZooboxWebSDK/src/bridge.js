@@ -0,0 +1,92 @@
+// Access to the page-facing window.ZooboxBridge that webview-permission-override.js installs.
+// Everything is looked up at call time so importing the SDK never touches the page.
+
+export class ZooboxBridgeError extends Error {
+    /**
+     * @param {string} code UNAVAILABLE, TIMEOUT, POST_FAILED or a code reported by native
+     * @param {string} [message]
+     */
+    constructor(code, message) {
+        super(message || 'Bridge call failed');
+        this.name = 'ZooboxBridgeError';
+        this.code = code || 'UNKNOWN';
+    }
+}
+
+export const getWindow = () => (typeof window !== 'undefined' ? window : undefined);
+
+export const getBridge = () => {
+    const win = getWindow();
+    return win && win.ZooboxBridge && typeof win.ZooboxBridge.call === 'function' ? win.ZooboxBridge : null;
+};
+
+/**
+ * Whether the page is running inside the Zoobox app with the bridge installed.
+ * @returns {boolean}
+ */
+export const isAvailable = () => getBridge() !== null;
+
+// Errors from the override script already carry a code; keep that and give callers one error class
+export const toBridgeError = (error) => {
+    if (error instanceof ZooboxBridgeError) {
+        return error;
+    }
+    return new ZooboxBridgeError(error && error.code, error && error.message);
+};
+
+export const requireBridge = () => {
+    const bridge = getBridge();
+    if (!bridge) {
+        throw new ZooboxBridgeError('UNAVAILABLE', 'ZooboxBridge not available');
+    }
+    return bridge;
+};
+
+/**
+ * Make a raw bridge call.
+ *
+ * @param {string} method
+ * @param {Object} [params]
+ * @param {{timeout?: number}} [options] milliseconds; 0 waits for native indefinitely
+ * @returns {Promise<*>}
+ */
+export const call = async (method, params, options = {}) => {
+    const bridge = requireBridge();
+    try {
+        return await bridge.call(method, params, options.timeout);
+    } catch (error) {
+        throw toBridgeError(error);
+    }
+};
+
+/**
+ * Wait for the bridge handshake.
+ * @returns {Promise<Object>} bridge version, app version, platform, idiom and capabilities
+ */
+export const ready = async () => {
+    const bridge = requireBridge();
+    if (typeof bridge.ready !== 'function') {
+        throw new ZooboxBridgeError('UNSUPPORTED', 'The injected bridge predates the handshake');
+    }
+    return bridge.ready();
+};
+
+/**
+ * Whether the app supports a capability. False until ready() has resolved.
+ * @param {string} capability a bridge method or message handler name, e.g. 'showNotification'
+ * @returns {boolean}
+ */
+export const hasCapability = (capability) => {
+    const bridge = getBridge();
+    return !!bridge && typeof bridge.hasCapability === 'function' && bridge.hasCapability(capability);
+};
+
+// Subscribe to a window event for as long as the returned function is not called
+export const listen = (type, listener) => {
+    const win = getWindow();
+    if (!win) {
+        return () => {};
+    }
+    win.addEventListener(type, listener);
+    return () => win.removeEventListener(type, listener);
+};
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { getBridge, getWindow, isAvailable, toBridgeError, ZooboxBridgeError } from './bridge.js';
+import { isGranted, request } from './permissions.js';
+
+/**
+ * Ask for camera access unless it is already granted.
+ * @returns {Promise<boolean>} whether the camera can be used
+ */
+export const requestAccess = async () => {
+    if (isGranted('camera')) {
+        return true;
+    }
+    return (await request('camera')) === 'granted';
+};
+
+/**
+ * @param {MediaStreamConstraints} [constraints]
+ * @returns {Promise<MediaStream>} rejects with a NotAllowedError DOMException without permission
+ */
+export const getStream = (constraints = { video: true }) => {
+    const win = getWindow();
+    const mediaDevices = win && win.navigator && win.navigator.mediaDevices;
+    if (!mediaDevices) {
+        return Promise.reject(new ZooboxBridgeError('UNAVAILABLE', 'Media devices not available'));
+    }
+    return mediaDevices.getUserMedia(constraints);
+};
+
+// Builds without native capture: the system picker returns the original, uncompressed file
+const pickPhotoFile = async (source) => {
+    if (source === 'camera' && isAvailable() && !(await requestAccess())) {
+        throw new ZooboxBridgeError('PERMISSION_DENIED', 'Camera permission not granted');
+    }
+    
+    const { document } = getWindow();
+    return new Promise((resolve, reject) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*';
+        if (source === 'camera') {
+            input.setAttribute('capture', 'environment');
+        }
+        input.addEventListener('change', () => {
+            if (input.files && input.files[0]) {
+                resolve(input.files[0]);
+            } else {
+                reject(new ZooboxBridgeError('CANCELLED', 'No photo selected'));
+            }
+        });
+        input.addEventListener('cancel', () => reject(new ZooboxBridgeError('CANCELLED', 'Photo capture cancelled')));
+        input.click();
+    });
+};
+
+/**
+ * Take a photo with the camera or pick one from the library.
+ *
+ * Apps that support native capture resize and re-encode the photo as asked; older builds and
+ * regular browsers fall back to the file picker, which ignores everything but source.
+ *
+ * @param {Object} [options]
+ * @param {'camera'|'library'} [options.source] defaults to 'camera'
+ * @param {number} [options.maxWidth]
+ * @param {number} [options.maxHeight]
+ * @param {number} [options.quality] 0 to 1, defaults to 0.8
+ * @param {'jpeg'|'png'} [options.format] defaults to 'jpeg'
+ * @param {boolean} [options.stripMetadata] drop EXIF and location data, defaults to true
+ * @returns {Promise<File>} rejects with CANCELLED, PERMISSION_DENIED, UNAVAILABLE, INVALID_OPTIONS or TRANSFER_FAILED
+ */
+export const capturePhoto = async (options = {}) => {
+    const bridge = getBridge();
+    if (bridge && typeof bridge.capturePhoto === 'function' && typeof bridge.ready === 'function') {
+        await bridge.ready();
+        if (bridge.hasCapability('capturePhoto')) {
+            try {
+                return await bridge.capturePhoto(options);
+            } catch (error) {
+                throw toBridgeError(error);
+            }
+        }
+    }
+    return pickPhotoFile(options.source || 'camera');
+};
\ No newline at end of file
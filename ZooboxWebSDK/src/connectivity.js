@@ -0,0 +1,93 @@
+import { getBridge, getWindow, requireBridge, ZooboxBridgeError } from './bridge.js';
+
+const EVENT_TYPES = ['change', 'queued', 'replay'];
+
+const getConnectivity = (bridge) => {
+    if (!bridge.connectivity) {
+        throw new ZooboxBridgeError('UNSUPPORTED', 'The injected bridge has no connectivity support');
+    }
+    return bridge.connectivity;
+};
+
+/**
+ * The network state. Inside the app it comes from native; elsewhere only `online` is known.
+ * @returns {{online: boolean, type: string, constrained: boolean, expensive: boolean, source: 'native'|'browser'}}
+ */
+export const getState = () => {
+    const bridge = getBridge();
+    if (bridge && bridge.connectivity) {
+        return bridge.connectivity.getState();
+    }
+    const win = getWindow();
+    return {
+        online: win ? win.navigator.onLine : true,
+        type: 'unknown',
+        constrained: false,
+        expensive: false,
+        source: 'browser'
+    };
+};
+
+/**
+ * Listen for connectivity events: 'change' carries the new state, 'queued' and 'replay' describe
+ * offline queue entries ('replay' adds the server's status and ok).
+ *
+ * @param {'change'|'queued'|'replay'} type
+ * @param {function(CustomEvent): void} listener
+ * @returns {function(): void} unsubscribe
+ */
+export const on = (type, listener) => {
+    if (EVENT_TYPES.indexOf(type) === -1) {
+        throw new TypeError(`Unknown connectivity event "${type}"`);
+    }
+    const bridge = getBridge();
+    if (!bridge || !bridge.connectivity) {
+        return () => {};
+    }
+    bridge.connectivity.addEventListener(type, listener);
+    return () => bridge.connectivity.removeEventListener(type, listener);
+};
+
+/**
+ * Queue fetch() POSTs made while the app reports the device offline, and send them in order once
+ * it is back. Queued calls resolve to a 202 response whose JSON body is { queued: true, id }.
+ * Only string and URLSearchParams bodies can be queued.
+ *
+ * @param {{match?: string|RegExp|function(string): boolean, storageKey?: string}} [options]
+ *     match is a URL prefix, pattern or predicate; by default every same-origin POST is queued
+ */
+export const enableOfflineQueue = (options) => {
+    getConnectivity(requireBridge()).enableOfflineQueue(options);
+};
+
+/** Stop queuing; requests already saved stay stored for the next enableOfflineQueue(). */
+export const disableOfflineQueue = () => {
+    const bridge = getBridge();
+    if (bridge && bridge.connectivity) {
+        bridge.connectivity.disableOfflineQueue();
+    }
+};
+
+/**
+ * Requests waiting to be sent, oldest first.
+ * @returns {Array<{id: string, url: string, method: string, queuedAt: number}>}
+ */
+export const getQueuedRequests = () => {
+    const bridge = getBridge();
+    return bridge && bridge.connectivity ? bridge.connectivity.getQueuedRequests() : [];
+};
+
+/**
+ * Drop every queued request without sending it.
+ * @returns {number} how many were dropped
+ */
+export const clearOfflineQueue = () => {
+    const bridge = getBridge();
+    return bridge && bridge.connectivity ? bridge.connectivity.clearOfflineQueue() : 0;
+};
+
+/**
+ * Send queued requests now instead of waiting for the next online report.
+ * @returns {Promise<number>} how many reached the server
+ */
+export const replayOfflineQueue = async () => getConnectivity(requireBridge()).replayOfflineQueue();
\ No newline at end of file
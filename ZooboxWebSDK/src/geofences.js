@@ -0,0 +1,62 @@
+import { getBridge, requireBridge, toBridgeError, ZooboxBridgeError } from './bridge.js';
+
+const EVENT_TYPES = ['enter', 'exit', 'dwell'];
+
+const getGeofences = (bridge) => {
+    if (!bridge.geofences) {
+        throw new ZooboxBridgeError('UNSUPPORTED', 'The injected bridge has no geofence support');
+    }
+    return bridge.geofences;
+};
+
+const callGeofences = async (method, ...args) => {
+    const geofences = getGeofences(requireBridge());
+    try {
+        return await geofences[method](...args);
+    } catch (error) {
+        throw toBridgeError(error);
+    }
+};
+
+/**
+ * Start monitoring a circular region. Adding an id that exists replaces it.
+ *
+ * @param {{id: string, lat: number, lng: number, radius: number, dwellTime?: number}} geofence
+ *     radius in meters; dwellTime in milliseconds inside the region before 'dwell' (default 2 minutes)
+ * @returns {Promise<Object>} the geofence as native monitors it; the radius may be clamped. Rejects
+ *   with UNSUPPORTED when the app does not list addGeofence in its handshake
+ */
+export const add = (geofence) => callGeofences('add', geofence);
+
+/**
+ * Stop monitoring a region.
+ * @param {string} id
+ * @returns {Promise<boolean>} whether it was being monitored
+ */
+export const remove = (id) => callGeofences('remove', id);
+
+/**
+ * Every monitored region, including ones added on earlier page loads.
+ * @returns {Promise<Object[]>}
+ */
+export const list = () => callGeofences('list');
+
+/**
+ * Listen for region events. event.detail is { id, type, timestamp, queued, geofence }; queued is
+ * true for events that happened while the app was in the background.
+ *
+ * @param {'enter'|'exit'|'dwell'} type
+ * @param {function(CustomEvent): void} listener
+ * @returns {function(): void} unsubscribe
+ */
+export const on = (type, listener) => {
+    if (EVENT_TYPES.indexOf(type) === -1) {
+        throw new TypeError(`Unknown geofence event "${type}"`);
+    }
+    const bridge = getBridge();
+    if (!bridge || !bridge.geofences) {
+        return () => {};
+    }
+    bridge.geofences.addEventListener(type, listener);
+    return () => bridge.geofences.removeEventListener(type, listener);
+};
\ No newline at end of file
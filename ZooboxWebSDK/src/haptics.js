@@ -0,0 +1,53 @@
+import { getBridge, getWindow } from './bridge.js';
+
+/** Haptic names: impact styles, notification styles and 'selection'. */
+export const TYPES = Object.freeze(['light', 'medium', 'heavy', 'soft', 'rigid', 'success', 'warning', 'error', 'selection']);
+
+// ZooboxBridge.haptics comes from webview-haptics.js, which apps inject without the override script
+const getHaptics = () => {
+    const win = getWindow();
+    return win && win.ZooboxBridge && win.ZooboxBridge.haptics ? win.ZooboxBridge.haptics : null;
+};
+
+/**
+ * Play haptic feedback.
+ *
+ * @param {string} [type] one of TYPES
+ * @param {number} [intensity] 0 to 1, impact styles only
+ * @returns {Promise<boolean>} false outside the app, where there is nothing to play
+ */
+export const trigger = async (type = 'light', intensity) => {
+    const haptics = getHaptics();
+    if (haptics) {
+        return haptics.trigger(type, intensity);
+    }
+    
+    // Builds without webview-haptics.js only know the plain style strings
+    const bridge = getBridge();
+    if (!bridge) {
+        return false;
+    }
+    bridge.hapticFeedback(type);
+    return true;
+};
+
+/**
+ * Play a preset ('doubleTap', 'heartbeat', 'knock', 'rampUp') or a list of steps, each a haptic
+ * name or { haptic, intensity, delay } with delay in milliseconds after the previous step.
+ *
+ * @param {string|Array<string|Object>} pattern
+ * @returns {Promise<boolean>} true when it finished, false when stopped, replaced or unsupported
+ */
+export const play = async (pattern) => {
+    const haptics = getHaptics();
+    return haptics ? haptics.play(pattern) : false;
+};
+
+/**
+ * Stop the pattern that is playing.
+ * @returns {boolean} whether one was playing
+ */
+export const stop = () => {
+    const haptics = getHaptics();
+    return haptics ? haptics.stop() : false;
+};
\ No newline at end of file
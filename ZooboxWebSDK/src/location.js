@@ -0,0 +1,41 @@
+import { getWindow, ZooboxBridgeError } from './bridge.js';
+
+const getGeolocation = () => {
+    const win = getWindow();
+    const geolocation = win && win.navigator && win.navigator.geolocation;
+    if (!geolocation) {
+        throw new ZooboxBridgeError('UNAVAILABLE', 'Geolocation not available');
+    }
+    return geolocation;
+};
+
+// The override script routes navigator.geolocation through native when location is granted,
+// so going through it keeps caching, timeouts and permission handling in one place
+
+/**
+ * @param {PositionOptions} [options]
+ * @returns {Promise<GeolocationPosition>} rejects with a GeolocationPositionError
+ */
+export const getCurrentPosition = (options) => new Promise((resolve, reject) => {
+    getGeolocation().getCurrentPosition(resolve, reject, options);
+});
+
+/**
+ * Receive position updates until the returned function is called.
+ *
+ * @param {function(GeolocationPosition): void} onPosition
+ * @param {function(GeolocationPositionError): void} [onError]
+ * @param {PositionOptions} [options]
+ * @returns {function(): void} stop watching
+ */
+export const watch = (onPosition, onError, options) => {
+    const geolocation = getGeolocation();
+    const watchId = geolocation.watchPosition(onPosition, onError, options);
+    let stopped = false;
+    return () => {
+        if (!stopped) {
+            stopped = true;
+            geolocation.clearWatch(watchId);
+        }
+    };
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+import { call, getBridge, getWindow, listen, requireBridge, toBridgeError, ZooboxBridgeError } from './bridge.js';
+
+/**
+ * Permission statuses as last reported by native, e.g. { location: 'granted', camera: 'denied' }.
+ * @returns {Object<string, string>}
+ */
+export const getAll = () => {
+    const win = getWindow();
+    return Object.assign({}, win && win.zooboxPermissions);
+};
+
+/**
+ * @param {string} permission location, camera, microphone or notifications
+ * @returns {boolean}
+ */
+export const isGranted = (permission) => {
+    const bridge = getBridge();
+    return bridge ? bridge.isPermissionGranted(permission) : getAll()[permission] === 'granted';
+};
+
+/**
+ * Current status of one permission, asking native when it has not reported one yet.
+ *
+ * @param {string} permission
+ * @returns {Promise<string>} granted, denied, restricted or notDetermined
+ */
+export const get = async (permission) => {
+    const known = getAll()[permission];
+    if (known) {
+        return known;
+    }
+    return call('checkPermission', { permission });
+};
+
+/**
+ * Show the native prompt (or Settings guidance) for a permission.
+ *
+ * @param {string} permission
+ * @returns {Promise<string>} the status native reports afterwards
+ */
+export const request = async (permission) => {
+    const bridge = requireBridge();
+    try {
+        return await bridge.requestPermission(permission);
+    } catch (error) {
+        throw toBridgeError(error);
+    }
+};
+
+/**
+ * Ask for several permissions in one native flow, with an optional explanation for each.
+ *
+ * @param {Array<string|{name: string, rationale?: string}>} requests
+ * @returns {Promise<Object<string, {status: string, settingsRequired: boolean}>>} a result per
+ *     permission; settingsRequired means only the Settings app can change the answer
+ */
+export const requestAll = async (requests) => {
+    const bridge = requireBridge();
+    if (!bridge.requestPermissions) {
+        throw new ZooboxBridgeError('UNSUPPORTED', 'The injected bridge cannot request several permissions at once');
+    }
+    try {
+        return await bridge.requestPermissions(requests);
+    } catch (error) {
+        throw toBridgeError(error);
+    }
+};
+
+/**
+ * Listen for permission changes pushed by native.
+ *
+ * @param {'change'} type
+ * @param {function({permissions: Object<string, string>}): void} listener
+ * @returns {function(): void} unsubscribe
+ */
+export const on = (type, listener) => {
+    if (type !== 'change') {
+        throw new TypeError(`Unknown permissions event "${type}"`);
+    }
+    return listen('zooboxPermissionsUpdate', (event) => {
+        listener({ permissions: Object.assign({}, event.detail) });
+    });
+};
\ No newline at end of file
@@ -0,0 +1,45 @@
+import { getBridge, requireBridge, toBridgeError, ZooboxBridgeError } from './bridge.js';
+
+const EVENT_TYPES = ['tokenchange', 'notification', 'deeplink'];
+
+const getPush = (bridge) => {
+    if (!bridge.push) {
+        throw new ZooboxBridgeError('UNSUPPORTED', 'The injected bridge has no push support');
+    }
+    return bridge.push;
+};
+
+/**
+ * The device's FCM token.
+ * @returns {Promise<string|null>} null until Firebase has issued one; rejects with UNSUPPORTED
+ *   when the app does not list getPushToken in its handshake
+ */
+export const getToken = async () => {
+    const push = getPush(requireBridge());
+    try {
+        return await push.getToken();
+    } catch (error) {
+        throw toBridgeError(error);
+    }
+};
+
+/**
+ * Listen for push events. Listeners get the CustomEvent; call preventDefault() on a deeplink
+ * event after routing it client-side, or on a notification after showing it in the page, so the
+ * app does not also navigate or show its banner.
+ *
+ * @param {'tokenchange'|'notification'|'deeplink'} type
+ * @param {function(CustomEvent): void} listener
+ * @returns {function(): void} unsubscribe
+ */
+export const on = (type, listener) => {
+    if (EVENT_TYPES.indexOf(type) === -1) {
+        throw new TypeError(`Unknown push event "${type}"`);
+    }
+    const bridge = getBridge();
+    if (!bridge || !bridge.push) {
+        return () => {};
+    }
+    bridge.push.addEventListener(type, listener);
+    return () => bridge.push.removeEventListener(type, listener);
+};
\ No newline at end of file
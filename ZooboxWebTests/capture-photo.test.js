@@ -0,0 +1,145 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_CAPABILITIES, openWebView } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const PHOTO_BYTES = Buffer.from('\xff\xd8\xff\xe0 not really a jpeg \xff\xd9', 'latin1');
+
+const readFile = (window, file) => new Promise((resolve) => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(Buffer.from(reader.result));
+    reader.readAsArrayBuffer(file);
+});
+
+test('capturePhoto reassembles chunks sent out of order into a File', async () => {
+    webView = await openWebView({ permissions: { camera: 'granted' } });
+    const { ZooboxBridge } = webView.window;
+
+    const result = ZooboxBridge.capturePhoto({ maxWidth: 1600, quality: 0.7 });
+    const call = webView.lastBridgeCall('capturePhoto');
+    assert.deepEqual(call.params, {
+        source: 'camera',
+        maxWidth: 1600,
+        maxHeight: null,
+        quality: 0.7,
+        format: 'jpeg',
+        stripMetadata: true,
+        transferId: 'photo-1'
+    });
+
+    const chunks = [PHOTO_BYTES.subarray(0, 10), PHOTO_BYTES.subarray(10)].map((part) => part.toString('base64'));
+    ZooboxBridge._receiveChunk('photo-1', 1, chunks[1]);
+    ZooboxBridge._receiveChunk('photo-1', 0, chunks[0]);
+    webView.resolve(call, { name: 'proof.jpg', type: 'image/jpeg', lastModified: 1720000000000, chunkCount: 2 });
+    const file = await result;
+
+    assert.ok(file instanceof webView.window.File);
+    assert.equal(file.name, 'proof.jpg');
+    assert.equal(file.type, 'image/jpeg');
+    assert.equal(file.lastModified, 1720000000000);
+    assert.deepEqual(await readFile(webView.window, file), PHOTO_BYTES);
+});
+
+test('capturePhoto accepts small photos inline in the reply', async () => {
+    webView = await openWebView({ permissions: { camera: 'granted' } });
+
+    const result = webView.window.ZooboxBridge.capturePhoto({ source: 'library', format: 'png' });
+    webView.resolve(webView.lastBridgeCall('capturePhoto'), { name: 'receipt.png', type: 'image/png', data: PHOTO_BYTES.toString('base64') });
+    const file = await result;
+
+    assert.equal(file.type, 'image/png');
+    assert.deepEqual(await readFile(webView.window, file), PHOTO_BYTES);
+});
+
+test('capturePhoto rejects with TRANSFER_FAILED when chunks are missing', async () => {
+    webView = await openWebView({ permissions: { camera: 'granted' } });
+    const { ZooboxBridge } = webView.window;
+
+    const result = ZooboxBridge.capturePhoto();
+    ZooboxBridge._receiveChunk('photo-1', 0, 'AAAA');
+    webView.resolve(webView.lastBridgeCall('capturePhoto'), { name: 'proof.jpg', type: 'image/jpeg', chunkCount: 3 });
+
+    await assert.rejects(result, { name: 'ZooboxBridgeError', code: 'TRANSFER_FAILED' });
+});
+
+test('capturePhoto rejects with TRANSFER_FAILED when a chunk in the middle is missing', async () => {
+    webView = await openWebView({ permissions: { camera: 'granted' } });
+    const { ZooboxBridge } = webView.window;
+
+    const result = ZooboxBridge.capturePhoto();
+    ZooboxBridge._receiveChunk('photo-1', 0, 'QUJD');
+    ZooboxBridge._receiveChunk('photo-1', 2, 'REVG');
+    webView.resolve(webView.lastBridgeCall('capturePhoto'), { name: 'proof.jpg', type: 'image/jpeg', chunkCount: 3 });
+
+    await assert.rejects(result, { code: 'TRANSFER_FAILED', message: 'Chunk 1 is missing' });
+});
+
+test('chunks for unknown or finished transfers are dropped', async () => {
+    webView = await openWebView({ permissions: { camera: 'granted' } });
+    const { ZooboxBridge } = webView.window;
+
+    assert.equal(ZooboxBridge._receiveChunk('photo-9', 0, 'AAAA'), false);
+
+    const result = ZooboxBridge.capturePhoto();
+    assert.equal(ZooboxBridge._receiveChunk('photo-1', 0, 'AAAA'), true);
+    webView.reject(webView.lastBridgeCall('capturePhoto'), { code: 'TIMEOUT', message: 'Took too long' });
+    await assert.rejects(result, { code: 'TIMEOUT' });
+
+    assert.equal(ZooboxBridge._receiveChunk('photo-1', 1, 'AAAA'), false);
+});
+
+test('capturePhoto rejects with UNSUPPORTED when the handshake does not list it', async () => {
+    webView = await openWebView({ permissions: { camera: 'granted' }, capabilities: APP_CAPABILITIES });
+
+    await assert.rejects(webView.window.ZooboxBridge.capturePhoto(), { code: 'UNSUPPORTED' });
+
+    assert.equal(webView.bridgeCalls('capturePhoto').length, 0);
+});
+
+for (const code of ['CANCELLED', 'PERMISSION_DENIED', 'UNAVAILABLE']) {
+    test(`capturePhoto passes native ${code} rejections through`, async () => {
+        webView = await openWebView({ permissions: { camera: 'notDetermined' } });
+
+        const result = webView.window.ZooboxBridge.capturePhoto();
+        webView.reject(webView.lastBridgeCall('capturePhoto'), { code, message: 'No photo' });
+
+        await assert.rejects(result, { name: 'ZooboxBridgeError', code });
+    });
+}
+
+for (const state of ['denied', 'restricted']) {
+    test(`capturePhoto from the camera fails fast when camera is ${state}`, async () => {
+        webView = await openWebView({ permissions: { camera: state } });
+
+        await assert.rejects(webView.window.ZooboxBridge.capturePhoto(), { code: 'PERMISSION_DENIED' });
+
+        assert.equal(webView.bridgeCalls('capturePhoto').length, 0);
+        assert.deepEqual(webView.lastBridgeCall('requestPermission').params, { permission: 'camera' });
+    });
+}
+
+test('capturePhoto from the library does not need camera permission', async () => {
+    webView = await openWebView({ permissions: { camera: 'denied' } });
+
+    webView.window.ZooboxBridge.capturePhoto({ source: 'library' });
+
+    assert.equal(webView.bridgeCalls('capturePhoto').length, 1);
+});
+
+for (const options of [{ source: 'scanner' }, { format: 'heic' }, { quality: 1.5 }, { maxWidth: 0 }]) {
+    test(`capturePhoto rejects invalid options ${JSON.stringify(options)}`, async () => {
+        webView = await openWebView({ permissions: { camera: 'granted' } });
+
+        await assert.rejects(webView.window.ZooboxBridge.capturePhoto(options), { code: 'INVALID_OPTIONS' });
+
+        assert.equal(webView.bridgeCalls('capturePhoto').length, 0);
+    });
+}
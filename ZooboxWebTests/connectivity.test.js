@@ -0,0 +1,189 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const OFFLINE = { online: false };
+const WIFI = { online: true, type: 'wifi', constrained: false, expensive: false };
+
+const fetchCalls = () => webView.browserCalls.filter((call) => call.api === 'fetch').map((call) => call.args);
+
+test('navigator.onLine follows the browser until native reports', () => {
+    webView = createWebView({ permissions: {} });
+    const { window } = webView;
+
+    assert.equal(window.navigator.onLine, true);
+    assert.equal(window.navigator.connection.type, 'unknown');
+    assert.equal(window.ZooboxBridge.connectivity.getState().source, 'browser');
+});
+
+test('native connectivity drives navigator.onLine, navigator.connection and events', () => {
+    webView = createWebView({ permissions: {}, connectivity: WIFI });
+    const { window } = webView;
+    const events = [];
+
+    window.addEventListener('online', () => events.push('online'));
+    window.addEventListener('offline', () => events.push('offline'));
+    window.navigator.connection.onchange = () => events.push('change:' + window.navigator.connection.type);
+    assert.equal(window.navigator.connection.type, 'wifi');
+
+    window.ZooboxBridge._updateConnectivity(OFFLINE);
+    assert.equal(window.navigator.onLine, false);
+    assert.equal(window.navigator.connection.type, 'none');
+
+    window.ZooboxBridge._updateConnectivity({ online: true, type: 'cellular', constrained: true, expensive: true });
+    assert.equal(window.navigator.onLine, true);
+    assert.equal(window.navigator.connection.saveData, true);
+    assert.equal(window.navigator.connection.expensive, true);
+
+    // Same state again: nothing to report
+    window.ZooboxBridge._updateConnectivity({ online: true, type: 'cellular', constrained: true, expensive: true });
+
+    assert.deepEqual(events, ['offline', 'change:none', 'online', 'change:cellular']);
+    assert.deepEqual(JSON.parse(JSON.stringify(window.ZooboxBridge.connectivity.getState())), {
+        source: 'native', online: true, type: 'cellular', constrained: true, expensive: true
+    });
+});
+
+test('WebKit online/offline events are suppressed once native is authoritative', () => {
+    webView = createWebView({ permissions: {} });
+    const events = [];
+    webView.window.addEventListener('offline', () => events.push('offline'));
+
+    webView.browserEvent('offline');
+    webView.window.ZooboxBridge._updateConnectivity(WIFI);
+    webView.browserEvent('offline');
+
+    assert.deepEqual(events, ['offline']);
+});
+
+test('malformed connectivity updates are ignored', () => {
+    webView = createWebView({ permissions: {}, connectivity: WIFI });
+    webView.window.ZooboxBridge._updateConnectivity({ type: 'wifi' });
+    assert.equal(webView.window.navigator.onLine, true);
+});
+
+test('POSTs made offline are queued only after the page opts in', async () => {
+    webView = createWebView({ permissions: {}, connectivity: OFFLINE });
+    const { window } = webView;
+
+    await window.fetch('/api/orders', { method: 'POST', body: '{"id":1}' });
+    assert.equal(fetchCalls().length, 1);
+
+    const queued = [];
+    window.ZooboxBridge.connectivity.onqueued = (event) => queued.push(event.detail.url);
+    window.ZooboxBridge.connectivity.enableOfflineQueue();
+
+    const response = await window.fetch('/api/orders', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"id":2}' });
+    await window.fetch('/api/orders?page=1');
+    await window.fetch('https://maps.example.com/log', { method: 'POST', body: 'x' });
+
+    assert.equal(response.status, 202);
+    assert.equal((await response.json()).queued, true);
+    assert.deepEqual(queued, ['https://zoobox.site/api/orders']);
+    // The GET and the cross-origin POST still went to the network
+    assert.equal(fetchCalls().length, 3);
+
+    const stored = JSON.parse(window.localStorage.getItem('zoobox.offlineQueue'));
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].body, '{"id":2}');
+    assert.deepEqual(stored[0].headers, [['content-type', 'application/json']]);
+});
+
+test('queued requests replay in order when native reports the connection is back', async () => {
+    webView = createWebView({ permissions: {}, connectivity: OFFLINE });
+    const { window } = webView;
+    const { connectivity } = window.ZooboxBridge;
+    const replayed = [];
+
+    connectivity.enableOfflineQueue({ match: /\/api\/orders$/ });
+    connectivity.onreplay = (event) => replayed.push(event.detail.status);
+    await window.fetch('/api/orders', { method: 'POST', body: 'first' });
+    await window.fetch('/api/orders', { method: 'POST', body: new window.URLSearchParams({ item: 'second' }) });
+    assert.equal(fetchCalls().length, 0);
+
+    window.ZooboxBridge._updateConnectivity(WIFI);
+    await tick();
+
+    assert.deepEqual(fetchCalls().map(([url, init]) => [url, init.method, init.body]), [
+        ['https://zoobox.site/api/orders', 'POST', 'first'],
+        ['https://zoobox.site/api/orders', 'POST', 'item=second']
+    ]);
+    assert.deepEqual(replayed, [200, 200]);
+    assert.equal(connectivity.getQueuedRequests().length, 0);
+    assert.equal(window.localStorage.getItem('zoobox.offlineQueue'), '[]');
+});
+
+test('a network error during replay keeps the rest of the queue for later', async () => {
+    let failNext = true;
+    webView = createWebView({
+        permissions: {},
+        connectivity: OFFLINE,
+        fetch: () => (failNext ? Promise.reject(new TypeError('Load failed')) : Promise.resolve(new Response(null, { status: 201 })))
+    });
+    const { window } = webView;
+    const { connectivity } = window.ZooboxBridge;
+
+    connectivity.enableOfflineQueue();
+    await window.fetch('/api/orders', { method: 'POST', body: 'a' });
+    await window.fetch('/api/orders', { method: 'POST', body: 'b' });
+
+    window.ZooboxBridge._updateConnectivity(WIFI);
+    await tick();
+    assert.equal(fetchCalls().length, 1);
+    assert.equal(connectivity.getQueuedRequests().length, 2);
+
+    failNext = false;
+    assert.equal(await connectivity.replayOfflineQueue(), 2);
+    assert.deepEqual(fetchCalls().map(([, init]) => init.body), ['a', 'a', 'b']);
+});
+
+test('a server that cannot take the request yet keeps it queued, a refusal removes it', async () => {
+    const statuses = [503, 429, 408, 400, 201];
+    webView = createWebView({
+        permissions: {},
+        connectivity: OFFLINE,
+        fetch: () => Promise.resolve(new Response(null, { status: statuses.shift() }))
+    });
+    const { window } = webView;
+    const { connectivity } = window.ZooboxBridge;
+    const replayed = [];
+
+    connectivity.enableOfflineQueue();
+    connectivity.onreplay = (event) => replayed.push(event.detail.status);
+    await window.fetch('/api/orders', { method: 'POST', body: 'a' });
+    await window.fetch('/api/orders', { method: 'POST', body: 'b' });
+
+    window.ZooboxBridge._updateConnectivity(WIFI);
+    await tick();
+    assert.equal(connectivity.getQueuedRequests().length, 2);
+    assert.equal(await connectivity.replayOfflineQueue(), 0);
+    assert.equal(await connectivity.replayOfflineQueue(), 0);
+    assert.equal(connectivity.getQueuedRequests().length, 2);
+
+    assert.equal(await connectivity.replayOfflineQueue(), 2);
+    assert.deepEqual(fetchCalls().map(([, init]) => init.body), ['a', 'a', 'a', 'a', 'b']);
+    assert.deepEqual(replayed, [400, 201]);
+    assert.equal(connectivity.getQueuedRequests().length, 0);
+});
+
+test('requests stored by an earlier visit replay when the queue is enabled online', async () => {
+    webView = createWebView({ permissions: {}, connectivity: WIFI });
+    const { window } = webView;
+    window.localStorage.setItem('zoobox.offlineQueue', JSON.stringify([{
+        id: 'q1', url: 'https://zoobox.site/api/orders', method: 'POST', headers: [], body: 'stored', credentials: null, queuedAt: 1
+    }]));
+
+    window.ZooboxBridge.connectivity.enableOfflineQueue();
+    await tick();
+
+    assert.deepEqual(fetchCalls().map(([url, init]) => [url, init.body]), [['https://zoobox.site/api/orders', 'stored']]);
+});
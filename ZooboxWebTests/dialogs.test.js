@@ -0,0 +1,142 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_CAPABILITIES, openWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const LOCATION_PROMPT = 'zoobox.site would like to use your current location';
+
+const openWithPolicy = async (dialogPolicy, capabilities) => {
+    webView = await openWebView({ config: { dialogPolicy }, capabilities });
+    return webView;
+};
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const dialogCalls = () => webView.browserCalls.map((call) => call.api);
+
+test('exact rules match the whole message only', async () => {
+    await openWithPolicy({ rules: [{ action: 'deny', exact: 'Allow location access?' }] });
+    const { window } = webView;
+
+    assert.equal(window.confirm('Allow location access?'), false);
+    assert.equal(window.confirm('Allow location access? Please'), true);
+    assert.deepEqual(dialogCalls(), ['confirm']);
+});
+
+test('regex rules use their flags, and the first matching rule wins', async () => {
+    await openWithPolicy({
+        rules: [
+            { action: 'allow', regex: 'precise location', flags: 'i' },
+            { action: 'deny', regex: 'would like to use your (current|precise) location', flags: 'i' }
+        ]
+    });
+    const { window } = webView;
+
+    assert.equal(window.confirm(LOCATION_PROMPT.toUpperCase()), false);
+    assert.equal(window.confirm('Would like to use your PRECISE location'), true);
+    assert.equal(window.confirm('Delete this order?'), true);
+    assert.deepEqual(dialogCalls(), ['confirm', 'confirm']);
+});
+
+test('rules with dialogs only apply to those dialog types', async () => {
+    await openWithPolicy({ rules: [{ action: 'deny', regex: 'location', dialogs: ['confirm', 'prompt'] }] });
+    const { window } = webView;
+
+    window.alert(LOCATION_PROMPT);
+    assert.equal(window.confirm(LOCATION_PROMPT), false);
+    assert.equal(window.prompt(LOCATION_PROMPT, 'yes'), null);
+    assert.deepEqual(dialogCalls(), ['alert']);
+});
+
+test('defaultAction deny suppresses dialogs no rule allows', async () => {
+    await openWithPolicy({ defaultAction: 'deny', rules: [{ action: 'allow', exact: 'Order placed' }] });
+    const { window } = webView;
+
+    assert.equal(window.alert('Order placed'), undefined);
+    assert.equal(window.alert('Rate us!'), undefined);
+    assert.deepEqual(dialogCalls(), ['alert']);
+});
+
+test('rules without an action or pattern, or with a bad regex, are ignored', async () => {
+    await openWithPolicy({
+        rules: [
+            { regex: 'location' },
+            { action: 'deny' },
+            { action: 'deny', regex: '(' },
+            { action: 'deny', exact: 'Rate us!' }
+        ]
+    });
+    const { window } = webView;
+
+    assert.equal(window.confirm(LOCATION_PROMPT), true);
+    assert.equal(window.confirm('Rate us!'), false);
+    assert.deepEqual(dialogCalls(), ['confirm']);
+});
+
+test('suppressed dialogs are logged with their rule, up to maxSuppressedLog', async () => {
+    const rule = { action: 'deny', regex: '^Promo' };
+    await openWithPolicy({ rules: [rule], maxSuppressedLog: 2 });
+    const { window } = webView;
+    const { ZooboxBridge } = window;
+
+    window.alert('Promo 1');
+    window.confirm('Promo 2');
+    window.prompt('Promo 3');
+    window.alert('Order placed');
+
+    const log = ZooboxBridge.getSuppressedDialogs();
+    assert.deepEqual(plain(log.map((entry) => [entry.type, entry.message])), [['confirm', 'Promo 2'], ['prompt', 'Promo 3']]);
+    assert.deepEqual(plain(log[0].rule), rule);
+    assert.equal(typeof log[0].timestamp, 'number');
+
+    // Callers get copies
+    log[0].message = 'changed';
+    assert.equal(ZooboxBridge.getSuppressedDialogs()[0].message, 'Promo 2');
+
+    ZooboxBridge.clearSuppressedDialogs();
+    assert.equal(ZooboxBridge.getSuppressedDialogs().length, 0);
+});
+
+test('configure replaces the rules at runtime', async () => {
+    await openWithPolicy({ rules: [{ action: 'deny', exact: 'Rate us!' }] });
+    const { window } = webView;
+
+    window.ZooboxOverrides.configure({ dialogPolicy: { rules: [{ action: 'deny', exact: 'Order placed' }] } });
+    assert.equal(window.confirm('Rate us!'), true);
+    assert.equal(window.confirm('Order placed'), false);
+});
+
+test('routeToNative sends allowed alerts over the bridge once native lists showDialog', async () => {
+    await openWithPolicy({ routeToNative: true, rules: [{ action: 'deny', exact: 'Rate us!' }] });
+    const { window } = webView;
+
+    assert.equal(window.alert('Order placed'), undefined);
+    window.alert('Rate us!');
+    assert.equal(window.confirm('Leave the page?'), true);
+
+    const calls = webView.bridgeCalls('showDialog');
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].params, { type: 'alert', message: 'Order placed', defaultValue: null });
+    // confirm has to answer synchronously, so it stays on WebKit's panel
+    assert.deepEqual(dialogCalls(), ['confirm']);
+
+    // Dismissal and failures are not the page's concern
+    webView.reject(calls[0], { code: 'UNAVAILABLE', message: 'No view controller' });
+    await tick();
+});
+
+test('routeToNative keeps WebKit alerts when native does not list showDialog', async () => {
+    await openWithPolicy({ routeToNative: true }, APP_CAPABILITIES);
+
+    webView.window.alert('Order placed');
+    assert.equal(webView.bridgeCalls('showDialog').length, 0);
+    assert.deepEqual(dialogCalls(), ['alert']);
+});
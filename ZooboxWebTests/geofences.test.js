@@ -0,0 +1,124 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openWebView, tick, APP_CAPABILITIES } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const PICKUP = { id: 'pickup-12345', lat: 36.1911, lng: 44.0092, radius: 150 };
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('add validates the region and sends it to native', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { geofences } = webView.window.ZooboxBridge;
+
+    await assert.rejects(geofences.add({ id: 'x', lat: 95, lng: 44, radius: 100 }), { code: 'INVALID_OPTIONS' });
+    await assert.rejects(geofences.add({ id: 'x', lat: 36, lng: 44, radius: 0 }), { code: 'INVALID_OPTIONS' });
+    await assert.rejects(geofences.add({ lat: 36, lng: 44, radius: 100 }), { code: 'INVALID_OPTIONS' });
+    assert.equal(webView.bridgeCalls('addGeofence').length, 0);
+
+    const added = geofences.add(PICKUP);
+    const call = webView.lastBridgeCall('addGeofence');
+    assert.deepEqual(call.params, Object.assign({ dwellTime: 120000 }, PICKUP));
+
+    // Native may clamp the radius
+    webView.resolve(call, { radius: 200 });
+    assert.deepEqual(plain(await added), Object.assign({}, PICKUP, { radius: 200, dwellTime: 120000 }));
+});
+
+test('add rejects without location permission and prompts through native', async () => {
+    webView = await openWebView({ permissions: { location: 'denied' } });
+
+    await assert.rejects(webView.window.ZooboxBridge.geofences.add(PICKUP), { code: 'PERMISSION_DENIED' });
+    assert.equal(webView.bridgeCalls('addGeofence').length, 0);
+    assert.deepEqual(webView.lastBridgeCall('requestPermission').params, { permission: 'location' });
+});
+
+test('list and remove go to native', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { geofences } = webView.window.ZooboxBridge;
+
+    const list = geofences.list();
+    webView.resolve(webView.lastBridgeCall('listGeofences'), [Object.assign({ dwellTime: 60000 }, PICKUP)]);
+    assert.deepEqual((await list).map((geofence) => geofence.id), ['pickup-12345']);
+
+    const removed = geofences.remove('pickup-12345');
+    assert.deepEqual(webView.lastBridgeCall('removeGeofence').params, { id: 'pickup-12345' });
+    webView.resolve(webView.lastBridgeCall('removeGeofence'), true);
+    assert.equal(await removed, true);
+});
+
+test('geofencing rejects with UNSUPPORTED when the app does not monitor regions', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' }, capabilities: APP_CAPABILITIES });
+    const { geofences } = webView.window.ZooboxBridge;
+
+    geofences.addEventListener('enter', () => {});
+    await assert.rejects(geofences.add(PICKUP), { code: 'UNSUPPORTED' });
+    await assert.rejects(geofences.remove('pickup-12345'), { code: 'UNSUPPORTED' });
+    await assert.rejects(geofences.list(), { code: 'UNSUPPORTED' });
+    await tick();
+    assert.deepEqual(webView.bridgeCalls().map((call) => call.method), ['getBridgeInfo']);
+});
+
+test('enter, exit and dwell events reach listeners with the geofence they belong to', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { ZooboxBridge } = webView.window;
+    const received = [];
+
+    const added = ZooboxBridge.geofences.add(PICKUP);
+    webView.resolve(webView.lastBridgeCall('addGeofence'), {});
+    await added;
+
+    ZooboxBridge.geofences.onenter = (event) => received.push(event.detail);
+    ZooboxBridge.geofences.addEventListener('exit', (event) => received.push(event.detail));
+    ZooboxBridge._dispatchGeofenceEvents([
+        { eventId: 'e1', id: 'pickup-12345', type: 'enter', timestamp: 1000 },
+        { eventId: 'e2', id: 'pickup-12345', type: 'exit', timestamp: 2000 },
+        { eventId: 'e1', id: 'pickup-12345', type: 'enter', timestamp: 1000 }
+    ]);
+
+    assert.deepEqual(plain(received), [
+        { id: 'pickup-12345', type: 'enter', timestamp: 1000, queued: false, geofence: Object.assign({}, PICKUP, { dwellTime: 120000 }) },
+        { id: 'pickup-12345', type: 'exit', timestamp: 2000, queued: false, geofence: Object.assign({}, PICKUP, { dwellTime: 120000 }) }
+    ]);
+});
+
+test('events held by native while suspended are collected on resume', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { window } = webView;
+    const received = [];
+
+    window.ZooboxBridge.geofences.addEventListener('dwell', (event) => received.push(event.detail));
+    webView.resolve(webView.lastBridgeCall('takeGeofenceEvents'), []);
+
+    Object.defineProperty(window.document, 'visibilityState', { configurable: true, value: 'visible' });
+    window.document.dispatchEvent(new window.Event('visibilitychange'));
+    const take = webView.lastBridgeCall('takeGeofenceEvents');
+    assert.equal(webView.bridgeCalls('takeGeofenceEvents').length, 2);
+    webView.resolve(take, [{ eventId: 'e7', id: 'dropoff-1', type: 'dwell', timestamp: 5000 }]);
+    await tick();
+
+    assert.deepEqual(plain(received), [{ id: 'dropoff-1', type: 'dwell', timestamp: 5000, queued: true, geofence: null }]);
+});
+
+test('events that arrive before the page listens are delivered to its first listener', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { ZooboxBridge } = webView.window;
+    const received = [];
+
+    assert.equal(webView.bridgeCalls('takeGeofenceEvents').length, 0);
+    ZooboxBridge._dispatchGeofenceEvents({ eventId: 'e1', id: 'pickup-12345', type: 'enter', timestamp: 1000 });
+
+    ZooboxBridge.geofences.addEventListener('enter', (event) => received.push(event.detail.id));
+    assert.deepEqual(received, []);
+    await tick();
+
+    assert.deepEqual(received, ['pickup-12345']);
+});
@@ -0,0 +1,145 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PERMISSION_STATES, nativeFix, openWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const getCurrentPosition = (options) => new Promise((resolve) => {
+    webView.window.navigator.geolocation.getCurrentPosition(
+        (position) => resolve({ position }),
+        (error) => resolve({ error }),
+        options
+    );
+});
+
+test('getCurrentPosition resolves with a normalized native fix when location is granted', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+
+    const result = getCurrentPosition();
+    const call = webView.lastBridgeCall('getCurrentLocation');
+    webView.resolve(call, nativeFix({ coords: { latitude: 36.2, longitude: 44.1, speed: -1 }, timestamp: 1720000000000 }));
+    const { position } = await result;
+
+    assert.equal(position.coords.latitude, 36.2);
+    assert.equal(position.coords.longitude, 44.1);
+    assert.equal(position.coords.speed, null);
+    assert.equal(position.timestamp, 1720000000000);
+    assert.deepEqual(JSON.parse(JSON.stringify(position)).coords, {
+        latitude: 36.2,
+        longitude: 44.1,
+        accuracy: 5,
+        altitude: 412,
+        altitudeAccuracy: 3,
+        heading: 90,
+        speed: null
+    });
+});
+
+test('concurrent getCurrentPosition callers each receive their own reply', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+
+    const first = getCurrentPosition();
+    const second = getCurrentPosition();
+    const [firstCall, secondCall] = webView.bridgeCalls('getCurrentLocation');
+
+    assert.notEqual(firstCall.id, secondCall.id);
+    webView.resolve(secondCall, nativeFix({ coords: { latitude: 2 } }));
+    webView.resolve(firstCall, nativeFix({ coords: { latitude: 1 } }));
+
+    assert.equal((await first).position.coords.latitude, 1);
+    assert.equal((await second).position.coords.latitude, 2);
+});
+
+test('legacy lastLocationCallback replies reach every pending caller', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+
+    const first = getCurrentPosition();
+    const second = getCurrentPosition();
+    webView.window.lastLocationCallback(nativeFix({ coords: { latitude: 7 } }));
+
+    assert.equal((await first).position.coords.latitude, 7);
+    assert.equal((await second).position.coords.latitude, 7);
+});
+
+for (const state of PERMISSION_STATES.filter((permissionState) => permissionState !== 'granted')) {
+    test(`getCurrentPosition fails with PERMISSION_DENIED and prompts natively when location is ${state}`, async () => {
+        webView = await openWebView({ permissions: { location: state } });
+
+        const { error } = await getCurrentPosition();
+
+        assert.equal(error.code, error.PERMISSION_DENIED);
+        assert.equal(error.code, 1);
+        assert.deepEqual(webView.lastBridgeCall('requestPermission').params, { permission: 'location' });
+        assert.equal(webView.bridgeCalls('getCurrentLocation').length, 0);
+    });
+}
+
+test('getCurrentPosition reports TIMEOUT when native does not answer within options.timeout', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+
+    const { error } = await getCurrentPosition({ timeout: 20 });
+
+    assert.equal(error.code, error.TIMEOUT);
+    assert.equal(error.code, 3);
+});
+
+test('getCurrentPosition without a timeout reports POSITION_UNAVAILABLE when the bridge gives up', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' }, config: { bridgeTimeout: 20 } });
+
+    const { error } = await getCurrentPosition();
+
+    assert.equal(error.code, error.POSITION_UNAVAILABLE);
+    assert.equal(error.code, 2);
+});
+
+test('getCurrentPosition forwards enableHighAccuracy and serves cached fixes within maximumAge', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+
+    const first = getCurrentPosition({ enableHighAccuracy: true });
+    const call = webView.lastBridgeCall('getCurrentLocation');
+    assert.equal(call.params.enableHighAccuracy, true);
+    webView.resolve(call, nativeFix({ coords: { latitude: 5 } }));
+    await first;
+
+    const { position } = await getCurrentPosition({ maximumAge: 60000 });
+
+    assert.equal(position.coords.latitude, 5);
+    assert.equal(webView.bridgeCalls('getCurrentLocation').length, 1);
+});
+
+test('getCurrentPosition rejects malformed native payloads with POSITION_UNAVAILABLE', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+
+    const result = getCurrentPosition();
+    webView.resolve(webView.lastBridgeCall('getCurrentLocation'), { coords: { latitude: 120, longitude: 44, accuracy: 5 } });
+    const { error } = await result;
+
+    assert.equal(error.code, error.POSITION_UNAVAILABLE);
+});
+
+test('getCurrentPosition maps native error codes onto GeolocationPositionError', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+
+    const result = getCurrentPosition();
+    webView.reject(webView.lastBridgeCall('getCurrentLocation'), { code: 'denied', message: 'Location services are off' });
+    const { error } = await result;
+
+    assert.equal(error.code, error.PERMISSION_DENIED);
+    assert.equal(error.message, 'Location services are off');
+});
+
+test('getCurrentPosition falls back to the browser API when the bridge is missing', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' }, handlers: [] });
+
+    webView.window.navigator.geolocation.getCurrentPosition(() => {}, () => {});
+    await tick();
+
+    assert.equal(webView.browserCalls.filter((call) => call.api === 'getCurrentPosition').length, 1);
+});
@@ -0,0 +1,80 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PERMISSION_STATES, openWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const MEDIA_PERMISSIONS = [
+    { permission: 'camera', constraints: { video: true } },
+    { permission: 'microphone', constraints: { audio: true } }
+];
+
+for (const { permission, constraints } of MEDIA_PERMISSIONS) {
+    for (const state of PERMISSION_STATES) {
+        test(`getUserMedia(${JSON.stringify(constraints)}) with ${permission} ${state}`, async () => {
+            webView = await openWebView({ permissions: { [permission]: state } });
+            
+            const result = webView.window.navigator.mediaDevices.getUserMedia(constraints)
+                .then((stream) => ({ stream }), (error) => ({ error }));
+            const { stream, error } = await result;
+            
+            if (state === 'granted') {
+                assert.deepEqual(stream, { id: 'browser-stream' });
+                assert.equal(webView.bridgeCalls('requestPermission').length, 0);
+            } else {
+                assert.equal(error.name, 'NotAllowedError');
+                assert.deepEqual(webView.lastBridgeCall('requestPermission').params, { permission });
+                assert.equal(webView.browserCalls.filter((call) => call.api === 'getUserMedia').length, 0);
+            }
+        });
+    }
+}
+
+test('getUserMedia requests every missing permission for audio and video', async () => {
+    webView = await openWebView({ permissions: { camera: 'denied', microphone: 'notDetermined' } });
+    
+    await webView.window.navigator.mediaDevices.getUserMedia({ video: true, audio: true }).catch(() => {});
+    
+    assert.deepEqual(webView.bridgeCalls('requestPermission').map((call) => call.params.permission), ['camera', 'microphone']);
+});
+
+test('getUserMedia leaves audio to WebKit when native reports no microphone status', async () => {
+    webView = await openWebView({ permissions: { location: 'granted', camera: 'granted', notifications: 'granted' } });
+    
+    const stream = await webView.window.navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+    
+    assert.deepEqual(stream, { id: 'browser-stream' });
+    assert.equal(webView.bridgeCalls('requestPermission').length, 0);
+});
+
+test('a queued getUserMedia call proceeds once the camera is granted', async () => {
+    webView = await openWebView({
+        permissions: { camera: 'notDetermined' },
+        config: { waitForPermissionGrant: true }
+    });
+    
+    const result = webView.window.navigator.mediaDevices.getUserMedia({ video: true });
+    webView.updatePermissions({ camera: 'granted' });
+    
+    assert.deepEqual(await result, { id: 'browser-stream' });
+});
+
+test('a queued getUserMedia call is rejected when the user denies', async () => {
+    webView = await openWebView({
+        permissions: { camera: 'notDetermined' },
+        config: { waitForPermissionGrant: true }
+    });
+    
+    const result = webView.window.navigator.mediaDevices.getUserMedia({ video: true }).catch((error) => error);
+    webView.resolve(webView.lastBridgeCall('requestPermission'), 'denied');
+    await tick();
+    
+    assert.equal((await result).name, 'NotAllowedError');
+});
\ No newline at end of file
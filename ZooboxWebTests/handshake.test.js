@@ -0,0 +1,149 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_CAPABILITIES, APP_HANDLERS, createWebView, openWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const recordReadyEvents = (window) => {
+    const events = [];
+    window.addEventListener('zooboxBridgeReady', (event) => events.push(event.detail));
+    return events;
+};
+
+test('ready() resolves with what native reports in the handshake', async () => {
+    webView = createWebView({ permissions: {} });
+    const events = recordReadyEvents(webView.window);
+
+    const call = webView.lastBridgeCall('getBridgeInfo');
+    assert.equal(call.params.bridgeVersion, 2);
+    webView.resolve(call, {
+        appVersion: '3.4.0',
+        build: '412',
+        platform: 'ios',
+        osVersion: '17.5',
+        idiom: 'pad',
+        capabilities: ['getCurrentLocation', 'showNotification', 'hapticFeedback']
+    });
+    const info = await webView.window.ZooboxBridge.ready();
+
+    assert.equal(info.bridgeVersion, 2);
+    assert.equal(info.appVersion, '3.4.0');
+    assert.equal(info.build, '412');
+    assert.equal(info.idiom, 'pad');
+    assert.equal(info.source, 'native');
+    assert.deepEqual([...info.capabilities], [
+        'zooboxBridge', 'startRealTimeLocation', 'stopRealTimeLocation', 'hapticFeedback',
+        'getCurrentLocation', 'showNotification'
+    ]);
+    assert.equal(webView.window.ZooboxBridge.hasCapability('showNotification'), true);
+    assert.equal(webView.window.ZooboxBridge.hasCapability('capturePhoto'), false);
+    assert.equal(events.length, 1);
+    assert.equal(events[0], info);
+});
+
+test('ready() returns the same result every time and the event fires once', async () => {
+    webView = createWebView({ permissions: {} });
+    const events = recordReadyEvents(webView.window);
+
+    webView.resolve(webView.lastBridgeCall('getBridgeInfo'), { appVersion: '3.4.0' });
+    const first = await webView.window.ZooboxBridge.ready();
+    const second = await webView.window.ZooboxBridge.ready();
+    await tick();
+
+    assert.equal(first, second);
+    assert.equal(webView.bridgeCalls('getBridgeInfo').length, 1);
+    assert.equal(events.length, 1);
+});
+
+test('builds without the handshake get capabilities inferred from their message handlers', async () => {
+    webView = createWebView({ permissions: {}, config: { handshakeTimeout: 10 } });
+    const events = recordReadyEvents(webView.window);
+
+    assert.equal(webView.window.ZooboxBridge.hasCapability('hapticFeedback'), false);
+    const info = await webView.window.ZooboxBridge.ready();
+
+    assert.equal(info.source, 'inferred');
+    assert.equal(info.appVersion, null);
+    assert.deepEqual([...info.capabilities], ['zooboxBridge', 'startRealTimeLocation', 'stopRealTimeLocation', 'hapticFeedback']);
+    assert.equal(webView.window.ZooboxBridge.hasCapability('hapticFeedback'), true);
+    assert.equal(events.length, 1);
+});
+
+test('a native error answer is treated like a build without the handshake', async () => {
+    webView = createWebView({ permissions: {} });
+
+    webView.reject(webView.lastBridgeCall('getBridgeInfo'), { code: 'UNSUPPORTED' });
+    const info = await webView.window.ZooboxBridge.ready();
+
+    assert.equal(info.source, 'inferred');
+});
+
+test('ready() resolves without a zooboxBridge handler', async () => {
+    webView = createWebView({ permissions: {}, handlers: ['hapticFeedback'] });
+
+    const info = await webView.window.ZooboxBridge.ready();
+
+    assert.equal(info.source, 'inferred');
+    assert.deepEqual([...info.capabilities], ['hapticFeedback']);
+    assert.equal(webView.bridgeCalls('getBridgeInfo').length, 0);
+});
+
+test('the overrides keep WebKit for every method the app does not list', async () => {
+    webView = await openWebView({
+        permissions: { location: 'granted', camera: 'notDetermined' },
+        handlers: APP_HANDLERS,
+        capabilities: APP_CAPABILITIES
+    });
+    const { window } = webView;
+
+    window.navigator.geolocation.getCurrentPosition(() => {}, () => {});
+    const watchId = window.navigator.geolocation.watchPosition(() => {}, () => {});
+    window.navigator.geolocation.clearWatch(watchId);
+    const stream = await window.navigator.mediaDevices.getUserMedia({ video: true });
+    const status = await window.navigator.permissions.query({ name: 'microphone' });
+    await assert.rejects(window.ZooboxBridge.requestPermission('camera'), { code: 'UNSUPPORTED' });
+
+    assert.deepEqual(webView.browserCalls.map((call) => call.api), [
+        'getCurrentPosition', 'watchPosition', 'clearWatch', 'getUserMedia', 'permissions.query'
+    ]);
+    assert.equal(stream.id, 'browser-stream');
+    assert.equal(status.state, 'browser');
+    assert.deepEqual(webView.bridgeCalls().map((call) => call.method), ['getBridgeInfo']);
+});
+
+test('calls made before the handshake wait for it to pick native or WebKit', async () => {
+    webView = createWebView({ permissions: { location: 'granted' } });
+    const { geolocation } = webView.window.navigator;
+
+    geolocation.getCurrentPosition(() => {}, () => {});
+    geolocation.watchPosition(() => {}, () => {});
+    assert.equal(webView.bridgeCalls('getCurrentLocation').length, 0);
+    assert.equal(webView.posted('startRealTimeLocation').length, 0);
+
+    webView.resolve(webView.lastBridgeCall('getBridgeInfo'), { capabilities: ['getCurrentLocation'] });
+    await tick();
+
+    assert.equal(webView.bridgeCalls('getCurrentLocation').length, 1);
+    assert.equal(webView.posted('startRealTimeLocation').length, 1);
+    assert.equal(webView.browserCalls.length, 0);
+});
+
+test('the idiom falls back to the user agent, treating desktop-class iPad Safari as a pad', async () => {
+    webView = createWebView({
+        permissions: {},
+        handlers: [],
+        navigator: { userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15', maxTouchPoints: 5 }
+    });
+
+    const info = await webView.window.ZooboxBridge.ready();
+
+    assert.equal(info.idiom, 'pad');
+    assert.equal(info.platform, 'ios');
+});
@@ -0,0 +1,168 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const openWebView = (options = {}) => {
+    webView = createWebView(Object.assign({
+        permissions: {},
+        scripts: ['webview-permission-override.js', 'webview-haptics.js']
+    }, options));
+    return webView;
+};
+
+test('named styles that every app build knows are sent as plain strings', () => {
+    openWebView();
+    const { haptics } = webView.window.ZooboxBridge;
+
+    haptics.impact('heavy');
+    haptics.notification('warning');
+    haptics.trigger('light');
+
+    assert.deepEqual(webView.posted('hapticFeedback'), ['heavy', 'warning', 'light']);
+});
+
+test('intensity, soft/rigid impacts and selection use the structured message', () => {
+    openWebView();
+    const { haptics } = webView.window.ZooboxBridge;
+
+    haptics.impact('medium', 0.4);
+    haptics.impact('rigid');
+    haptics.impact('soft', 3);
+    haptics.selection();
+
+    assert.deepEqual(webView.posted('hapticFeedback'), [
+        { type: 'impact', style: 'medium', intensity: 0.4 },
+        { type: 'impact', style: 'rigid' },
+        { type: 'impact', style: 'soft', intensity: 1 },
+        { type: 'selection' }
+    ]);
+});
+
+test('unknown styles and misplaced intensities throw TypeError', () => {
+    openWebView();
+    const { haptics } = webView.window.ZooboxBridge;
+
+    assert.throws(() => haptics.trigger('buzz'), { name: 'TypeError' });
+    assert.throws(() => haptics.impact('success'), { name: 'TypeError' });
+    assert.throws(() => haptics.notification('heavy'), { name: 'TypeError' });
+    assert.throws(() => haptics.trigger('success', 0.5), { name: 'TypeError' });
+    assert.equal(webView.posted('hapticFeedback').length, 0);
+});
+
+test('patterns play their steps with the given delays', async () => {
+    openWebView();
+    const { haptics } = webView.window.ZooboxBridge;
+
+    const finished = haptics.play(['light', { haptic: 'heavy', intensity: 0.5, delay: 20 }]);
+    assert.deepEqual(webView.posted('hapticFeedback'), ['light']);
+
+    assert.equal(await finished, true);
+    assert.deepEqual(webView.posted('hapticFeedback'), ['light', { type: 'impact', style: 'heavy', intensity: 0.5 }]);
+});
+
+test('starting a pattern or calling stop() cancels the one that is playing', async () => {
+    openWebView();
+    const { haptics } = webView.window.ZooboxBridge;
+
+    const knock = haptics.play('knock');
+    const doubleTap = haptics.play('doubleTap');
+    assert.equal(await knock, false);
+
+    assert.equal(haptics.stop(), true);
+    assert.equal(await doubleTap, false);
+    await tick(200);
+
+    assert.deepEqual(webView.posted('hapticFeedback'), [{ type: 'impact', style: 'rigid' }, 'light']);
+});
+
+test('invalid patterns are rejected before anything plays', async () => {
+    openWebView();
+    const { haptics } = webView.window.ZooboxBridge;
+
+    await assert.rejects(haptics.play([]), { name: 'TypeError' });
+    await assert.rejects(haptics.play('drumroll'), { name: 'TypeError' });
+    await assert.rejects(haptics.play(['light', { haptic: 'light', delay: -5 }]), { name: 'TypeError' });
+    assert.equal(webView.posted('hapticFeedback').length, 0);
+});
+
+test('navigator.vibrate maps vibrations onto impacts and vibrate(0) cancels', async () => {
+    openWebView();
+    const { navigator } = webView.window;
+
+    assert.equal(navigator.vibrate([10, 5, 40, 5, 200]), true);
+    await tick(100);
+    assert.deepEqual(webView.posted('hapticFeedback'), ['light', 'medium', 'heavy']);
+
+    assert.equal(navigator.vibrate([10, 50, 40]), true);
+    assert.equal(navigator.vibrate(0), true);
+    await tick(80);
+    assert.deepEqual(webView.posted('hapticFeedback').slice(3), ['light']);
+});
+
+test('navigator.vibrate returns false without the native handler', () => {
+    openWebView({ handlers: ['zooboxBridge'] });
+
+    assert.equal(webView.window.navigator.vibrate(100), false);
+});
+
+test('data-haptic attributes are handled by one delegated listener', () => {
+    openWebView();
+    const { document } = webView.window;
+    document.body.innerHTML = `
+        <button id="order" data-haptic="success"><span id="label">Place order</span></button>
+        <a id="cart" href="#cart" data-haptic="medium" data-haptic-intensity="0.6">Cart</a>
+        <div data-haptic="none"><button id="quiet">Quiet</button></div>
+        <button id="plain">Plain</button>
+        <p id="text">Not interactive</p>
+        <button id="broken" data-haptic="buzz">Broken</button>
+        <div id="pressable" onmousedown="select()">Press</div>
+        <div id="touchable" ontouchstart="select()">Touch</div>
+    `;
+    webView.window.ZooboxBridge.logger.setLevel('silent');
+
+    ['label', 'cart', 'quiet', 'plain', 'text', 'broken', 'pressable', 'touchable'].forEach((id) => webView.tap(document.getElementById(id)));
+    document.getElementById('plain').click();
+
+    assert.deepEqual(webView.posted('hapticFeedback'), [
+        'success',
+        { type: 'impact', style: 'medium', intensity: 0.6 },
+        'light',
+        'light',
+        'light'
+    ]);
+});
+
+test('elements added after load need no extra wiring', () => {
+    openWebView({ config: { logLevel: 'silent', haptics: { defaultTapStyle: null } } });
+    const { document } = webView.window;
+
+    const button = document.createElement('button');
+    button.setAttribute('data-haptic', 'doubleTap');
+    document.body.appendChild(button);
+    const plain = document.createElement('button');
+    document.body.appendChild(plain);
+
+    webView.tap(button);
+    webView.tap(plain);
+
+    assert.deepEqual(webView.posted('hapticFeedback'), ['light']);
+});
+
+test('injecting the script twice installs one listener', () => {
+    openWebView({ scripts: ['webview-permission-override.js', 'webview-haptics.js', 'webview-haptics.js'] });
+    const button = webView.window.document.createElement('button');
+    webView.window.document.body.appendChild(button);
+
+    webView.tap(button);
+
+    assert.deepEqual(webView.posted('hapticFeedback'), ['light']);
+});
@@ -0,0 +1,129 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { nativeFix, openWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+// The APIs the override replaces, as the page sees them
+const snapshot = (window) => ({
+    getCurrentPosition: window.navigator.geolocation.getCurrentPosition,
+    watchPosition: window.navigator.geolocation.watchPosition,
+    clearWatch: window.navigator.geolocation.clearWatch,
+    getUserMedia: window.navigator.mediaDevices.getUserMedia,
+    query: window.navigator.permissions.query,
+    Notification: window.Notification,
+    alert: window.alert,
+    confirm: window.confirm,
+    prompt: window.prompt,
+    fetch: window.fetch,
+    onLine: Object.getOwnPropertyDescriptor(window.navigator, 'onLine'),
+    connection: Object.getOwnPropertyDescriptor(window.navigator, 'connection'),
+    ZooboxBridge: window.ZooboxBridge
+});
+
+test('a second injection keeps the first install and only updates its config', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { window } = webView;
+    const installed = snapshot(window);
+
+    window.zooboxOverrideConfig = { logLevel: 'silent', bridgeTimeout: 20 };
+    webView.inject('webview-permission-override.js');
+
+    assert.deepEqual(snapshot(window), installed);
+    assert.equal(window.ZooboxOverrides.getConfig().bridgeTimeout, 20);
+
+    // The running install uses the new timeout
+    await assert.rejects(window.ZooboxBridge.call('slowMethod'), { code: 'TIMEOUT' });
+});
+
+test('configure recompiles the dialog policy', async () => {
+    webView = await openWebView({ permissions: {} });
+    const { window } = webView;
+
+    window.ZooboxOverrides.configure({ dialogPolicy: { rules: [{ action: 'deny', exact: 'Allow location?' }] } });
+
+    assert.equal(window.confirm('Allow location?'), false);
+    assert.equal(window.confirm('Delete order?'), true);
+    assert.deepEqual(webView.browserCalls.map((call) => call.args[0]), ['Delete order?']);
+});
+
+test('uninstall restores every patched API and removes the bridge', async () => {
+    let before;
+    webView = await openWebView({
+        permissions: { location: 'granted' },
+        setup: (window) => {
+            window.Notification = function Notification() {};
+            before = snapshot(window);
+        }
+    });
+    const { window } = webView;
+
+    assert.notEqual(window.navigator.geolocation.getCurrentPosition, before.getCurrentPosition);
+    assert.equal(window.ZooboxOverrides.uninstall(), true);
+    assert.deepEqual(snapshot(window), before);
+    assert.equal(window.ZooboxOverrides, undefined);
+
+    window.navigator.geolocation.getCurrentPosition(() => {});
+    assert.deepEqual(webView.browserCalls.map((call) => call.api), ['getCurrentPosition']);
+});
+
+test('uninstall stops native tracking and rejects pending bridge calls', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { window } = webView;
+    const overrides = window.ZooboxOverrides;
+
+    window.navigator.geolocation.watchPosition(() => {});
+    window.locationWatchCallback(nativeFix());
+    const pending = window.ZooboxBridge.call('getPushToken');
+
+    overrides.uninstall();
+    await assert.rejects(pending, { code: 'UNAVAILABLE' });
+
+    assert.equal(webView.posted('stopRealTimeLocation').length, 1);
+    assert.equal(window.locationWatchCallback, undefined);
+    assert.equal(overrides.uninstall(), false);
+});
+
+test('the script installs afresh after an uninstall', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { window } = webView;
+
+    window.ZooboxOverrides.uninstall();
+    webView.inject('webview-permission-override.js');
+
+    assert.equal(window.ZooboxOverrides.installed, true);
+    assert.equal(typeof window.ZooboxBridge.call, 'function');
+});
+
+test('the browser implementation is used even when an earlier script replaced it', async () => {
+    const nativeCalls = [];
+    webView = await openWebView({
+        permissions: { location: 'granted' },
+        // Without the zooboxBridge handler the override falls back to the browser
+        handlers: [],
+        setup: (window) => {
+            // WebKit keeps the real methods on Geolocation.prototype; a legacy intercept shadows them
+            class Geolocation {
+                getCurrentPosition() {
+                    nativeCalls.push('native');
+                }
+            }
+            const geolocation = new Geolocation();
+            geolocation.getCurrentPosition = () => nativeCalls.push('legacy intercept');
+            Object.defineProperty(window.navigator, 'geolocation', { configurable: true, value: geolocation });
+        }
+    });
+    const { window } = webView;
+
+    window.navigator.geolocation.getCurrentPosition(() => {});
+    await tick();
+
+    assert.deepEqual(nativeCalls, ['native']);
+});
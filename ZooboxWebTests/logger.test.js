@@ -0,0 +1,141 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+// A web view whose console calls are recorded instead of printed
+const openLoggingWebView = async (options = {}) => {
+    const consoleCalls = [];
+    webView = await openWebView(Object.assign({}, options, {
+        handlers: ['zooboxBridge', 'zooboxLog'],
+        setup(window) {
+            window.console = {};
+            ['log', 'info', 'warn', 'error'].forEach((method) => {
+                window.console[method] = (...args) => consoleCalls.push([method].concat(args));
+            });
+        }
+    }));
+    // Start from a clean slate after the lines the override logs while installing
+    webView.window.ZooboxBridge.logger.flush();
+    webView.earlierBatches = webView.posted('zooboxLog').length;
+    consoleCalls.length = 0;
+    webView.consoleCalls = consoleCalls;
+    return webView;
+};
+
+const logEachLevel = (logger) => ['debug', 'info', 'warn', 'error'].forEach((level) => logger[level](level + ' line'));
+
+const batches = () => webView.posted('zooboxLog').slice(webView.earlierBatches);
+
+const records = () => batches().reduce((all, batch) => all.concat(batch.records), []);
+
+test('the console only gets lines at or above the level', async () => {
+    await openLoggingWebView({ config: { logLevel: 'info' } });
+    const { logger } = webView.window.ZooboxBridge;
+
+    logEachLevel(logger);
+    assert.deepEqual(webView.consoleCalls, [['info', 'info line'], ['warn', 'warn line'], ['error', 'error line']]);
+
+    // debug goes to console.log; unknown levels keep the current one
+    logger.setLevel('debug');
+    logger.setLevel('verbose');
+    assert.equal(logger.getLevel(), 'debug');
+    logger.debug('debug line', { id: 1 });
+    assert.deepEqual(webView.consoleCalls.pop(), ['log', 'debug line', { id: 1 }]);
+});
+
+test('the level defaults to warn and follows zooboxPermissions.logLevel', async () => {
+    await openLoggingWebView({ config: { logLevel: null } });
+    const { logger } = webView.window.ZooboxBridge;
+    assert.equal(logger.getLevel(), 'warn');
+
+    webView.updatePermissions({ location: 'granted', logLevel: 'error' });
+    logEachLevel(logger);
+    assert.deepEqual(webView.consoleCalls, [['error', 'error line']]);
+});
+
+test('silent turns the console off but not the sink', async () => {
+    await openLoggingWebView({ config: { logLevel: 'silent', logSink: { handler: 'zooboxLog', level: 'error', batchSize: 1 } } });
+    const { logger } = webView.window.ZooboxBridge;
+
+    logEachLevel(logger);
+    assert.deepEqual(webView.consoleCalls, []);
+    assert.deepEqual(records().map((record) => record.message), ['error line']);
+});
+
+test('the sink batches records at its own level and flushes on batchSize, timer and pagehide', async () => {
+    await openLoggingWebView({ config: { logLevel: 'silent', logSink: { handler: 'zooboxLog', level: 'info', batchSize: 3, flushInterval: 20 } } });
+    const { window } = webView;
+    const { logger } = window.ZooboxBridge;
+
+    logEachLevel(logger);
+    assert.equal(batches().length, 1);
+    const [info] = records();
+    assert.equal(info.level, 'info');
+    assert.equal(info.message, 'info line');
+    assert.equal(typeof info.timestamp, 'number');
+
+    logger.warn('timer');
+    await tick(40);
+    assert.deepEqual(batches().map((batch) => batch.records.length), [3, 1]);
+
+    logger.error('pagehide');
+    window.dispatchEvent(new window.Event('pagehide'));
+    assert.equal(records().pop().message, 'pagehide');
+
+    // configure can change what is forwarded
+    window.ZooboxOverrides.configure({ logSink: { level: 'error' } });
+    logger.warn('not forwarded');
+    logger.flush();
+    assert.equal(records().pop().message, 'pagehide');
+});
+
+test('forwarded arguments are plain, redacted data and the url has no query', async () => {
+    await openLoggingWebView({
+        url: 'https://zoobox.site/orders?session=abc123#token=xyz',
+        config: { logLevel: 'silent', logSink: { handler: 'zooboxLog', level: 'debug' } }
+    });
+    const { window } = webView;
+    const { logger } = window.ZooboxBridge;
+
+    const error = new window.Error('Bridge call timed out');
+    error.code = 'TIMEOUT';
+    logger.warn('🚚 Order update', {
+        orderId: 42,
+        Token: 'fcm-token',
+        headers: { authorization: 'Bearer secret', accept: 'json' },
+        coords: { latitude: 36.1911, longitude: 44.0092, accuracy: 5 }
+    }, error, undefined, () => {});
+    logger.flush();
+
+    const [record] = records();
+    assert.equal(record.url, 'https://zoobox.site/orders');
+    assert.deepEqual(record.args[0], {
+        orderId: 42,
+        Token: '[redacted]',
+        headers: { authorization: '[redacted]', accept: 'json' },
+        coords: { latitude: '[redacted]', longitude: '[redacted]', accuracy: 5 }
+    });
+    assert.equal(record.args[1].name, 'Error');
+    assert.equal(record.args[1].code, 'TIMEOUT');
+    assert.equal(record.args[1].message, 'Bridge call timed out');
+    assert.equal(record.args[2], 'undefined');
+    assert.equal(typeof record.args[3], 'string');
+});
+
+test('redactKeys replaces the default list', async () => {
+    await openLoggingWebView({ config: { logLevel: 'silent', logSink: { handler: 'zooboxLog', redactKeys: ['phone'] } } });
+    const { logger } = webView.window.ZooboxBridge;
+
+    logger.warn('Courier', { phone: '+964 750 000 0000', token: 'kept' });
+    logger.flush();
+    assert.deepEqual(records()[0].args[0], { phone: '[redacted]', token: 'kept' });
+});
@@ -0,0 +1,240 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const SHIM_METHODS = ['share', 'writeClipboard', 'readClipboard', 'requestWakeLock', 'releaseWakeLock'];
+
+// A web view whose native side listed the share, clipboard and wake lock methods in the handshake
+const openWebView = async (options = {}, capabilities = SHIM_METHODS) => {
+    webView = createWebView(Object.assign({ permissions: {} }, options));
+    webView.resolve(webView.lastBridgeCall('getBridgeInfo'), { capabilities });
+    await webView.window.ZooboxBridge.ready();
+    return webView;
+};
+
+// Files are read with FileReader first, which takes a few timer turns
+const nextBridgeCall = async (method) => {
+    for (let attempt = 0; attempt < 50 && !webView.lastBridgeCall(method); attempt++) {
+        await tick(10);
+    }
+    return webView.lastBridgeCall(method);
+};
+
+const setVisibility = (window, state) => {
+    Object.defineProperty(window.document, 'visibilityState', { configurable: true, value: state });
+    window.document.dispatchEvent(new window.Event('visibilitychange'));
+};
+
+test('navigator.share sends the data and files to native and resolves when the sheet closes', async () => {
+    await openWebView({ url: 'https://zoobox.site/orders/' });
+    const { window } = webView;
+    const receipt = new window.File(['order 12345'], 'receipt.txt', { type: 'text/plain' });
+    
+    const result = window.navigator.share({ title: 'Track order', text: 'On its way', url: 'track?order_id=12345', files: [receipt] });
+    const call = await nextBridgeCall('share');
+    assert.deepEqual(call.params, {
+        title: 'Track order',
+        text: 'On its way',
+        url: 'https://zoobox.site/orders/track?order_id=12345',
+        files: [{ name: 'receipt.txt', type: 'text/plain', data: Buffer.from('order 12345').toString('base64') }]
+    });
+    
+    webView.resolve(call, null);
+    assert.equal(await result, undefined);
+});
+
+test('navigator.share rejects with the names the spec uses', async () => {
+    await openWebView();
+    const { window } = webView;
+    
+    await assert.rejects(window.navigator.share({}), { name: 'TypeError' });
+    await assert.rejects(window.navigator.share({ url: 'javascript:alert(1)' }), { name: 'TypeError' });
+    await assert.rejects(window.navigator.share({ files: ['not a file'] }), { name: 'TypeError' });
+    
+    const cancelled = window.navigator.share({ url: 'https://zoobox.site/' });
+    await tick();
+    await assert.rejects(window.navigator.share({ text: 'again' }), { name: 'InvalidStateError' });
+    webView.reject(webView.lastBridgeCall('share'), { code: 'CANCELLED', message: 'Share cancelled' });
+    await assert.rejects(cancelled, { name: 'AbortError', message: 'Share cancelled' });
+    
+    const denied = window.navigator.share({ text: 'Hello' });
+    await tick();
+    webView.reject(webView.lastBridgeCall('share'), { code: 'PERMISSION_DENIED', message: 'Sharing is disabled' });
+    await assert.rejects(denied, { name: 'NotAllowedError' });
+});
+
+test('navigator.canShare checks share data without calling native', async () => {
+    await openWebView();
+    const { window } = webView;
+    
+    assert.equal(window.navigator.canShare({ url: 'https://zoobox.site/' }), true);
+    assert.equal(window.navigator.canShare({ files: [new window.File(['x'], 'x.txt')] }), true);
+    assert.equal(window.navigator.canShare({}), false);
+    assert.equal(window.navigator.canShare({ url: 'ftp://zoobox.site/' }), false);
+    assert.equal(webView.bridgeCalls('share').length, 0);
+});
+
+test('clipboard text goes through native', async () => {
+    await openWebView();
+    const { window } = webView;
+    
+    const written = window.navigator.clipboard.writeText('ZB-12345');
+    await tick();
+    assert.deepEqual(webView.lastBridgeCall('writeClipboard').params, { text: 'ZB-12345' });
+    webView.resolve(webView.lastBridgeCall('writeClipboard'), null);
+    assert.equal(await written, undefined);
+    
+    const read = window.navigator.clipboard.readText();
+    await tick();
+    webView.resolve(webView.lastBridgeCall('readClipboard'), 'ZB-67890');
+    assert.equal(await read, 'ZB-67890');
+    
+    const refused = window.navigator.clipboard.readText();
+    await tick();
+    webView.reject(webView.lastBridgeCall('readClipboard'), { code: 'PERMISSION_DENIED', message: 'Paste not allowed' });
+    await assert.rejects(refused, { name: 'NotAllowedError' });
+});
+
+test('a wake lock sentinel holds the native lock until released', async () => {
+    await openWebView();
+    const { window } = webView;
+    
+    const request = window.navigator.wakeLock.request('screen');
+    await tick();
+    const call = webView.lastBridgeCall('requestWakeLock');
+    webView.resolve(call, null);
+    const sentinel = await request;
+    
+    assert.equal(sentinel.type, 'screen');
+    assert.equal(sentinel.released, false);
+    
+    const releases = [];
+    sentinel.onrelease = (event) => releases.push(event.type);
+    assert.equal(await sentinel.release(), undefined);
+    await sentinel.release();
+    
+    assert.equal(sentinel.released, true);
+    assert.deepEqual(releases, ['release']);
+    assert.deepEqual(webView.bridgeCalls('releaseWakeLock').map((message) => message.params.id), [call.params.id]);
+});
+
+test('wake locks are released when the page is hidden and cannot be taken while hidden', async () => {
+    await openWebView();
+    const { window } = webView;
+    
+    await assert.rejects(window.navigator.wakeLock.request('system'), { name: 'TypeError' });
+    
+    const request = window.navigator.wakeLock.request();
+    await tick();
+    webView.resolve(webView.lastBridgeCall('requestWakeLock'), null);
+    const sentinel = await request;
+    
+    setVisibility(window, 'hidden');
+    assert.equal(sentinel.released, true);
+    assert.equal(webView.bridgeCalls('releaseWakeLock').length, 1);
+    await assert.rejects(window.navigator.wakeLock.request('screen'), { name: 'NotAllowedError' });
+    
+    setVisibility(window, 'visible');
+    const refused = window.navigator.wakeLock.request('screen');
+    await tick();
+    webView.reject(webView.lastBridgeCall('requestWakeLock'), { code: 'UNAVAILABLE', message: 'Low Power Mode' });
+    await assert.rejects(refused, { name: 'NotAllowedError', message: 'Low Power Mode' });
+});
+
+test('builds without the native methods keep the browser implementation', async () => {
+    const browserShares = [];
+    await openWebView({
+        setup: (window) => {
+            window.navigator.share = (data) => {
+                browserShares.push(data.url);
+                return Promise.resolve();
+            };
+        }
+    }, ['requestPermissions']);
+    const { window } = webView;
+    
+    await window.navigator.share({ url: 'https://zoobox.site/' });
+    assert.deepEqual(browserShares, ['https://zoobox.site/']);
+    assert.equal(window.navigator.canShare({ url: 'https://zoobox.site/' }), false);
+    await assert.rejects(window.navigator.clipboard.writeText('x'), { name: 'NotSupportedError' });
+    await assert.rejects(window.navigator.wakeLock.request('screen'), { name: 'NotSupportedError' });
+    assert.equal(webView.bridgeCalls('share').length, 0);
+});
+
+test('calls made before the handshake wait for it to pick native or the browser', async () => {
+    webView = createWebView({ permissions: {} });
+    const { window } = webView;
+    
+    const shared = window.navigator.share({ url: 'https://zoobox.site/' });
+    const read = window.navigator.clipboard.readText();
+    await tick();
+    assert.equal(webView.bridgeCalls('share').length, 0);
+    assert.equal(webView.bridgeCalls('readClipboard').length, 0);
+    
+    webView.resolve(webView.lastBridgeCall('getBridgeInfo'), { capabilities: ['readClipboard'] });
+    
+    await assert.rejects(shared, { name: 'NotSupportedError' });
+    webView.resolve(webView.lastBridgeCall('readClipboard'), { text: 'ZB-12345' });
+    assert.equal(await read, 'ZB-12345');
+    assert.equal(webView.bridgeCalls('share').length, 0);
+});
+
+test('builds that never answer the handshake fall back once it times out', async () => {
+    webView = createWebView({ permissions: {}, config: { handshakeTimeout: 20 } });
+    const { window } = webView;
+    
+    const shared = window.navigator.share({ url: 'https://zoobox.site/' });
+    const read = window.navigator.clipboard.readText();
+    
+    await assert.rejects(shared, { name: 'NotSupportedError' });
+    await assert.rejects(read, { name: 'NotSupportedError' });
+    assert.equal(webView.bridgeCalls('share').length, 0);
+    assert.equal(webView.bridgeCalls('readClipboard').length, 0);
+});
+
+test('pages outside the app keep the browser APIs untouched', () => {
+    webView = createWebView({ permissions: {}, handlers: [] });
+    const { navigator } = webView.window;
+    
+    assert.equal(navigator.share, undefined);
+    assert.equal(navigator.clipboard, undefined);
+    assert.equal(navigator.wakeLock, undefined);
+});
+
+test('uninstall releases wake locks and restores the browser clipboard', async () => {
+    let browserWriteText;
+    await openWebView({
+        setup: (window) => {
+            class Clipboard extends window.EventTarget {
+                writeText() {
+                    return Promise.resolve();
+                }
+            }
+            Object.defineProperty(window.navigator, 'clipboard', { configurable: true, value: new Clipboard() });
+            browserWriteText = window.navigator.clipboard.writeText;
+        }
+    });
+    const { window } = webView;
+    
+    const request = window.navigator.wakeLock.request('screen');
+    await tick();
+    webView.resolve(webView.lastBridgeCall('requestWakeLock'), null);
+    const sentinel = await request;
+    assert.notEqual(window.navigator.clipboard.writeText, browserWriteText);
+    
+    window.ZooboxOverrides.uninstall();
+    
+    assert.equal(sentinel.released, true);
+    assert.equal(window.navigator.clipboard.writeText, browserWriteText);
+    assert.equal(window.navigator.wakeLock, undefined);
+    assert.equal(window.navigator.share, undefined);
+});
\ No newline at end of file
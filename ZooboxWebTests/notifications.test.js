@@ -0,0 +1,119 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_CAPABILITIES, createWebView, openWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const NOTIFICATION_PERMISSIONS = {
+    granted: 'granted',
+    denied: 'denied',
+    restricted: 'denied',
+    notDetermined: 'default'
+};
+
+for (const [state, permission] of Object.entries(NOTIFICATION_PERMISSIONS)) {
+    test(`Notification.permission is ${permission} when notifications are ${state}`, async () => {
+        webView = await openWebView({ permissions: { notifications: state } });
+
+        assert.equal(webView.window.Notification.permission, permission);
+    });
+}
+
+test('requestPermission resolves granted without asking native when already granted', async () => {
+    webView = await openWebView({ permissions: { notifications: 'granted' } });
+    const callbackResults = [];
+
+    const result = await webView.window.Notification.requestPermission((value) => callbackResults.push(value));
+
+    assert.equal(result, 'granted');
+    assert.deepEqual(callbackResults, ['granted']);
+    assert.equal(webView.bridgeCalls('requestPermission').length, 0);
+});
+
+for (const [nativeAnswer, expected] of Object.entries({ granted: 'granted', denied: 'denied', notDetermined: 'default' })) {
+    test(`requestPermission resolves ${expected} when native answers ${nativeAnswer}`, async () => {
+        webView = await openWebView({ permissions: { notifications: 'notDetermined' } });
+
+        const result = webView.window.Notification.requestPermission();
+        const call = webView.lastBridgeCall('requestPermission');
+        assert.deepEqual(call.params, { permission: 'notifications' });
+        webView.resolve(call, nativeAnswer);
+
+        assert.equal(await result, expected);
+    });
+}
+
+test('requestPermission resolves denied when the bridge call fails', async () => {
+    webView = await openWebView({ permissions: { notifications: 'denied' } });
+
+    const result = webView.window.Notification.requestPermission();
+    webView.reject(webView.lastBridgeCall('requestPermission'), { code: 'UNAVAILABLE' });
+
+    assert.equal(await result, 'denied');
+});
+
+test('new Notification is shown natively and reports click and close', async () => {
+    webView = await openWebView({ permissions: { notifications: 'granted' } });
+    const events = [];
+
+    const notification = new webView.window.Notification('Order ready', { body: 'Order #12', tag: 'order-12', data: { orderId: 12 } });
+    notification.onshow = () => events.push('show');
+    notification.onclick = () => events.push('click');
+    notification.addEventListener('close', () => events.push('close'));
+
+    const call = webView.lastBridgeCall('showNotification');
+    assert.equal(call.params.title, 'Order ready');
+    assert.equal(call.params.body, 'Order #12');
+    assert.deepEqual(call.params.data, { orderId: 12 });
+
+    webView.resolve(call, true);
+    await tick();
+    webView.window.ZooboxBridge._dispatchNotificationEvent(call.params.id, 'click');
+    webView.window.ZooboxBridge._dispatchNotificationEvent(call.params.id, 'close');
+
+    assert.deepEqual(events, ['show', 'click', 'close']);
+    assert.ok(notification instanceof webView.window.Notification);
+});
+
+test('new Notification fires error without permission', async () => {
+    webView = await openWebView({ permissions: { notifications: 'denied' } });
+    const events = [];
+
+    const notification = new webView.window.Notification('Order ready');
+    notification.onerror = () => events.push('error');
+    await tick();
+
+    assert.deepEqual(events, ['error']);
+    assert.equal(webView.bridgeCalls('showNotification').length, 0);
+});
+
+test('builds that do not list showNotification keep the browser Notification', async () => {
+    function BrowserNotification() {}
+    webView = await openWebView({
+        permissions: { notifications: 'granted' },
+        capabilities: APP_CAPABILITIES,
+        setup: (window) => {
+            window.Notification = BrowserNotification;
+        }
+    });
+
+    assert.equal(webView.window.Notification, BrowserNotification);
+});
+
+test('the shim replaces Notification once the handshake lists showNotification', async () => {
+    webView = createWebView({ permissions: { notifications: 'granted' } });
+    const browserNotification = webView.window.Notification;
+
+    webView.resolve(webView.lastBridgeCall('getBridgeInfo'), { capabilities: ['showNotification'] });
+    await webView.window.ZooboxBridge.ready();
+
+    assert.notEqual(webView.window.Notification, browserNotification);
+    assert.equal(webView.window.Notification.permission, 'granted');
+});
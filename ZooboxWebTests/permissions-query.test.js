@@ -0,0 +1,103 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openWebView } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+const WEB_STATES = {
+    granted: 'granted',
+    denied: 'denied',
+    restricted: 'denied',
+    notDetermined: 'prompt'
+};
+
+const QUERIED_PERMISSIONS = {
+    geolocation: 'location',
+    notifications: 'notifications',
+    camera: 'camera',
+    microphone: 'microphone'
+};
+
+for (const [webName, nativeName] of Object.entries(QUERIED_PERMISSIONS)) {
+    for (const [nativeState, webState] of Object.entries(WEB_STATES)) {
+        test(`permissions.query({name: '${webName}'}) is ${webState} when ${nativeName} is ${nativeState}`, async () => {
+            webView = await openWebView({ permissions: { [nativeName]: nativeState } });
+
+            const status = await webView.window.navigator.permissions.query({ name: webName });
+
+            assert.equal(status.state, webState);
+            assert.equal(status.name, webName);
+        });
+    }
+}
+
+test('permissions.query asks native when it has not pushed a status yet', async () => {
+    webView = await openWebView({ permissions: {} });
+
+    const result = webView.window.navigator.permissions.query({ name: 'camera' });
+    const call = webView.lastBridgeCall('checkPermission');
+    assert.deepEqual(call.params, { permission: 'camera' });
+    webView.resolve(call, 'granted');
+
+    assert.equal((await result).state, 'granted');
+});
+
+test('permissions.query returns one live status that fires change events', async () => {
+    webView = await openWebView({ permissions: { location: 'notDetermined' } });
+    const { permissions } = webView.window.navigator;
+    const events = [];
+
+    const status = await permissions.query({ name: 'geolocation' });
+    assert.equal(await permissions.query({ name: 'geolocation' }), status);
+
+    status.onchange = () => events.push(`onchange:${status.state}`);
+    status.addEventListener('change', () => events.push('listener'));
+
+    webView.updatePermissions({ location: 'granted' });
+    webView.updatePermissions({ location: 'granted' });
+
+    assert.deepEqual(events, ['onchange:granted', 'listener']);
+});
+
+test('permissions.query statuses are PermissionStatus instances that still dispatch their own events', async () => {
+    webView = await openWebView({
+        permissions: { location: 'notDetermined' },
+        setup(window) {
+            // WebKit's PermissionStatus cannot be constructed, and its getters need a real one
+            window.PermissionStatus = class PermissionStatus extends window.EventTarget {
+                get state() {
+                    throw new window.TypeError('Illegal invocation');
+                }
+            };
+        }
+    });
+    const { window } = webView;
+
+    const status = await window.navigator.permissions.query({ name: 'geolocation' });
+    assert.ok(status instanceof window.PermissionStatus);
+    assert.ok(status instanceof window.EventTarget);
+    assert.equal(status.state, 'prompt');
+
+    let target = null;
+    status.addEventListener('change', (event) => {
+        target = event.target;
+    });
+    webView.updatePermissions({ location: 'denied' });
+    assert.equal(target, status);
+    assert.equal(status.state, 'denied');
+});
+
+test('permissions.query falls through to the browser for other permission names', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+
+    const status = await webView.window.navigator.permissions.query({ name: 'clipboard-read' });
+
+    assert.equal(status.state, 'browser');
+});
@@ -0,0 +1,135 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_CAPABILITIES, openWebView } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+test('push.getToken asks native for the FCM token', async () => {
+    webView = await openWebView({ permissions: {} });
+    const { push } = webView.window.ZooboxBridge;
+
+    const first = push.getToken();
+    webView.resolve(webView.lastBridgeCall('getPushToken'), 'fcm-token-1');
+    assert.equal(await first, 'fcm-token-1');
+
+    const second = push.getToken();
+    webView.resolve(webView.lastBridgeCall('getPushToken'), '');
+    assert.equal(await second, null);
+});
+
+test('push.getToken rejects with UNSUPPORTED when the handshake does not list getPushToken', async () => {
+    webView = await openWebView({ permissions: {}, capabilities: APP_CAPABILITIES });
+
+    await assert.rejects(webView.window.ZooboxBridge.push.getToken(), { code: 'UNSUPPORTED' });
+
+    assert.equal(webView.bridgeCalls('getPushToken').length, 0);
+});
+
+test('tokenchange fires only when the token actually changes', async () => {
+    webView = await openWebView({ permissions: {} });
+    const { ZooboxBridge } = webView.window;
+    const tokens = [];
+
+    const result = ZooboxBridge.push.getToken();
+    webView.resolve(webView.lastBridgeCall('getPushToken'), 'fcm-token-1');
+    await result;
+
+    ZooboxBridge.push.addEventListener('tokenchange', (event) => tokens.push(event.detail.token));
+    ZooboxBridge._dispatchPushEvent('tokenchange', { token: 'fcm-token-1' });
+    ZooboxBridge._dispatchPushEvent('tokenchange', { token: 'fcm-token-2' });
+    ZooboxBridge._dispatchPushEvent('tokenchange', { token: 'fcm-token-2' });
+
+    assert.deepEqual(tokens, ['fcm-token-2']);
+});
+
+test('foreground pushes arrive as notification events with their payload', async () => {
+    webView = await openWebView({ permissions: {} });
+    const { ZooboxBridge } = webView.window;
+    const received = [];
+
+    ZooboxBridge.push.onnotification = (event) => received.push(event.detail);
+    const handled = ZooboxBridge._dispatchPushEvent('notification', {
+        id: 'msg-1',
+        title: 'Order on its way',
+        body: 'Your driver is 5 minutes away',
+        data: { order_type: 'food', order_id: '12345' }
+    });
+
+    assert.equal(handled, false);
+    assert.deepEqual(JSON.parse(JSON.stringify(received)), [{
+        id: 'msg-1',
+        title: 'Order on its way',
+        body: 'Your driver is 5 minutes away',
+        data: { order_type: 'food', order_id: '12345' }
+    }]);
+});
+
+test('a notification listener can take over the foreground banner', async () => {
+    webView = await openWebView({ permissions: {} });
+    const { ZooboxBridge } = webView.window;
+
+    ZooboxBridge.push.addEventListener('notification', (event) => event.preventDefault());
+
+    assert.equal(ZooboxBridge._dispatchPushEvent('notification', { title: 'Hi' }), true);
+});
+
+test('deeplink events carry the target path and report whether the page routed them', async () => {
+    webView = await openWebView({ permissions: {}, url: 'https://mikmik.site/home' });
+    const { ZooboxBridge } = webView.window;
+    const links = [];
+
+    assert.equal(ZooboxBridge._dispatchPushEvent('deeplink', { url: 'https://mikmik.site/track_order.php?order_id=12345' }), false);
+
+    ZooboxBridge.push.addEventListener('deeplink', (event) => {
+        links.push(event.detail);
+        if (event.detail.sameOrigin) {
+            event.preventDefault();
+        }
+    });
+    const routed = ZooboxBridge._dispatchPushEvent('deeplink', {
+        url: '/d2d/track_d2d.php?order_id=9#map',
+        data: { order_type: 'd2d' }
+    });
+    const external = ZooboxBridge._dispatchPushEvent('deeplink', { url: 'https://example.com/promo' });
+
+    assert.equal(routed, true);
+    assert.equal(external, false);
+    assert.equal(links[0].url, 'https://mikmik.site/d2d/track_d2d.php?order_id=9#map');
+    assert.equal(links[0].path, '/d2d/track_d2d.php?order_id=9#map');
+    assert.equal(links[0].sameOrigin, true);
+    assert.equal(links[0].data.order_type, 'd2d');
+    assert.equal(links[1].sameOrigin, false);
+});
+
+test('unknown or malformed push events are ignored', async () => {
+    webView = await openWebView({ permissions: {} });
+    const { ZooboxBridge } = webView.window;
+    let fired = 0;
+    ZooboxBridge.push.addEventListener('deeplink', () => fired++);
+
+    assert.equal(ZooboxBridge._dispatchPushEvent('silent', {}), false);
+    assert.equal(ZooboxBridge._dispatchPushEvent('deeplink', { url: 'http://[bad' }), false);
+    assert.equal(fired, 0);
+});
+
+test('deeplinks without a url are left to native instead of routing to /undefined', async () => {
+    webView = await openWebView({ permissions: {} });
+    const { ZooboxBridge } = webView.window;
+    const paths = [];
+    ZooboxBridge.push.addEventListener('deeplink', (event) => {
+        paths.push(event.detail.path);
+        event.preventDefault();
+    });
+
+    assert.equal(ZooboxBridge._dispatchPushEvent('deeplink', { data: { orderId: '12345' } }), false);
+    assert.equal(ZooboxBridge._dispatchPushEvent('deeplink', { url: '' }), false);
+    assert.equal(ZooboxBridge._dispatchPushEvent('deeplink', { url: 42 }), false);
+    assert.deepEqual(paths, []);
+});
@@ -0,0 +1,160 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+// A web view whose native side announced the batch permission flow in the handshake
+const openWebView = async (permissions, capabilities = ['requestPermissions']) => {
+    webView = createWebView({ permissions });
+    webView.resolve(webView.lastBridgeCall('getBridgeInfo'), { appVersion: '3.5.0', capabilities });
+    await webView.window.ZooboxBridge.ready();
+    return webView;
+};
+
+test('the whole set goes to native in one call with each rationale', async () => {
+    await openWebView({ location: 'notDetermined', camera: 'notDetermined' });
+
+    const result = webView.window.ZooboxBridge.requestPermissions([
+        { name: 'location', rationale: 'Shows couriers near you' },
+        'camera'
+    ]);
+    await tick();
+
+    const call = webView.lastBridgeCall('requestPermissions');
+    assert.deepEqual(call.params, {
+        permissions: [
+            { name: 'location', rationale: 'Shows couriers near you' },
+            { name: 'camera', rationale: null }
+        ]
+    });
+    assert.equal(webView.bridgeCalls('requestPermission').length, 0);
+
+    webView.resolve(call, { location: 'granted', camera: { status: 'denied', settingsRequired: true } });
+
+    assert.deepEqual(JSON.parse(JSON.stringify(await result)), {
+        location: { status: 'granted', settingsRequired: false },
+        camera: { status: 'denied', settingsRequired: true }
+    });
+});
+
+test('the batch waits for the user however long native takes', async () => {
+    await openWebView({ location: 'notDetermined' });
+    webView.window.ZooboxOverrides.configure({ bridgeTimeout: 10, permissionGrantTimeout: 10 });
+
+    let settled = false;
+    const result = webView.window.ZooboxBridge.requestPermissions(['location']);
+    result.then(() => { settled = true; }, () => { settled = true; });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(settled, false);
+
+    webView.resolve(webView.lastBridgeCall('requestPermissions'), { location: 'granted' });
+    assert.equal((await result).location.status, 'granted');
+});
+
+test('results fill in settingsRequired and statuses native left out', async () => {
+    await openWebView({ location: 'restricted', microphone: 'granted' });
+
+    const result = webView.window.ZooboxBridge.requestPermissions(['location', 'microphone', 'notifications']);
+    await tick();
+    webView.resolve(webView.lastBridgeCall('requestPermissions'), { notifications: 'denied' });
+
+    assert.deepEqual(JSON.parse(JSON.stringify(await result)), {
+        location: { status: 'restricted', settingsRequired: false },
+        microphone: { status: 'granted', settingsRequired: false },
+        notifications: { status: 'denied', settingsRequired: true }
+    });
+});
+
+test('reported statuses update zooboxPermissions and permissions.query', async () => {
+    await openWebView({ location: 'notDetermined', camera: 'notDetermined' });
+    const { window } = webView;
+    const cameraStatus = await window.navigator.permissions.query({ name: 'camera' });
+
+    const result = window.ZooboxBridge.requestPermissions(['location', 'camera']);
+    await tick();
+    webView.resolve(webView.lastBridgeCall('requestPermissions'), { location: 'granted', camera: 'granted' });
+    await result;
+
+    assert.equal(window.ZooboxBridge.isPermissionGranted('location'), true);
+    assert.equal(cameraStatus.state, 'granted');
+});
+
+test('invalid requests reject with INVALID_OPTIONS before reaching native', async () => {
+    await openWebView({});
+    const bridge = webView.window.ZooboxBridge;
+
+    await assert.rejects(bridge.requestPermissions([]), { code: 'INVALID_OPTIONS' });
+    await assert.rejects(bridge.requestPermissions(['contacts']), { code: 'INVALID_OPTIONS' });
+    await assert.rejects(bridge.requestPermissions(['camera', { name: 'camera' }]), { code: 'INVALID_OPTIONS' });
+    await assert.rejects(bridge.requestPermissions([{ name: 'camera', rationale: 42 }]), { code: 'INVALID_OPTIONS' });
+    assert.equal(webView.bridgeCalls('requestPermissions').length, 0);
+});
+
+test('builds without the batch flow get one request per permission, in order', async () => {
+    await openWebView({ location: 'notDetermined', camera: 'denied' }, ['requestPermission']);
+
+    const result = webView.window.ZooboxBridge.requestPermissions([{ name: 'location', rationale: 'Nearby couriers' }, 'camera']);
+    await tick();
+    assert.deepEqual(webView.bridgeCalls('requestPermission').map((call) => call.params.permission), ['location']);
+
+    webView.resolve(webView.lastBridgeCall('requestPermission'), 'granted');
+    await tick();
+    assert.deepEqual(webView.bridgeCalls('requestPermission').map((call) => call.params.permission), ['location', 'camera']);
+
+    webView.resolve(webView.lastBridgeCall('requestPermission'), 'denied');
+
+    assert.deepEqual(JSON.parse(JSON.stringify(await result)), {
+        location: { status: 'granted', settingsRequired: false },
+        camera: { status: 'denied', settingsRequired: true }
+    });
+    assert.equal(webView.bridgeCalls('requestPermissions').length, 0);
+});
+
+test('a request that fails one at a time keeps the other answers', async () => {
+    await openWebView({ location: 'notDetermined', camera: 'denied' }, ['requestPermission']);
+
+    const result = webView.window.ZooboxBridge.requestPermissions(['location', 'camera']);
+    await tick();
+    webView.reject(webView.lastBridgeCall('requestPermission'), { code: 'TIMEOUT', message: 'No answer' });
+    await tick();
+    webView.resolve(webView.lastBridgeCall('requestPermission'), 'granted');
+
+    assert.deepEqual(JSON.parse(JSON.stringify(await result)), {
+        location: { status: 'notDetermined', settingsRequired: false },
+        camera: { status: 'granted', settingsRequired: false }
+    });
+});
+
+test('native errors reject the batch', async () => {
+    await openWebView({});
+
+    const result = webView.window.ZooboxBridge.requestPermissions(['camera']);
+    await tick();
+    webView.reject(webView.lastBridgeCall('requestPermissions'), { code: 'BUSY', message: 'Another permission flow is showing' });
+
+    await assert.rejects(result, { code: 'BUSY' });
+});
+
+test('the simulator prompts for each undetermined permission and answers with results', async () => {
+    webView = createWebView({ scripts: ['zoobox-bridge-simulator.js', 'webview-permission-override.js'] });
+    const { window } = webView;
+    window.ZooboxSimulator.setPermission('camera', 'denied');
+    window.ZooboxSimulator.setPromptBehavior('grant');
+    await window.ZooboxBridge.ready();
+
+    const results = await window.ZooboxBridge.requestPermissions([{ name: 'location', rationale: 'Nearby couriers' }, 'camera']);
+
+    assert.deepEqual(JSON.parse(JSON.stringify(results)), {
+        location: { status: 'granted', settingsRequired: false },
+        camera: { status: 'denied', settingsRequired: true }
+    });
+    assert.equal(window.zooboxPermissions.location, 'granted');
+});
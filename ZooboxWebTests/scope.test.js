@@ -0,0 +1,153 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+// Put the page inside a frame whose parent is on another origin (reading it throws, like WebKit)
+const inCrossOriginFrame = (window) => {
+    const parent = {
+        get location() {
+            throw new window.DOMException('Blocked a frame from accessing a cross-origin frame', 'SecurityError');
+        }
+    };
+    parent.parent = parent;
+    Object.defineProperty(window, 'parent', { configurable: true, value: parent });
+};
+
+// A frame whose parent is on the same origin as the page
+const inSameOriginFrame = (window) => {
+    const parent = { location: { origin: window.location.origin } };
+    parent.parent = parent;
+    Object.defineProperty(window, 'parent', { configurable: true, value: parent });
+};
+
+const blockedReports = () => webView.messages
+    .filter((message) => message.handler === 'zooboxBridge' && message.body.method === 'reportBlockedAccess')
+    .map((message) => message.body);
+
+test('the top-level page keeps the overrides when native sends no allowlist', () => {
+    webView = createWebView({ permissions: { location: 'granted' }, url: 'https://anything.example/' });
+    assert.equal(typeof webView.window.ZooboxBridge.call, 'function');
+});
+
+test('pages outside the allowlist fall back to the browser APIs and report each attempt', () => {
+    webView = createWebView({
+        permissions: { location: 'granted' },
+        url: 'https://pay.example.com/checkout',
+        config: { allowedOrigins: ['https://zoobox.site', 'https://*.zoobox.site'] }
+    });
+    const { window } = webView;
+
+    assert.equal(window.ZooboxBridge, undefined);
+    window.navigator.geolocation.getCurrentPosition(() => {});
+
+    assert.deepEqual(webView.browserCalls.map((call) => call.api), ['getCurrentPosition']);
+    assert.deepEqual(blockedReports(), [{
+        method: 'reportBlockedAccess',
+        params: {
+            api: 'geolocation.getCurrentPosition',
+            origin: 'https://pay.example.com',
+            topOrigin: 'https://pay.example.com',
+            isMainFrame: true,
+            reason: 'origin-not-allowed',
+            behavior: 'fallback'
+        }
+    }]);
+});
+
+test('allowlist entries match exact origins and subdomain wildcards', () => {
+    const allowedOrigins = ['https://zoobox.site', 'https://*.zoobox.site', 'not an origin'];
+    const isTrusted = (url) => {
+        webView = createWebView({ permissions: {}, url, config: { allowedOrigins } });
+        const trusted = webView.window.ZooboxBridge !== undefined;
+        webView.close();
+        webView = null;
+        return trusted;
+    };
+
+    assert.equal(isTrusted('https://zoobox.site/orders'), true);
+    assert.equal(isTrusted('https://driver.zoobox.site/'), true);
+    assert.equal(isTrusted('http://zoobox.site/'), false);
+    assert.equal(isTrusted('https://zoobox.site.evil.example/'), false);
+    assert.equal(isTrusted('https://evilzoobox.site/'), false);
+});
+
+test('cross-origin frames are blocked even without an allowlist', async () => {
+    webView = createWebView({ permissions: { location: 'granted', camera: 'granted' }, setup: inCrossOriginFrame });
+    const { window } = webView;
+
+    assert.equal(window.ZooboxBridge, undefined);
+    await window.navigator.mediaDevices.getUserMedia({ video: true });
+
+    assert.deepEqual(webView.browserCalls.map((call) => call.api), ['getUserMedia']);
+    assert.equal(blockedReports()[0].params.reason, 'cross-origin-frame');
+    assert.equal(blockedReports()[0].params.isMainFrame, false);
+    assert.equal(blockedReports()[0].params.topOrigin, null);
+});
+
+test('same-origin frames keep the overrides', () => {
+    webView = createWebView({ permissions: {}, setup: inSameOriginFrame });
+    assert.equal(typeof webView.window.ZooboxBridge.call, 'function');
+});
+
+test('allowCrossOriginFrames only admits frames whose own origin is allowlisted', () => {
+    webView = createWebView({
+        permissions: {},
+        url: 'https://maps.zoobox.site/embed',
+        config: { allowedOrigins: ['https://*.zoobox.site'], allowCrossOriginFrames: true },
+        setup: inCrossOriginFrame
+    });
+    assert.equal(typeof webView.window.ZooboxBridge.call, 'function');
+});
+
+test('blockedAccess deny refuses location, camera and notifications without the browser', async () => {
+    webView = createWebView({
+        permissions: { location: 'granted', camera: 'granted', notifications: 'granted' },
+        config: { blockedAccess: 'deny' },
+        setup: (window) => {
+            inCrossOriginFrame(window);
+            window.Notification = { requestPermission: () => Promise.resolve('granted') };
+        }
+    });
+    const { window } = webView;
+
+    const errors = [];
+    window.navigator.geolocation.getCurrentPosition(() => errors.push('success'), (error) => errors.push(error.code));
+    assert.equal(window.navigator.geolocation.watchPosition(() => {}, (error) => errors.push(error.code)), 0);
+    await assert.rejects(window.navigator.mediaDevices.getUserMedia({ video: true }), { name: 'NotAllowedError' });
+    assert.equal(await window.Notification.requestPermission(), 'denied');
+    await tick();
+
+    assert.deepEqual(errors, [1, 1]);
+    assert.deepEqual(webView.browserCalls, []);
+    assert.deepEqual(blockedReports().map((report) => report.params.api), [
+        'geolocation.getCurrentPosition', 'geolocation.watchPosition', 'mediaDevices.getUserMedia', 'Notification.requestPermission'
+    ]);
+});
+
+test('denied location errors have the same shape as the overrides report', async () => {
+    webView = createWebView({
+        permissions: { location: 'granted' },
+        config: { blockedAccess: 'deny' },
+        setup: (window) => {
+            inCrossOriginFrame(window);
+            window.GeolocationPositionError = class GeolocationPositionError {};
+        }
+    });
+    const { window } = webView;
+
+    const error = await new Promise((resolve) => window.navigator.geolocation.getCurrentPosition(() => {}, resolve));
+
+    assert.ok(error instanceof window.GeolocationPositionError);
+    assert.equal(error.code, error.PERMISSION_DENIED);
+    assert.equal(error.TIMEOUT, 3);
+    assert.equal(error.message, 'Location is not available to this frame');
+});
@@ -0,0 +1,248 @@
+const { test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebView, nativeFix, openWebView: openNativeWebView, tick } = require('./support/webview');
+
+let sdk;
+let webView;
+
+before(async () => {
+    sdk = await import('../ZooboxWebSDK/index.js');
+});
+
+// The SDK reads the page's window at call time, like it would in a browser bundle
+const openWebView = (options) => {
+    webView = createWebView(options);
+    globalThis.window = webView.window;
+    return webView;
+};
+
+// The same once native has answered the handshake with every capability
+const openReadyWebView = async (options) => {
+    webView = await openNativeWebView(options);
+    globalThis.window = webView.window;
+    return webView;
+};
+
+afterEach(() => {
+    delete globalThis.window;
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+test('importing the SDK has no side effects and works without a page', () => {
+    assert.equal(typeof globalThis.window, 'undefined');
+    assert.equal(sdk.isAvailable(), false);
+    assert.deepEqual(Object.keys(sdk).sort(), [
+        'ZooboxBridgeError', 'call', 'camera', 'connectivity', 'geofences', 'haptics', 'hasCapability', 'isAvailable', 'location', 'permissions', 'push', 'ready'
+    ]);
+    assert.equal(sdk.hasCapability('hapticFeedback'), false);
+});
+
+test('calls reject with UNAVAILABLE outside the app', async () => {
+    await assert.rejects(sdk.permissions.request('camera'), (error) => {
+        assert.ok(error instanceof sdk.ZooboxBridgeError);
+        assert.equal(error.code, 'UNAVAILABLE');
+        return true;
+    });
+    assert.equal(await sdk.haptics.trigger('success'), false);
+});
+
+test('permissions reflect native statuses and requests go through the bridge', async () => {
+    await openReadyWebView({ permissions: { location: 'granted', camera: 'notDetermined' } });
+
+    assert.equal(sdk.isAvailable(), true);
+    assert.deepEqual(sdk.permissions.getAll(), { location: 'granted', camera: 'notDetermined' });
+    assert.equal(sdk.permissions.isGranted('location'), true);
+    assert.equal(await sdk.permissions.get('camera'), 'notDetermined');
+
+    const result = sdk.permissions.request('camera');
+    webView.resolve(webView.lastBridgeCall('requestPermission'), 'granted');
+
+    assert.equal(await result, 'granted');
+    assert.equal(sdk.permissions.isGranted('camera'), true);
+});
+
+test('permissions.requestAll asks native for the whole set at once', async () => {
+    openWebView({ permissions: { location: 'notDetermined' } });
+    webView.resolve(webView.lastBridgeCall('getBridgeInfo'), { capabilities: ['requestPermissions'] });
+
+    const result = sdk.permissions.requestAll([{ name: 'location', rationale: 'Nearby couriers' }]);
+    await tick();
+    webView.resolve(webView.lastBridgeCall('requestPermissions'), { location: 'granted' });
+
+    assert.equal((await result).location.status, 'granted');
+    assert.equal(sdk.permissions.isGranted('location'), true);
+    await assert.rejects(sdk.permissions.requestAll(['contacts']), (error) => {
+        assert.ok(error instanceof sdk.ZooboxBridgeError);
+        assert.equal(error.code, 'INVALID_OPTIONS');
+        return true;
+    });
+});
+
+test('permission change listeners receive updates until unsubscribed', () => {
+    openWebView({ permissions: { location: 'notDetermined' } });
+    const changes = [];
+
+    const unsubscribe = sdk.permissions.on('change', (event) => changes.push(event.permissions.location));
+    webView.updatePermissions({ location: 'granted' });
+    unsubscribe();
+    webView.updatePermissions({ location: 'denied' });
+
+    assert.deepEqual(changes, ['granted']);
+    assert.throws(() => sdk.permissions.on('update', () => {}), TypeError);
+});
+
+test('bridge errors are surfaced as ZooboxBridgeError with the native code', async () => {
+    openWebView({ permissions: {} });
+
+    const result = sdk.call('checkPermission', { permission: 'camera' });
+    webView.reject(webView.lastBridgeCall('checkPermission'), { code: 'unknownPermission', message: 'Nope' });
+
+    await assert.rejects(result, (error) => {
+        assert.ok(error instanceof sdk.ZooboxBridgeError);
+        assert.equal(error.code, 'unknownPermission');
+        assert.equal(error.message, 'Nope');
+        return true;
+    });
+});
+
+test('location resolves native fixes and watch returns a stop function', async () => {
+    await openReadyWebView({ permissions: { location: 'granted' } });
+
+    const result = sdk.location.getCurrentPosition();
+    webView.resolve(webView.lastBridgeCall('getCurrentLocation'), nativeFix({ coords: { latitude: 3 } }));
+    assert.equal((await result).coords.latitude, 3);
+
+    const updates = [];
+    const stop = sdk.location.watch((position) => updates.push(position.coords.latitude));
+    webView.window.locationWatchCallback(nativeFix({ coords: { latitude: 4 } }));
+    stop();
+    stop();
+    webView.window.locationWatchCallback(nativeFix({ coords: { latitude: 5 } }));
+
+    assert.deepEqual(updates, [4]);
+    assert.equal(webView.posted('stopRealTimeLocation').length, 1);
+});
+
+test('location rejects with a GeolocationPositionError without permission', async () => {
+    await openReadyWebView({ permissions: { location: 'denied' } });
+
+    await assert.rejects(sdk.location.getCurrentPosition(), (error) => error.code === 1);
+});
+
+test('geofences are added through the bridge and events reach listeners', async () => {
+    await openReadyWebView({ permissions: { location: 'granted' } });
+
+    const added = sdk.geofences.add({ id: 'dropoff-7', lat: 36.2, lng: 44.01, radius: 100 });
+    webView.resolve(webView.lastBridgeCall('addGeofence'), {});
+    assert.equal((await added).dwellTime, 120000);
+
+    const arrivals = [];
+    const unsubscribe = sdk.geofences.on('enter', (event) => arrivals.push(event.detail.id));
+    webView.window.ZooboxBridge._dispatchGeofenceEvents([{ eventId: 'e1', id: 'dropoff-7', type: 'enter' }]);
+    unsubscribe();
+    webView.window.ZooboxBridge._dispatchGeofenceEvents([{ eventId: 'e2', id: 'dropoff-7', type: 'enter' }]);
+
+    assert.deepEqual(arrivals, ['dropoff-7']);
+    await assert.rejects(sdk.geofences.add({ id: 'bad' }), (error) => error instanceof sdk.ZooboxBridgeError && error.code === 'INVALID_OPTIONS');
+});
+
+test('camera asks for access before opening a stream or the photo picker', async () => {
+    await openReadyWebView({ permissions: { camera: 'denied' }, capabilities: ['requestPermission'] });
+
+    await assert.rejects(sdk.camera.getStream(), (error) => error.name === 'NotAllowedError');
+
+    const capture = sdk.camera.capturePhoto();
+    await tick();
+    webView.resolve(webView.lastBridgeCall('requestPermission'), 'denied');
+    await assert.rejects(capture, (error) => error.code === 'PERMISSION_DENIED');
+    assert.equal(webView.bridgeCalls('capturePhoto').length, 0);
+});
+
+test('camera.capturePhoto uses native capture when the app supports it', async () => {
+    openWebView({ permissions: { camera: 'granted' } });
+    webView.resolve(webView.lastBridgeCall('getBridgeInfo'), { capabilities: ['capturePhoto'] });
+
+    const capture = sdk.camera.capturePhoto({ maxWidth: 800 });
+    await tick();
+    const call = webView.lastBridgeCall('capturePhoto');
+    assert.equal(call.params.maxWidth, 800);
+    webView.reject(call, { code: 'CANCELLED', message: 'User cancelled' });
+
+    await assert.rejects(capture, (error) => error instanceof sdk.ZooboxBridgeError && error.code === 'CANCELLED');
+});
+
+test('ready() resolves with the handshake and enables capability checks', async () => {
+    openWebView({ permissions: {} });
+
+    webView.resolve(webView.lastBridgeCall('getBridgeInfo'), { appVersion: '3.4.0', capabilities: ['showNotification'] });
+    const info = await sdk.ready();
+
+    assert.equal(info.appVersion, '3.4.0');
+    assert.equal(sdk.hasCapability('showNotification'), true);
+});
+
+test('push exposes the token and routes deep links through listeners', async () => {
+    await openReadyWebView({ permissions: {} });
+
+    const token = sdk.push.getToken();
+    webView.resolve(webView.lastBridgeCall('getPushToken'), 'fcm-token-1');
+    assert.equal(await token, 'fcm-token-1');
+
+    const paths = [];
+    const unsubscribe = sdk.push.on('deeplink', (event) => {
+        paths.push(event.detail.path);
+        event.preventDefault();
+    });
+    assert.equal(webView.window.ZooboxBridge._dispatchPushEvent('deeplink', { url: '/orders/7' }), true);
+    unsubscribe();
+    assert.equal(webView.window.ZooboxBridge._dispatchPushEvent('deeplink', { url: '/orders/8' }), false);
+
+    assert.deepEqual(paths, ['/orders/7']);
+    assert.throws(() => sdk.push.on('message', () => {}), TypeError);
+});
+
+test('connectivity reports native state and queues offline POSTs once enabled', async () => {
+    assert.equal(sdk.connectivity.getState().source, 'browser');
+    openWebView({ permissions: {}, connectivity: { online: false } });
+
+    const states = [];
+    sdk.connectivity.on('change', (event) => states.push(event.detail.type));
+    sdk.connectivity.enableOfflineQueue({ match: '/api/' });
+
+    const response = await webView.window.fetch('/api/orders', { method: 'POST', body: '{}' });
+    assert.equal(response.status, 202);
+    assert.equal(sdk.connectivity.getQueuedRequests().length, 1);
+
+    webView.window.ZooboxBridge._updateConnectivity({ online: true, type: 'wifi' });
+    assert.equal(await sdk.connectivity.replayOfflineQueue(), 1);
+
+    assert.deepEqual(states, ['wifi']);
+    assert.equal(sdk.connectivity.getState().online, true);
+    assert.equal(sdk.connectivity.clearOfflineQueue(), 0);
+});
+
+test('haptics post the requested style to native', async () => {
+    openWebView({ permissions: {} });
+
+    assert.equal(await sdk.haptics.trigger(), true);
+    assert.equal(await sdk.haptics.trigger('warning'), true);
+
+    assert.deepEqual(webView.posted('hapticFeedback'), ['light', 'warning']);
+});
+
+test('haptics use the haptics module when the app injects it', async () => {
+    openWebView({ permissions: {}, scripts: ['webview-permission-override.js', 'webview-haptics.js'] });
+
+    assert.equal(await sdk.haptics.trigger('medium', 0.5), true);
+    assert.equal(await sdk.haptics.play(['selection', { haptic: 'success', delay: 10 }]), true);
+    assert.equal(sdk.haptics.stop(), false);
+
+    assert.deepEqual(webView.posted('hapticFeedback'), [
+        { type: 'impact', style: 'medium', intensity: 0.5 },
+        { type: 'selection' },
+        'success'
+    ]);
+});
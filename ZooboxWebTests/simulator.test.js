@@ -0,0 +1,72 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { APP_CAPABILITIES, APP_HANDLERS, NATIVE_CAPABILITIES, createWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+// The simulator in front of the override, the way a desktop page loads them, with no panel or latency
+const openSimulator = async (simulatorConfig = {}) => {
+    webView = createWebView({
+        scripts: ['zoobox-bridge-simulator.js', 'webview-permission-override.js'],
+        handlers: [],
+        setup(window) {
+            window.zooboxSimulatorConfig = Object.assign({ panel: false, latency: 0 }, simulatorConfig);
+            // Keep the simulator's console lines out of the test output
+            window.console = { log() {}, info() {}, warn() {}, error() {} };
+        }
+    });
+    await webView.window.ZooboxBridge.ready();
+    return webView;
+};
+
+const sorted = (list) => Array.from(list).sort();
+
+// What the simulator itself answers to the handshake, before the override adds registered handlers
+const simulatedCapabilities = async () => sorted((await webView.window.ZooboxBridge.call('getBridgeInfo')).capabilities);
+
+test('by default the simulator offers what the app implements and nothing more', async () => {
+    await openSimulator({ permissions: { location: 'granted' } });
+    const { window } = webView;
+    const { ZooboxBridge } = window;
+
+    assert.deepEqual(await simulatedCapabilities(), sorted(APP_CAPABILITIES));
+    assert.deepEqual(sorted(Object.keys(window.webkit.messageHandlers)), sorted(APP_HANDLERS));
+
+    // Methods the app lacks are rejected like native rejects unknown methods
+    await assert.rejects(ZooboxBridge.call('getCurrentLocation'), { code: 'UNSUPPORTED' });
+    await assert.rejects(ZooboxBridge.push.getToken(), { code: 'UNSUPPORTED' });
+
+    // ...so pages stay on WebKit where the app leaves them there
+    window.navigator.geolocation.getCurrentPosition(() => {});
+    assert.deepEqual(webView.browserCalls.map((call) => call.api), ['getCurrentPosition']);
+
+    // What the app does implement is answered
+    await ZooboxBridge.call('writeClipboard', { text: 'ZB-12345' });
+    assert.equal(window.ZooboxSimulator.getClipboard(), 'ZB-12345');
+});
+
+test('simulatorOnlyFeatures offers every method the override can hand to native', async () => {
+    await openSimulator({ simulatorOnlyFeatures: true });
+    const { window } = webView;
+    const { ZooboxBridge } = window;
+
+    assert.deepEqual(await simulatedCapabilities(), sorted(NATIVE_CAPABILITIES));
+    assert.ok(window.webkit.messageHandlers.startRealTimeLocation);
+    assert.equal(await ZooboxBridge.push.getToken(), 'simulated-fcm-token');
+
+    let tapped = null;
+    ZooboxBridge.push.addEventListener('notification', (event) => {
+        tapped = event.detail.title;
+        event.preventDefault();
+    });
+    window.ZooboxSimulator.sendPush({ title: 'Order on its way' });
+    await tick();
+    assert.equal(tapped, 'Order on its way');
+});
@@ -0,0 +1,237 @@
+// Headless stand-in for the Zoobox WKWebView: loads webview-permission-override.js into jsdom
+// against fake webkit.messageHandlers and browser APIs, and lets tests play the native side.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const idlUtils = require('jsdom/lib/jsdom/living/generated/utils.js');
+
+const RESOURCES_DIR = path.join(__dirname, '..', '..', 'Zoobox', 'Resources');
+const scriptSources = {};
+
+const readScript = (name) => {
+    if (!scriptSources[name]) {
+        scriptSources[name] = fs.readFileSync(path.join(RESOURCES_DIR, name), 'utf8');
+    }
+    return scriptSources[name];
+};
+
+const DEFAULT_HANDLERS = ['zooboxBridge', 'startRealTimeLocation', 'stopRealTimeLocation', 'hapticFeedback'];
+
+const PERMISSION_STATES = ['granted', 'denied', 'restricted', 'notDetermined'];
+
+// Let pending promise callbacks and zero-delay timers run
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Browser APIs WebKit provides but jsdom does not; each records how the override used it
+const installBrowserApis = (window, browserCalls, fetchImplementation) => {
+    Object.defineProperty(window.navigator, 'geolocation', {
+        configurable: true,
+        value: {
+            getCurrentPosition(...args) {
+                browserCalls.push({ api: 'getCurrentPosition', args });
+            },
+            watchPosition(...args) {
+                browserCalls.push({ api: 'watchPosition', args });
+                return 1000 + browserCalls.length;
+            },
+            clearWatch(...args) {
+                browserCalls.push({ api: 'clearWatch', args });
+            }
+        }
+    });
+
+    Object.defineProperty(window.navigator, 'mediaDevices', {
+        configurable: true,
+        value: {
+            getUserMedia(...args) {
+                browserCalls.push({ api: 'getUserMedia', args });
+                return Promise.resolve({ id: 'browser-stream' });
+            }
+        }
+    });
+
+    Object.defineProperty(window.navigator, 'permissions', {
+        configurable: true,
+        value: {
+            query(...args) {
+                browserCalls.push({ api: 'permissions.query', args });
+                return Promise.resolve({ state: 'browser' });
+            }
+        }
+    });
+
+    window.Response = Response;
+    window.fetch = (...args) => {
+        browserCalls.push({ api: 'fetch', args });
+        return fetchImplementation ? fetchImplementation(...args) : Promise.resolve(new Response(null, { status: 200 }));
+    };
+
+    window.alert = (...args) => {
+        browserCalls.push({ api: 'alert', args });
+    };
+    window.confirm = (...args) => {
+        browserCalls.push({ api: 'confirm', args });
+        return true;
+    };
+    window.prompt = (...args) => {
+        browserCalls.push({ api: 'prompt', args });
+        return 'browser answer';
+    };
+};
+
+// Dispatch an event with isTrusted set, which only the browser can do from page script
+const dispatchTrusted = (target, event) => {
+    idlUtils.implForWrapper(event).isTrusted = true;
+    idlUtils.implForWrapper(target)._dispatch(idlUtils.implForWrapper(event));
+};
+
+/**
+ * Create a web view with the override script (or the given scripts) injected.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.permissions] window.zooboxPermissions at injection time
+ * @param {Object} [options.config] window.zooboxOverrideConfig at injection time
+ * @param {Object} [options.connectivity] window.zooboxConnectivity at injection time
+ * @param {string[]} [options.handlers] webkit.messageHandlers native registers
+ * @param {string} [options.url] page URL
+ * @param {Object} [options.navigator] extra navigator properties, e.g. userAgent
+ * @param {Function} [options.fetch] answers the page's fetch calls; defaults to an empty 200 response
+ * @param {string[]} [options.scripts] Zoobox/Resources scripts to inject, in order
+ * @param {Function} [options.setup] called with the window just before the scripts are injected
+ */
+const createWebView = (options = {}) => {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: options.url || 'https://zoobox.site/',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+    const messages = [];
+    const browserCalls = [];
+
+    const messageHandlers = {};
+    (options.handlers || DEFAULT_HANDLERS).forEach((name) => {
+        messageHandlers[name] = {
+            // WebKit serializes message bodies, so tests see plain copies outside the page realm
+            postMessage(body) {
+                messages.push({ handler: name, body: body === undefined ? body : JSON.parse(JSON.stringify(body)) });
+            }
+        };
+    });
+    window.webkit = { messageHandlers };
+
+    installBrowserApis(window, browserCalls, options.fetch);
+    Object.keys(options.navigator || {}).forEach((name) => {
+        Object.defineProperty(window.navigator, name, { configurable: true, value: options.navigator[name] });
+    });
+
+    if (options.permissions) {
+        window.zooboxPermissions = options.permissions;
+    }
+    if (options.connectivity) {
+        window.zooboxConnectivity = options.connectivity;
+    }
+    window.zooboxOverrideConfig = Object.assign({ logLevel: 'silent' }, options.config);
+
+    if (options.setup) {
+        options.setup(window);
+    }
+    (options.scripts || ['webview-permission-override.js']).forEach((name) => window.eval(readScript(name)));
+
+    const bridgeCalls = (method) => messages
+        .filter((message) => message.handler === 'zooboxBridge' && (!method || message.body.method === method))
+        .map((message) => message.body);
+
+    return {
+        window,
+        messages,
+        browserCalls,
+
+        // Messages posted to a specific handler
+        posted: (handler) => messages.filter((message) => message.handler === handler).map((message) => message.body),
+
+        // zooboxBridge RPC calls, optionally filtered by method
+        bridgeCalls,
+
+        lastBridgeCall: (method) => {
+            const calls = bridgeCalls(method);
+            return calls[calls.length - 1];
+        },
+
+        // Answer an RPC call the way native does
+        resolve: (call, result) => window.ZooboxBridge._resolveCall(call.id, result),
+        reject: (call, error) => window.ZooboxBridge._rejectCall(call.id, error),
+
+        // Push a new permission snapshot the way PermissionManager does
+        updatePermissions: (permissions) => {
+            window.zooboxPermissions = permissions;
+            window.dispatchEvent(new window.CustomEvent('zooboxPermissionsUpdate', { detail: permissions }));
+        },
+
+        // A click the page sees as user-initiated (isTrusted), unlike element.click()
+        tap: (element) => dispatchTrusted(element, new window.MouseEvent('click', { bubbles: true, cancelable: true })),
+
+        // Run another Zoobox/Resources script in the page, e.g. a second injection of the override
+        inject: (name) => window.eval(readScript(name)),
+
+        // An event fired by the browser itself, e.g. WebKit's own 'offline'
+        browserEvent: (type) => dispatchTrusted(window, new window.Event(type)),
+
+        close: () => window.close()
+    };
+};
+
+// Every method the override can hand to native, as a build that implements all of them lists them
+const NATIVE_CAPABILITIES = [
+    'requestPermission', 'requestPermissions', 'checkPermission', 'getCurrentLocation',
+    'addGeofence', 'removeGeofence', 'listGeofences', 'takeGeofenceEvents',
+    'showNotification', 'closeNotification', 'getPushToken', 'capturePhoto',
+    'share', 'writeClipboard', 'readClipboard', 'requestWakeLock', 'releaseWakeLock', 'showDialog'
+];
+
+// What the app registers and lists in the handshake today (MainViewController and ZooboxBridgeManager)
+const APP_HANDLERS = ['zooboxBridge', 'hapticFeedback', 'permissionBridge'];
+const APP_CAPABILITIES = ['requestPermissions', 'share', 'writeClipboard', 'readClipboard', 'requestWakeLock', 'releaseWakeLock'];
+
+/**
+ * Create a web view, answer the getBridgeInfo handshake the way native does and wait for ready().
+ *
+ * @param {Object} [options] createWebView options, plus:
+ * @param {string[]} [options.capabilities] methods native lists in the handshake; defaults to NATIVE_CAPABILITIES
+ */
+const openWebView = async (options = {}) => {
+    const webView = createWebView(options);
+    const handshake = webView.lastBridgeCall('getBridgeInfo');
+    if (handshake) {
+        webView.resolve(handshake, { appVersion: '3.5.0', capabilities: options.capabilities || NATIVE_CAPABILITIES });
+    }
+    if (webView.window.ZooboxBridge) {
+        await webView.window.ZooboxBridge.ready();
+    }
+    return webView;
+};
+
+// A native fix in the shape CoreLocation-backed code sends it
+const nativeFix = (overrides = {}) => ({
+    coords: Object.assign({
+        latitude: 36.1911,
+        longitude: 44.0092,
+        accuracy: 5,
+        altitude: 412,
+        altitudeAccuracy: 3,
+        heading: 90,
+        speed: 4.5
+    }, overrides.coords),
+    timestamp: overrides.timestamp !== undefined ? overrides.timestamp : Date.now()
+});
+
+module.exports = {
+    APP_CAPABILITIES,
+    APP_HANDLERS,
+    NATIVE_CAPABILITIES,
+    PERMISSION_STATES,
+    createWebView,
+    nativeFix,
+    openWebView,
+    tick
+};
@@ -0,0 +1,155 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PERMISSION_STATES, nativeFix, openWebView, tick } = require('./support/webview');
+
+let webView;
+
+afterEach(() => {
+    if (webView) {
+        webView.close();
+        webView = null;
+    }
+});
+
+test('every watcher receives native updates until it is cleared', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { geolocation } = webView.window.navigator;
+    const mapUpdates = [];
+    const courierUpdates = [];
+
+    const mapWatch = geolocation.watchPosition((position) => mapUpdates.push(position.coords.latitude));
+    const courierWatch = geolocation.watchPosition((position) => courierUpdates.push(position.coords.latitude));
+
+    assert.notEqual(mapWatch, courierWatch);
+    assert.equal(webView.posted('startRealTimeLocation').length, 1);
+
+    webView.window.locationWatchCallback(nativeFix({ coords: { latitude: 1 } }));
+    geolocation.clearWatch(mapWatch);
+    webView.window.locationWatchCallback(nativeFix({ coords: { latitude: 2 } }));
+
+    assert.deepEqual(mapUpdates, [1]);
+    assert.deepEqual(courierUpdates, [1, 2]);
+    assert.equal(webView.posted('stopRealTimeLocation').length, 0);
+});
+
+test('native tracking stops only when the last watcher is cleared', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { geolocation } = webView.window.navigator;
+
+    const first = geolocation.watchPosition(() => {});
+    const second = geolocation.watchPosition(() => {});
+
+    geolocation.clearWatch(first);
+    assert.equal(webView.posted('stopRealTimeLocation').length, 0);
+
+    geolocation.clearWatch(second);
+    assert.equal(webView.posted('stopRealTimeLocation').length, 1);
+
+    geolocation.clearWatch(second);
+    assert.equal(webView.posted('stopRealTimeLocation').length, 1);
+});
+
+test('tracking is retuned when a high-accuracy watcher joins', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { geolocation } = webView.window.navigator;
+
+    geolocation.watchPosition(() => {});
+    geolocation.watchPosition(() => {}, null, { enableHighAccuracy: true });
+
+    assert.deepEqual(webView.posted('startRealTimeLocation'), [
+        { enableHighAccuracy: false },
+        { enableHighAccuracy: true }
+    ]);
+});
+
+test('native errors reach every watcher as GeolocationPositionError objects', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { geolocation } = webView.window.navigator;
+    const errors = [];
+
+    geolocation.watchPosition(() => {}, (error) => errors.push(error));
+    geolocation.watchPosition(() => {}, (error) => errors.push(error));
+    webView.window.locationWatchErrorCallback({ code: 2, message: 'No fix' });
+
+    assert.equal(errors.length, 2);
+    errors.forEach((error) => assert.equal(error.code, error.POSITION_UNAVAILABLE));
+});
+
+test('a watcher with maximumAge receives the cached fix right away', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' } });
+    const { geolocation } = webView.window.navigator;
+    const updates = [];
+
+    geolocation.watchPosition(() => {});
+    webView.window.locationWatchCallback(nativeFix({ coords: { latitude: 9 } }));
+    geolocation.watchPosition((position) => updates.push(position.coords.latitude), null, { maximumAge: 60000 });
+    await tick();
+
+    assert.deepEqual(updates, [9]);
+});
+
+for (const state of PERMISSION_STATES.filter((permissionState) => permissionState !== 'granted')) {
+    test(`watchPosition fails with PERMISSION_DENIED when location is ${state}`, async () => {
+        webView = await openWebView({ permissions: { location: state } });
+        const errors = [];
+
+        const watchId = webView.window.navigator.geolocation.watchPosition(() => {}, (error) => errors.push(error));
+
+        assert.equal(typeof watchId, 'number');
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].code, errors[0].PERMISSION_DENIED);
+        assert.equal(webView.posted('startRealTimeLocation').length, 0);
+    });
+}
+
+test('watchPosition falls back to the browser and clearWatch maps the id back', async () => {
+    webView = await openWebView({ permissions: { location: 'granted' }, handlers: ['zooboxBridge'] });
+    const { geolocation } = webView.window.navigator;
+
+    const watchId = geolocation.watchPosition(() => {});
+    geolocation.clearWatch(watchId);
+
+    const browserWatch = webView.browserCalls.find((call) => call.api === 'watchPosition');
+    const browserClear = webView.browserCalls.find((call) => call.api === 'clearWatch');
+    assert.ok(browserWatch);
+    assert.ok(browserClear);
+    assert.notEqual(browserClear.args[0], undefined);
+});
+
+test('a queued watcher starts once location is granted', async () => {
+    webView = await openWebView({
+        permissions: { location: 'notDetermined' },
+        config: { waitForPermissionGrant: true }
+    });
+    const updates = [];
+
+    webView.window.navigator.geolocation.watchPosition((position) => updates.push(position.coords.latitude));
+    assert.equal(webView.posted('startRealTimeLocation').length, 0);
+
+    webView.updatePermissions({ location: 'granted' });
+    await tick();
+    webView.window.locationWatchCallback(nativeFix({ coords: { latitude: 4 } }));
+
+    assert.equal(webView.posted('startRealTimeLocation').length, 1);
+    assert.deepEqual(updates, [4]);
+});
+
+test('a queued watcher fails at once when native turns the request down', async () => {
+    webView = await openWebView({
+        permissions: { location: 'notDetermined' },
+        config: { waitForPermissionGrant: true }
+    });
+    const errors = [];
+
+    webView.window.navigator.geolocation.watchPosition(() => {}, (error) => errors.push(error.code));
+    webView.reject(webView.lastBridgeCall('requestPermission'), { code: 'UNSUPPORTED', message: 'requestPermission is not supported' });
+    await tick();
+    assert.deepEqual(errors, [1]);
+
+    // A prompt the user dismissed comes back undetermined
+    webView.window.navigator.geolocation.watchPosition(() => {}, (error) => errors.push(error.code));
+    webView.resolve(webView.lastBridgeCall('requestPermission'), 'notDetermined');
+    await tick();
+    assert.deepEqual(errors, [1, 1]);
+    assert.equal(webView.posted('startRealTimeLocation').length, 0);
+});